@@ -0,0 +1,49 @@
+/**
+ * The schema as it was when the seed script still created it with
+ * `sync({ force: true })`: profiles, contracts and jobs. Databases created
+ * that way already have these tables, which are left as they are, and are
+ * brought up to date by the later migrations.
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.sequelize.transaction(async transaction => {
+            await queryInterface.createTable('Profiles', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                firstName: { type: Sequelize.STRING, allowNull: false },
+                lastName: { type: Sequelize.STRING, allowNull: false },
+                profession: { type: Sequelize.STRING, allowNull: false },
+                balance: { type: Sequelize.DECIMAL(12, 2) },
+                type: { type: Sequelize.ENUM('client', 'contractor') },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false }
+            }, { transaction });
+            await queryInterface.createTable('Contracts', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                terms: { type: Sequelize.TEXT, allowNull: false },
+                status: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ContractorId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                ClientId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('Jobs', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                description: { type: Sequelize.TEXT, allowNull: false },
+                price: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                paid: { type: Sequelize.BOOLEAN },
+                paymentDate: { type: Sequelize.DATE },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ContractId: { type: Sequelize.INTEGER, references: { model: 'Contracts', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.sequelize.transaction(async transaction => {
+            for (const table of ['Jobs', 'Contracts', 'Profiles']) {
+                await queryInterface.dropTable(table, { transaction });
+            }
+        });
+    }
+};
@@ -0,0 +1,278 @@
+/**
+ * The tables added after the original schema, with their indexes. Databases
+ * migrated by the first version of the initial migration, which created
+ * every table at once, have them already and skip this one.
+ */
+
+// The tables, parents before the tables referencing them
+const TABLES = [
+    'BillingSchedules',
+    'Credentials',
+    'RefreshTokens',
+    'ContractStatusChanges',
+    'Deposits',
+    'DepositLimits',
+    'Payouts',
+    'LedgerEntries',
+    'ExchangeRates',
+    'IdempotencyKeys',
+    'OutboxEvents',
+    'WebhookSubscriptions',
+    'WebhookDeliveries',
+    'AuditLogs',
+    'Milestones',
+    'AutoPayments',
+    'FeeRules',
+    'WithholdingRules',
+    'PaymentLineItems',
+    'Disputes'
+];
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.sequelize.transaction(async transaction => {
+            const existing = await queryInterface.showAllTables({ transaction });
+            if (TABLES.every(table => existing.includes(table))) {
+                return;
+            }
+
+            await queryInterface.createTable('BillingSchedules', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                type: { type: Sequelize.ENUM('recurring', 'milestone'), allowNull: false },
+                description: { type: Sequelize.TEXT, allowNull: false },
+                amount: { type: Sequelize.DECIMAL(12, 2) },
+                interval: { type: Sequelize.ENUM('week', 'month') },
+                startsAt: { type: Sequelize.DATE },
+                endsAt: { type: Sequelize.DATE },
+                nextRunAt: { type: Sequelize.DATE },
+                periodsBilled: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+                autoPay: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+                active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ContractId: { type: Sequelize.INTEGER, references: { model: 'Contracts', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('BillingSchedules', ['active', 'nextRunAt'], { transaction });
+            await queryInterface.createTable('Credentials', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                username: { type: Sequelize.STRING, allowNull: false, unique: true },
+                passwordHash: { type: Sequelize.STRING, allowNull: false },
+                role: { type: Sequelize.ENUM('user', 'admin'), allowNull: false, defaultValue: 'user' },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('RefreshTokens', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                jti: { type: Sequelize.STRING, allowNull: false, unique: true },
+                expiresAt: { type: Sequelize.DATE, allowNull: false },
+                revokedAt: { type: Sequelize.DATE },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                CredentialId: { type: Sequelize.INTEGER, references: { model: 'Credentials', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('ContractStatusChanges', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                fromStatus: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') },
+                toStatus: { type: Sequelize.ENUM('new', 'in_progress', 'terminated'), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                ContractId: { type: Sequelize.INTEGER, references: { model: 'Contracts', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                ChangedById: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('Deposits', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                currency: { type: Sequelize.STRING(3), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('DepositLimits', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                type: { type: Sequelize.ENUM('percentage', 'daily', 'fixed'), allowNull: false },
+                value: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('DepositLimits', ['ProfileId', 'type'], { unique: true, transaction });
+            await queryInterface.createTable('Payouts', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                currency: { type: Sequelize.STRING(3), allowNull: false },
+                status: { type: Sequelize.ENUM('pending', 'approved', 'failed'), allowNull: false, defaultValue: 'pending' },
+                provider: { type: Sequelize.STRING },
+                providerReference: { type: Sequelize.STRING },
+                failureReason: { type: Sequelize.TEXT },
+                reviewedAt: { type: Sequelize.DATE },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                ReviewedById: { type: Sequelize.INTEGER, references: { model: 'Credentials', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('LedgerEntries', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                transactionId: { type: Sequelize.STRING, allowNull: false },
+                account: { type: Sequelize.ENUM('profile', 'hold', 'escrow', 'external', 'fx', 'platform', 'tax'), allowNull: false },
+                direction: { type: Sequelize.ENUM('debit', 'credit'), allowNull: false },
+                amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                currency: { type: Sequelize.STRING(3), allowNull: false },
+                exchangeRate: { type: Sequelize.DECIMAL(18, 8), allowNull: false, defaultValue: 1 },
+                kind: { type: Sequelize.ENUM('opening_balance', 'deposit', 'job_payment', 'payout_hold', 'payout', 'payout_release', 'escrow_fund', 'escrow_release', 'escrow_refund', 'platform_fee', 'tax_withholding', 'dispute_refund'), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                JobId: { type: Sequelize.INTEGER, references: { model: 'Jobs', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                DepositId: { type: Sequelize.INTEGER, references: { model: 'Deposits', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                PayoutId: { type: Sequelize.INTEGER, references: { model: 'Payouts', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('ExchangeRates', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                baseCurrency: { type: Sequelize.STRING(3), allowNull: false },
+                quoteCurrency: { type: Sequelize.STRING(3), allowNull: false },
+                rate: { type: Sequelize.DECIMAL(18, 8), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false }
+            }, { transaction });
+            await queryInterface.addIndex('ExchangeRates', ['baseCurrency', 'quoteCurrency'], { transaction });
+            await queryInterface.createTable('IdempotencyKeys', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                key: { type: Sequelize.STRING, allowNull: false },
+                fingerprint: { type: Sequelize.STRING, allowNull: false },
+                status: { type: Sequelize.ENUM('in_progress', 'completed'), allowNull: false },
+                responseStatus: { type: Sequelize.INTEGER },
+                responseBody: { type: Sequelize.TEXT },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('IdempotencyKeys', ['ProfileId', 'key'], { unique: true, transaction });
+            await queryInterface.createTable('OutboxEvents', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                type: { type: Sequelize.STRING, allowNull: false },
+                payload: { type: Sequelize.JSON, allowNull: false },
+                dispatchedAt: { type: Sequelize.DATE },
+                createdAt: { type: Sequelize.DATE, allowNull: false }
+            }, { transaction });
+            await queryInterface.createTable('WebhookSubscriptions', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                url: { type: Sequelize.STRING, allowNull: false },
+                events: { type: Sequelize.JSON, allowNull: false },
+                secret: { type: Sequelize.STRING, allowNull: false },
+                active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false }
+            }, { transaction });
+            await queryInterface.createTable('WebhookDeliveries', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                status: { type: Sequelize.ENUM('pending', 'delivered', 'failed'), allowNull: false, defaultValue: 'pending' },
+                attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+                nextAttemptAt: { type: Sequelize.DATE },
+                lastAttemptAt: { type: Sequelize.DATE },
+                responseStatus: { type: Sequelize.INTEGER },
+                error: { type: Sequelize.TEXT },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                OutboxEventId: { type: Sequelize.INTEGER, references: { model: 'OutboxEvents', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                WebhookSubscriptionId: { type: Sequelize.INTEGER, references: { model: 'WebhookSubscriptions', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt'], { transaction });
+            await queryInterface.createTable('AuditLogs', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                actorId: { type: Sequelize.STRING },
+                actorRole: { type: Sequelize.STRING },
+                method: { type: Sequelize.STRING, allowNull: false },
+                route: { type: Sequelize.STRING },
+                path: { type: Sequelize.STRING, allowNull: false },
+                params: { type: Sequelize.JSON },
+                query: { type: Sequelize.JSON },
+                body: { type: Sequelize.JSON },
+                statusCode: { type: Sequelize.INTEGER, allowNull: false },
+                outcome: { type: Sequelize.ENUM('success', 'failure'), allowNull: false },
+                error: { type: Sequelize.TEXT },
+                changes: { type: Sequelize.JSON, allowNull: false },
+                ip: { type: Sequelize.STRING },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                ProfileId: { type: Sequelize.INTEGER, references: { model: 'Profiles', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('AuditLogs', ['ProfileId'], { transaction });
+            await queryInterface.addIndex('AuditLogs', ['createdAt'], { transaction });
+            await queryInterface.createTable('Milestones', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                description: { type: Sequelize.TEXT, allowNull: false },
+                amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                dueDate: { type: Sequelize.DATE, allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                BillingScheduleId: { type: Sequelize.INTEGER, references: { model: 'BillingSchedules', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                JobId: { type: Sequelize.INTEGER, references: { model: 'Jobs', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('AutoPayments', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                status: { type: Sequelize.ENUM('pending', 'paid', 'failed', 'cancelled'), allowNull: false, defaultValue: 'pending' },
+                attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+                nextAttemptAt: { type: Sequelize.DATE },
+                lastAttemptAt: { type: Sequelize.DATE },
+                error: { type: Sequelize.TEXT },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                BillingScheduleId: { type: Sequelize.INTEGER, references: { model: 'BillingSchedules', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                JobId: { type: Sequelize.INTEGER, references: { model: 'Jobs', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('AutoPayments', ['status', 'nextAttemptAt'], { transaction });
+            await queryInterface.createTable('FeeRules', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                type: { type: Sequelize.ENUM('percentage', 'flat', 'tiered'), allowNull: false },
+                percentage: { type: Sequelize.DECIMAL(6, 3) },
+                amount: { type: Sequelize.DECIMAL(12, 2) },
+                currency: { type: Sequelize.STRING(3) },
+                tiers: { type: Sequelize.JSON },
+                profession: { type: Sequelize.STRING },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                ContractId: { type: Sequelize.INTEGER, references: { model: 'Contracts', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('FeeRules', ['ContractId', 'profession'], { unique: true, transaction });
+            await queryInterface.createTable('WithholdingRules', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                country: { type: Sequelize.STRING(2), allowNull: false, unique: true },
+                percentage: { type: Sequelize.DECIMAL(6, 3), allowNull: false },
+                description: { type: Sequelize.STRING },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false }
+            }, { transaction });
+            await queryInterface.createTable('PaymentLineItems', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                type: { type: Sequelize.ENUM('fee', 'withholding'), allowNull: false },
+                description: { type: Sequelize.STRING, allowNull: false },
+                amount: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+                currency: { type: Sequelize.STRING(3), allowNull: false },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                JobId: { type: Sequelize.INTEGER, references: { model: 'Jobs', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                FeeRuleId: { type: Sequelize.INTEGER, references: { model: 'FeeRules', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                WithholdingRuleId: { type: Sequelize.INTEGER, references: { model: 'WithholdingRules', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.createTable('Disputes', {
+                id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+                reason: { type: Sequelize.TEXT, allowNull: false },
+                response: { type: Sequelize.TEXT },
+                respondedAt: { type: Sequelize.DATE },
+                status: { type: Sequelize.ENUM('open', 'resolved'), allowNull: false, defaultValue: 'open' },
+                resolution: { type: Sequelize.ENUM('full_refund', 'partial_refund', 'no_refund') },
+                refundAmount: { type: Sequelize.DECIMAL(12, 2) },
+                resolutionNote: { type: Sequelize.TEXT },
+                resolvedAt: { type: Sequelize.DATE },
+                createdAt: { type: Sequelize.DATE, allowNull: false },
+                updatedAt: { type: Sequelize.DATE, allowNull: false },
+                JobId: { type: Sequelize.INTEGER, references: { model: 'Jobs', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' },
+                ResolvedById: { type: Sequelize.INTEGER, references: { model: 'Credentials', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+            }, { transaction });
+            await queryInterface.addIndex('Disputes', ['JobId'], { unique: true, transaction });
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.sequelize.transaction(async transaction => {
+            for (const table of TABLES.slice().reverse()) {
+                await queryInterface.dropTable(table, { transaction });
+            }
+        });
+    }
+};
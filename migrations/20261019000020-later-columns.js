@@ -0,0 +1,77 @@
+/**
+ * The columns added to profiles, contracts and jobs after the original
+ * schema. Existing rows get the defaults: everything is priced in USD, and
+ * jobs are approved, or paid when they were. Columns a database already has
+ * (see 20261019000010-later-tables.js) are left as they are.
+ */
+
+const columns = Sequelize => ({
+    Profiles: {
+        currency: { type: Sequelize.STRING(3), allowNull: false, defaultValue: 'USD' },
+        country: { type: Sequelize.STRING(2) },
+        deactivatedAt: { type: Sequelize.DATE }
+    },
+    Contracts: {
+        currency: { type: Sequelize.STRING(3), allowNull: false, defaultValue: 'USD' }
+    },
+    Jobs: {
+        currency: { type: Sequelize.STRING(3), allowNull: false, defaultValue: 'USD' },
+        status: { type: Sequelize.ENUM('new', 'submitted', 'approved', 'paid'), allowNull: false, defaultValue: 'new' },
+        escrowStatus: { type: Sequelize.ENUM('funded', 'released', 'refunded') },
+        escrowAmount: { type: Sequelize.DECIMAL(12, 2) },
+        escrowCurrency: { type: Sequelize.STRING(3) },
+        feeAmount: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+        withheldAmount: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+        disputeStatus: { type: Sequelize.ENUM('open', 'resolved') },
+        refundedAmount: { type: Sequelize.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+        BillingScheduleId: { type: Sequelize.INTEGER, references: { model: 'BillingSchedules', key: 'id' }, onDelete: 'SET NULL', onUpdate: 'CASCADE' }
+    }
+});
+
+// The enum types Postgres created for the job columns
+const ENUMS = ['enum_Jobs_status', 'enum_Jobs_escrowStatus', 'enum_Jobs_disputeStatus'];
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const { sequelize } = queryInterface;
+
+        await sequelize.transaction(async transaction => {
+            const added = [];
+            for (const [table, attributes] of Object.entries(columns(Sequelize))) {
+                const existing = await queryInterface.describeTable(table, { transaction });
+                for (const [column, attribute] of Object.entries(attributes)) {
+                    if (!existing[column]) {
+                        await queryInterface.addColumn(table, column, attribute, { transaction });
+                        added.push(`${table}.${column}`);
+                    }
+                }
+            }
+
+            // Any unpaid job could be paid before jobs had a status
+            if (added.includes('Jobs.status')) {
+                await sequelize.query(`UPDATE "Jobs" SET status = 'approved'`, { transaction });
+                await sequelize.query(`UPDATE "Jobs" SET status = 'paid' WHERE paid`, { transaction });
+            }
+        });
+    },
+
+    // SQLite keeps the columns: dropping them would rebuild the tables without
+    // their autoincrement and foreign key actions.
+    async down(queryInterface, Sequelize) {
+        const { sequelize } = queryInterface;
+        if (sequelize.getDialect() === 'sqlite') {
+            return;
+        }
+
+        await sequelize.transaction(async transaction => {
+            for (const [table, attributes] of Object.entries(columns(Sequelize))) {
+                for (const column of Object.keys(attributes)) {
+                    await queryInterface.removeColumn(table, column, { transaction });
+                }
+            }
+            for (const name of ENUMS) {
+                await queryInterface.dropEnum(name, { transaction });
+            }
+        });
+    }
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Books the balances that predate the ledger as opening entries, as
+ * recordOpeningBalance() in services/ledger.js does, so that reconciliation
+ * finds the ledger matching Profile.balance. Profiles that already have
+ * ledger entries are left alone.
+ */
+module.exports = {
+    async up(queryInterface) {
+        const { sequelize } = queryInterface;
+
+        await sequelize.transaction(async transaction => {
+            const profiles = await sequelize.query(
+                `SELECT id, balance, currency FROM "Profiles" WHERE balance <> 0
+                 AND NOT EXISTS (SELECT 1 FROM "LedgerEntries" WHERE "LedgerEntries"."ProfileId" = "Profiles".id)`,
+                { type: sequelize.QueryTypes.SELECT, transaction }
+            );
+            if (!profiles.length) {
+                return;
+            }
+
+            const createdAt = new Date();
+            const entries = profiles.flatMap(({ id, balance, currency }) => {
+                const transactionId = crypto.randomBytes(16).toString('hex');
+                const entry = { transactionId, amount: balance, currency, exchangeRate: 1, kind: 'opening_balance', createdAt };
+                return [
+                    { ...entry, account: 'external', direction: 'debit', ProfileId: null },
+                    { ...entry, account: 'profile', direction: 'credit', ProfileId: id }
+                ];
+            });
+            await queryInterface.bulkInsert('LedgerEntries', entries, { transaction });
+        });
+    },
+
+    // The entries cannot be told apart from those the seed script books; they
+    // go with the ledger when 20261019000010-later-tables.js is reverted.
+    async down() {}
+};
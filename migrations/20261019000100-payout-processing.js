@@ -0,0 +1,43 @@
+/**
+ * Payouts get a `processing` status while the payout provider sends them, and
+ * the idempotency key they are sent with. Payouts left pending after a review
+ * started were being sent when the process stopped; they become processing,
+ * so an admin can retry or reject them.
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const { sequelize } = queryInterface;
+
+        // Postgres cannot use a new enum value in the transaction that added it
+        if (sequelize.getDialect() === 'postgres') {
+            await sequelize.query(`ALTER TYPE "enum_Payouts_status" ADD VALUE IF NOT EXISTS 'processing' AFTER 'pending'`);
+        }
+
+        await sequelize.transaction(async transaction => {
+            // Reverting on SQLite leaves the column in place
+            const columns = await queryInterface.describeTable('Payouts', { transaction });
+            if (!columns.idempotencyKey) {
+                await queryInterface.addColumn('Payouts', 'idempotencyKey', { type: Sequelize.STRING }, { transaction });
+            }
+            await sequelize.query(`UPDATE "Payouts" SET "idempotencyKey" = 'payout-' || id WHERE "idempotencyKey" IS NULL`, { transaction });
+            await sequelize.query(
+                `UPDATE "Payouts" SET status = 'processing' WHERE status = 'pending' AND "reviewedAt" IS NOT NULL`,
+                { transaction }
+            );
+        });
+    },
+
+    // Postgres keeps the `processing` enum value, which no row uses any more.
+    // SQLite keeps the column too: dropping it would rebuild the table without
+    // its autoincrement and foreign key actions.
+    async down(queryInterface) {
+        const { sequelize } = queryInterface;
+
+        await sequelize.transaction(async transaction => {
+            await sequelize.query(`UPDATE "Payouts" SET status = 'pending' WHERE status = 'processing'`, { transaction });
+            if (sequelize.getDialect() !== 'sqlite') {
+                await queryInterface.removeColumn('Payouts', 'idempotencyKey', { transaction });
+            }
+        });
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * A NULL ProfileId does not count as a duplicate in the unique index on
+ * (ProfileId, type), so two global deposit limits of one type could be
+ * stored. A partial unique index allows one; duplicates already stored are
+ * removed first, keeping the newest.
+ */
+module.exports = {
+    async up(queryInterface) {
+        const { sequelize } = queryInterface;
+
+        await sequelize.transaction(async transaction => {
+            await sequelize.query(
+                `DELETE FROM "DepositLimits" WHERE "ProfileId" IS NULL AND id NOT IN
+                    (SELECT MAX(id) FROM "DepositLimits" WHERE "ProfileId" IS NULL GROUP BY type)`,
+                { transaction }
+            );
+            await queryInterface.addIndex('DepositLimits', ['type'], {
+                name: 'deposit_limits_global_type',
+                unique: true,
+                where: { ProfileId: null },
+                transaction
+            });
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('DepositLimits', 'deposit_limits_global_type');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * A NULL ContractId does not count as a duplicate in the unique index on
+ * (ContractId, profession), so two global fee rules, or two rules of one
+ * profession, could be stored. A partial unique index allows one of each;
+ * duplicates already stored are removed first, keeping the newest.
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const { sequelize } = queryInterface;
+
+        await sequelize.transaction(async transaction => {
+            await sequelize.query(
+                `DELETE FROM "FeeRules" WHERE "ContractId" IS NULL AND id NOT IN
+                    (SELECT MAX(id) FROM "FeeRules" WHERE "ContractId" IS NULL GROUP BY profession)`,
+                { transaction }
+            );
+            // The global rule has no profession either; it counts as the empty one
+            await queryInterface.addIndex('FeeRules', [Sequelize.fn('COALESCE', Sequelize.col('profession'), '')], {
+                name: 'fee_rules_global_profession',
+                unique: true,
+                where: { ContractId: null },
+                transaction
+            });
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('FeeRules', 'fee_rules_global_profession');
+    }
+};
@@ -0,0 +1,10 @@
+const { migrator } = require('../src/migrator');
+
+/*
+ * Applies or reverts migrations against the database configured through
+ * DATABASE_URL or DB_STORAGE. `npm run migrate` applies every pending
+ * migration and `npm run migrate:down` reverts the last one. See
+ * `node scripts/migrate.js --help` for the other commands, e.g. `pending`
+ * and `executed`.
+ */
+migrator.runAsCLI();
@@ -1,230 +1,118 @@
-const { Profile, Contract, Job } = require('../src/model');
+const { sequelize, Profile, Contract, Job, Credential, DepositLimit, ExchangeRate } = require('../src/model');
+const { migrate } = require('../src/migrator');
+const { recordOpeningBalance } = require('../src/services/ledger');
+const { hashPassword } = require('../src/services/auth');
 
-/* WARNING THIS WILL DROP THE CURRENT DATABASE */
-seed();
+/*
+ * Loads the fixtures into the configured database after applying pending
+ * migrations. Fixtures that already exist are left as they are, so running it
+ * again never drops or overwrites data.
+ */
+
+const PROFILES = [
+  { id: 1, firstName: 'Harry', lastName: 'Potter', profession: 'Wizard', balance: 1150, type: 'client' },
+  { id: 2, firstName: 'Mr', lastName: 'Robot', profession: 'Hacker', balance: 231.11, type: 'client' },
+  { id: 3, firstName: 'John', lastName: 'Snow', profession: 'Knows nothing', balance: 451.3, type: 'client' },
+  { id: 4, firstName: 'Ash', lastName: 'Kethcum', profession: 'Pokemon master', balance: 1.3, type: 'client' },
+  { id: 5, firstName: 'John', lastName: 'Lenon', profession: 'Musician', balance: 64, country: 'GB', type: 'contractor' },
+  { id: 6, firstName: 'Linus', lastName: 'Torvalds', profession: 'Programmer', balance: 1214, country: 'FI', type: 'contractor' },
+  { id: 7, firstName: 'Alan', lastName: 'Turing', profession: 'Programmer', balance: 22, country: 'GB', type: 'contractor' },
+  { id: 8, firstName: 'Aragorn', lastName: 'II Elessar Telcontarvalds', profession: 'Fighter', balance: 314, country: 'NZ', type: 'contractor' }
+];
+
+const CONTRACTS = [
+  { id: 1, terms: 'bla bla bla', status: 'terminated', ClientId: 1, ContractorId: 5 },
+  { id: 2, terms: 'bla bla bla', status: 'in_progress', ClientId: 1, ContractorId: 6 },
+  { id: 3, terms: 'bla bla bla', status: 'in_progress', ClientId: 2, ContractorId: 6 },
+  { id: 4, terms: 'bla bla bla', status: 'in_progress', ClientId: 2, ContractorId: 7 },
+  { id: 5, terms: 'bla bla bla', status: 'new', ClientId: 3, ContractorId: 8 },
+  { id: 6, terms: 'bla bla bla', status: 'in_progress', ClientId: 3, ContractorId: 7 },
+  { id: 7, terms: 'bla bla bla', status: 'in_progress', ClientId: 4, ContractorId: 7 },
+  { id: 8, terms: 'bla bla bla', status: 'in_progress', ClientId: 4, ContractorId: 6 },
+  { id: 9, terms: 'bla bla bla', status: 'in_progress', ClientId: 4, ContractorId: 8 }
+];
+
+const JOBS = [
+  { id: 1, description: 'work', price: 200, status: 'approved', ContractId: 1 },
+  { id: 2, description: 'work', price: 201, status: 'approved', ContractId: 2 },
+  { id: 3, description: 'work', price: 202, status: 'approved', ContractId: 3 },
+  { id: 4, description: 'work', price: 200, status: 'approved', ContractId: 4 },
+  { id: 5, description: 'work', price: 200, status: 'approved', ContractId: 7 },
+  { id: 6, description: 'work', price: 2020, paid: true, status: 'paid', paymentDate: '2020-08-15T19:11:26.737Z', ContractId: 7 },
+  { id: 7, description: 'work', price: 200, paid: true, status: 'paid', paymentDate: '2020-08-15T19:11:26.737Z', ContractId: 2 },
+  { id: 8, description: 'work', price: 200, paid: true, status: 'paid', paymentDate: '2020-08-16T19:11:26.737Z', ContractId: 3 },
+  { id: 9, description: 'work', price: 200, paid: true, status: 'paid', paymentDate: '2020-08-17T19:11:26.737Z', ContractId: 1 },
+  { id: 10, description: 'work', price: 200, paid: true, status: 'paid', paymentDate: '2020-08-17T19:11:26.737Z', ContractId: 5 },
+  { id: 11, description: 'work', price: 21, paid: true, status: 'paid', paymentDate: '2020-08-10T19:11:26.737Z', ContractId: 1 },
+  { id: 12, description: 'work', price: 21, paid: true, status: 'paid', paymentDate: '2020-08-15T19:11:26.737Z', ContractId: 2 },
+  { id: 13, description: 'work', price: 121, paid: true, status: 'paid', paymentDate: '2020-08-15T19:11:26.737Z', ContractId: 3 },
+  { id: 14, description: 'work', price: 121, paid: true, status: 'paid', paymentDate: '2020-08-14T23:11:26.737Z', ContractId: 3 }
+];
+
+const EXCHANGE_RATES = [
+  { baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.08 },
+  { baseCurrency: 'GBP', quoteCurrency: 'USD', rate: 1.27 }
+];
+
+// Creates each row unless a row with the same values for `keys` exists. Returns the rows created.
+async function ensure(Model, rows, keys, { transaction }) {
+  const created = [];
+  for (const row of rows) {
+    const where = Object.fromEntries(keys.map(key => [key, row[key] === undefined ? null : row[key]]));
+    const [instance, isNew] = await Model.findOrCreate({ where, defaults: row, transaction });
+    if (isNew) {
+      created.push(instance);
+    }
+  }
+  return created;
+}
+
+// Postgres does not move id sequences past explicitly inserted ids
+async function resetSequences(Models, { transaction }) {
+  if (sequelize.getDialect() !== 'postgres') {
+    return;
+  }
+  for (const Model of Models) {
+    const table = Model.getTableName();
+    await sequelize.query(
+      `SELECT setval(pg_get_serial_sequence('"${table}"', 'id'), COALESCE(MAX(id), 1)) FROM "${table}"`,
+      { transaction }
+    );
+  }
+}
 
 async function seed() {
-  // create tables
-  await Profile.sync({ force: true });
-  await Contract.sync({ force: true });
-  await Job.sync({ force: true });
-  //insert data
-  await Promise.all([
-   Profile.create({
-      id: 1,
-      firstName: 'Harry',
-      lastName: 'Potter',
-      profession: 'Wizard',
-      balance: 1150,
-      type:'client'
-    }),
-    Profile.create({
-      id: 2,
-      firstName: 'Mr',
-      lastName: 'Robot',
-      profession: 'Hacker',
-      balance: 231.11,
-      type:'client'
-    }),
-    Profile.create({
-      id: 3,
-      firstName: 'John',
-      lastName: 'Snow',
-      profession: 'Knows nothing',
-      balance: 451.3,
-      type:'client'
-    }),
-    Profile.create({
-      id: 4,
-      firstName: 'Ash',
-      lastName: 'Kethcum',
-      profession: 'Pokemon master',
-      balance: 1.3,
-      type:'client'
-    }),
-    Profile.create({
-      id: 5,
-      firstName: 'John',
-      lastName: 'Lenon',
-      profession: 'Musician',
-      balance: 64,
-      type:'contractor'
-    }),
-    Profile.create({
-      id: 6,
-      firstName: 'Linus',
-      lastName: 'Torvalds',
-      profession: 'Programmer',
-      balance: 1214,
-      type:'contractor'
-    }),
-    Profile.create({
-      id: 7,
-      firstName: 'Alan',
-      lastName: 'Turing',
-      profession: 'Programmer',
-      balance: 22,
-      type:'contractor'
-    }),
-    Profile.create({
-      id: 8,
-      firstName: 'Aragorn',
-      lastName: 'II Elessar Telcontarvalds',
-      profession: 'Fighter',
-      balance: 314,
-      type:'contractor'
-    }),
-    Contract.create({
-      id:1,
-      terms: 'bla bla bla',
-     status: 'terminated',
-      ClientId: 1,
-      ContractorId:5
-    }),
-    Contract.create({
-      id:2,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 1,
-      ContractorId: 6
-    }),
-    Contract.create({
-      id:3,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 2,
-      ContractorId: 6
-    }),
-    Contract.create({
-      id: 4,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 2,
-      ContractorId: 7
-    }),
-    Contract.create({
-      id:5,
-      terms: 'bla bla bla',
-      status: 'new',
-      ClientId: 3,
-      ContractorId: 8
-    }),
-    Contract.create({
-      id:6,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 3,
-      ContractorId: 7
-    }),
-    Contract.create({
-      id:7,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 4,
-      ContractorId: 7
-    }),
-    Contract.create({
-      id:8,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 4,
-      ContractorId: 6
-    }),
-    Contract.create({
-      id:9,
-      terms: 'bla bla bla',
-      status: 'in_progress',
-      ClientId: 4,
-      ContractorId: 8
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      ContractId: 1,
-    }),
-    Job.create({
-      description: 'work',
-      price: 201,
-      ContractId: 2,
-    }),
-    Job.create({
-      description: 'work',
-      price: 202,
-      ContractId: 3,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      ContractId: 4,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      ContractId: 7,
-    }),
-    Job.create({
-      description: 'work',
-      price: 2020,
-      paid:true,
-      paymentDate:'2020-08-15T19:11:26.737Z',
-      ContractId: 7,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      paid:true,
-      paymentDate:'2020-08-15T19:11:26.737Z',
-      ContractId: 2,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      paid:true,
-      paymentDate:'2020-08-16T19:11:26.737Z',
-      ContractId: 3,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      paid:true,
-      paymentDate:'2020-08-17T19:11:26.737Z',
-      ContractId: 1,
-    }),
-    Job.create({
-      description: 'work',
-      price: 200,
-      paid:true,
-      paymentDate:'2020-08-17T19:11:26.737Z',
-      ContractId: 5,
-    }),
-    Job.create({
-      description: 'work',
-      price: 21,
-      paid:true,
-      paymentDate:'2020-08-10T19:11:26.737Z',
-      ContractId: 1,
-    }),
-    Job.create({
-      description: 'work',
-      price: 21,
-      paid:true,
-      paymentDate:'2020-08-15T19:11:26.737Z',
-      ContractId: 2,
-    }),
-    Job.create({
-      description: 'work',
-      price: 121,
-      paid:true,
-      paymentDate:'2020-08-15T19:11:26.737Z',
-      ContractId: 3,
-    }),
-    Job.create({
-      description: 'work',
-      price: 121,
-      paid:true,
-      paymentDate:'2020-08-14T23:11:26.737Z',
-      ContractId: 3,
-    }),
-    
-  ]);
+  await migrate();
+
+  await sequelize.transaction(async transaction => {
+    const profiles = await ensure(Profile, PROFILES, ['id'], { transaction });
+    await ensure(Contract, CONTRACTS, ['id'], { transaction });
+    await ensure(Job, JOBS, ['id'], { transaction });
+    await resetSequences([Profile, Contract, Job], { transaction });
+
+    // book the seeded balances so the ledger matches Profile.balance
+    for (const profile of profiles) {
+      await recordOpeningBalance(profile, { transaction });
+    }
+
+    // the original deposit rule: at most 25% of the unpaid jobs
+    await ensure(DepositLimit, [{ type: 'percentage', value: 25 }], ['ProfileId', 'type'], { transaction });
+    await ensure(ExchangeRate, EXCHANGE_RATES, ['baseCurrency', 'quoteCurrency'], { transaction });
+
+    // every profile logs in as user<id>, the admin as admin; all with password "password"
+    const passwordHash = await hashPassword('password');
+    await ensure(Credential, [
+      ...PROFILES.map(profile => ({ username: `user${profile.id}`, passwordHash, ProfileId: profile.id })),
+      { username: 'admin', passwordHash, role: 'admin' }
+    ], ['username'], { transaction });
+  });
 }
+
+if (require.main === module) {
+  seed().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { seed };
@@ -0,0 +1,39 @@
+/**
+ * Local HTTP receiver for trying out webhooks. Prints every event it receives
+ * and, when WEBHOOK_SECRET is set, whether its signature is valid.
+ *
+ *   PORT=4000 WEBHOOK_SECRET=whsec_... node ./scripts/webhookReceiver.js
+ *
+ * Set RESPOND_WITH=500 to answer with an error and watch the retries.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('../src/services/webhooks');
+
+const port = Number(process.env.PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const status = Number(process.env.RESPOND_WITH) || 200;
+
+function verify(header, body) {
+  const timestamp = /t=(\d+)/.exec(header || '');
+  if (!timestamp) {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, body, timestamp[1]));
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-webhook-signature'];
+    const check = secret ? (verify(signature, body) ? 'valid signature' : 'INVALID signature') : 'signature not checked';
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} (${check})`);
+    console.log(body);
+    res.writeHead(status).end();
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}, answering ${status}`);
+});
@@ -1,15 +1,44 @@
 // Import necessary modules and middleware
 const express = require('express');
 const bodyParser = require('body-parser');
+const swaggerUi = require('swagger-ui-dist');
 const { Sequelize } = require('sequelize');
 const { Op } = require('sequelize');
 const { sequelize } = require('./model');
 const { Job, Profile, Contract } = sequelize.models;
 const { getProfile } = require('./middleware/getProfile');
+const { requireRole } = require('./middleware/requireRole');
+const { idempotency } = require('./middleware/idempotency');
+const { rateLimitIp, rateLimit } = require('./middleware/rateLimit');
+const { auditLog } = require('./middleware/auditLog');
+const { validate } = require('./middleware/validate');
+const { id, money, date, nonEmptyString, currencyCode, countryCode, percentage, idParams } = require('./schemas');
+const { pageQueryProperties, range, paginate } = require('./services/pagination');
+const auth = require('./services/auth');
+const ledger = require('./services/ledger');
+const { withTransaction } = require('./services/db');
+const contracts = require('./services/contracts');
+const jobs = require('./services/jobs');
+const payments = require('./services/payments');
+const payouts = require('./services/payouts');
+const deposits = require('./services/deposits');
+const reports = require('./services/reports');
+const documents = require('./services/documents');
+const events = require('./services/events');
+const webhooks = require('./services/webhooks');
+const billing = require('./services/billing');
+const escrow = require('./services/escrow');
+const disputes = require('./services/disputes');
+const profiles = require('./services/profiles');
+const { toCsv } = require('./services/csv');
+const openapi = require('./openapi');
 
 // Create an Express application
 const app = express();
 
+// Record every mutating call in the audit log, including those with malformed bodies
+app.use(auditLog);
+
 // Middleware to parse JSON requests
 app.use(bodyParser.json());
 
@@ -17,11 +46,149 @@ app.use(bodyParser.json());
 app.set('sequelize', sequelize);
 app.set('models', sequelize.models);
 
+/**
+ * Sends a page built by paginate(), or a validation error when its cursor was invalid.
+ */
+function sendPage(res, page) {
+    if (!page) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'query', field: 'cursor', message: 'must be a cursor returned by this list' }]
+        });
+    }
+
+    res.json(page);
+}
+
+/**
+ * Rejects a query whose `from` date falls after its `to` date.
+ */
+const requireDateOrder = (from, to) => (req, res, next) => {
+    if (Date.parse(req.query[from]) > Date.parse(req.query[to])) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'query', field: to, message: `must not be before ${from}` }]
+        });
+    }
+
+    next();
+};
+
+/**
+ * Sends a file built by the documents service as a download.
+ */
+function sendDownload(res, { filename, contentType, body }) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(contentType).send(body);
+}
+
+// Query property choosing between the JSON response of an admin report and a CSV download
+const reportFormat = { type: 'string', enum: ['json', 'csv'], default: 'json' };
+
+/**
+ * POST endpoint to log in with a username and password.
+ * Returns a short-lived access token and a refresh token.
+ */
+app.post('/auth/login', rateLimitIp('auth'), validate({
+    body: {
+        type: 'object',
+        properties: { username: nonEmptyString, password: nonEmptyString },
+        required: ['username', 'password'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+        const credential = await auth.login(username, password);
+
+        if (!credential) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        if (credential.Profile && credential.Profile.deactivatedAt) {
+            return res.status(403).json({ error: 'Profile is deactivated' });
+        }
+
+        res.json(await auth.issueTokens(credential));
+    } catch (error) {
+        console.error('Error logging in:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint to sign up as a client or contractor. Creates the profile,
+ * with an empty balance, and its login; returns the profile and a first pair
+ * of tokens.
+ */
+app.post('/auth/register', rateLimitIp('auth'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            username: { ...nonEmptyString, maxLength: 64 },
+            password: { type: 'string', minLength: 8, maxLength: 128 },
+            firstName: nonEmptyString,
+            lastName: nonEmptyString,
+            profession: nonEmptyString,
+            type: { type: 'string', enum: ['client', 'contractor'] },
+            currency: { ...currencyCode, default: 'USD' },
+            country: countryCode
+        },
+        required: ['username', 'password', 'firstName', 'lastName', 'profession', 'type'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    try {
+        const result = await withTransaction(transaction => profiles.register(req.body, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ profile: result.profile, ...await auth.issueTokens(result.credential) });
+    } catch (error) {
+        // A concurrent registration took the username after it was checked; the transaction rolled back
+        if (error instanceof Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+        console.error('Error registering:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint to exchange a refresh token for a new pair of tokens.
+ * Each refresh token can be used only once.
+ */
+app.post('/auth/refresh', rateLimitIp('auth'), validate({
+    body: {
+        type: 'object',
+        properties: { refreshToken: nonEmptyString },
+        required: ['refreshToken'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const tokens = await auth.refresh(refreshToken);
+
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json(tokens);
+    } catch (error) {
+        console.error('Error refreshing token:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * GET endpoint to fetch a contract by its ID.
  * Returns the contract if it belongs to the requesting profile.
  */
-app.get('/contracts/:id', getProfile, async (req, res) => {
+app.get('/contracts/:id', rateLimitIp('read'), getProfile, rateLimit('read'), validate({ params: idParams('id') }), async (req, res) => {
     const { Contract } = req.app.get('models');
     const { id } = req.params;
     const { profile } = req;
@@ -49,33 +216,45 @@ app.get('/contracts/:id', getProfile, async (req, res) => {
 
 /**
  * GET endpoint to fetch contracts belonging to a user (client or contractor).
- * Returns a list of non-terminated contracts associated with the user profile.
+ * Returns a page of the user's contracts. Terminated contracts are left out
+ * unless they are asked for with the `status` filter.
  */
-app.get('/contracts', getProfile, async (req, res) => {
+app.get('/contracts', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'createdAt', 'updatedAt']),
+            status: { type: 'array', items: { enum: ['new', 'in_progress', 'terminated'] } },
+            createdFrom: date,
+            createdTo: date
+        }
+    }
+}), async (req, res) => {
     // Destructure the Contract model and profile from the request object
     const { Contract } = req.app.get('models');
     const { profile } = req;
+    const { status, createdFrom, createdTo, limit, cursor, sort } = req.query;
+    const createdAt = range(createdFrom, createdTo);
 
     try {
-        // Check if profile or profile.id is missing
-        if (!profile || !profile.id) {
-            return res.status(400).json({ error: 'Profile ID is missing or invalid' });
-        }
-
         // Fetch contracts for the profile (either client or contractor)
-        const contracts = await Contract.findAll({
+        const page = await paginate(Contract, {
             where: {
                 // Find contracts where the profile is either the client or contractor
                 [Sequelize.Op.or]: [
                     { ClientId: profile.id },
                     { ContractorId: profile.id }
                 ],
-                // Exclude contracts with status 'terminated'
-                status: { [Sequelize.Op.ne]: 'terminated' }
-            }
+                // Exclude contracts with status 'terminated' unless statuses were requested
+                status: status ? { [Sequelize.Op.in]: status } : { [Sequelize.Op.ne]: 'terminated' },
+                ...(createdAt && { createdAt })
+            },
+            limit,
+            cursor,
+            sort
         });
 
-        res.json(contracts);
+        sendPage(res, page);
     } catch (error) {
         // Handle errors
         console.error('Error fetching contracts:', error.message);
@@ -83,253 +262,2018 @@ app.get('/contracts', getProfile, async (req, res) => {
     }
 });
 
+/**
+ * POST endpoint for a client to propose a contract to a contractor.
+ * The contract starts in status `new` until the contractor accepts it.
+ */
+app.post('/contracts', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    body: {
+        type: 'object',
+        properties: { contractorId: id, terms: nonEmptyString, currency: currencyCode },
+        required: ['contractorId', 'terms'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { Profile } = req.app.get('models');
+    const { profile } = req;
+    const { contractorId, terms } = req.body;
+
+    try {
+        // Only clients can propose contracts
+        if (profile.type !== 'client') {
+            return res.status(403).json({ error: 'Unauthorized: Only clients can propose contracts' });
+        }
+
+        // The other party must be an existing, active contractor
+        const contractor = await Profile.findByPk(contractorId);
+        if (!contractor || contractor.type !== 'contractor' || contractor.deactivatedAt) {
+            return res.status(404).json({ error: 'Contractor not found' });
+        }
+
+        const contract = await withTransaction(transaction => contracts.createContract(
+            // Jobs are priced in the contractor's currency unless the client picks another one
+            { terms, ClientId: profile.id, ContractorId: contractor.id, currency: req.body.currency || contractor.currency },
+            profile,
+            { transaction }
+        ));
+
+        res.status(201).json(contract);
+    } catch (error) {
+        console.error('Error creating contract:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
 /**
- * GET endpoint to fetch all unpaid jobs for a user (either a client or contractor).
- * Returns unpaid jobs associated with active contracts for the user profile.
+ * Builds a handler that moves the contract in `req.params.id` to `toStatus`.
+ * `mayChange(contract, profile)` decides whether the caller is allowed to make the change.
  */
-app.get('/jobs/unpaid', getProfile, async (req, res) => {
-    // Destructure the Job and Contract models and profile from the request object
-    const { Job, Contract } = req.app.get('models');
+const contractTransition = (toStatus, mayChange, forbiddenMessage) => async (req, res) => {
+    const { Contract } = req.app.get('models');
     const { profile } = req;
+    const { id } = req.params;
 
     try {
-        // Find all unpaid jobs associated with active contracts for the user profile
-        const unpaidJobs = await Job.findAll({
-            where: {
-                // Filter unpaid jobs
-                paid: null,
-                // Filter jobs associated with contracts in progress
-                '$Contract.status$': 'in_progress',
-                // Filter jobs associated with the user profile (either as client or contractor)
-                [Sequelize.Op.or]: [
-                    { '$Contract.ClientId$': profile.id },
-                    { '$Contract.ContractorId$': profile.id }
-                ]
-            },
-            // Include the Contract model to filter by contract status
-            include: [{
-                model: Contract,
-                as: 'Contract',
-                where: {
-                    status: 'in_progress'
-                }
-            }]
+        const result = await withTransaction(async (transaction) => {
+            const contract = await Contract.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+            if (!contract) {
+                return { status: 404, error: 'Contract not found' };
+            }
+
+            if (!mayChange(contract, profile)) {
+                return { status: 403, error: forbiddenMessage };
+            }
+
+            // Reject transitions the state machine does not allow
+            const fromStatus = contract.status;
+            if (!await contracts.changeStatus(contract, toStatus, profile, { transaction })) {
+                return { status: 409, error: `Cannot change contract status from ${fromStatus} to ${toStatus}` };
+            }
+
+            return { status: 200, contract };
         });
 
-        // Respond with the list of unpaid jobs
-        res.json(unpaidJobs);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.contract);
     } catch (error) {
-        // Handle errors
-        console.error('Error fetching unpaid jobs:', error.message);
+        console.error(`Error changing contract status to ${toStatus}:`, error.message);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+};
 
-// Create the endpoint for handling payment for a job
-app.post('/jobs/:job_id/pay', getProfile, async (req, res) => {
-    // Destructure necessary models and objects from req.app
-    const { Job, Profile } = req.app.get('models');
+/**
+ * POST endpoint for the contractor to accept a proposed contract (new -> in_progress).
+ */
+app.post('/contracts/:id/accept', rateLimitIp('write'), getProfile, rateLimit('write'), validate({ params: idParams('id') }), contractTransition(
+    'in_progress',
+    (contract, profile) => contract.ContractorId === profile.id,
+    'Unauthorized: Only the contractor can accept a contract'
+));
+
+/**
+ * POST endpoint for either party to terminate a contract.
+ */
+app.post('/contracts/:id/terminate', rateLimitIp('write'), getProfile, rateLimit('write'), validate({ params: idParams('id') }), contractTransition(
+    'terminated',
+    (contract, profile) => contract.ClientId === profile.id || contract.ContractorId === profile.id,
+    'Unauthorized: Contract does not belong to the requesting profile'
+));
+
+/**
+ * GET endpoint to fetch the status history of a contract.
+ * Only the parties of the contract can read it.
+ */
+app.get('/contracts/:id/history', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: { type: 'object', properties: pageQueryProperties() }
+}), async (req, res) => {
+    const { Contract, ContractStatusChange } = req.app.get('models');
     const { profile } = req;
-    const jobId = req.params.job_id;
+    const { id } = req.params;
+    const { limit, cursor, sort } = req.query;
 
     try {
-        // Find the job by its ID and include the associated contract
-        const job = await Job.findByPk(jobId, { include: ['Contract'] });
+        const contract = await Contract.findByPk(id);
+
+        if (!contract) {
+            return res.status(404).json({ error: 'Contract not found' });
+        }
 
-        // Return error if job is not found
-        if (!job) {
-            return res.status(404).json({ error: 'Job not found' });
+        if (contract.ClientId !== profile.id && contract.ContractorId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Contract does not belong to the requesting profile' });
         }
 
-        // Ensure the requesting profile is the client associated with this job
-        if (job.Contract.ClientId !== profile.id) {
-            return res.status(403).json({ error: 'Unauthorized: Only clients can pay for jobs' });
+        const page = await paginate(ContractStatusChange, {
+            where: { ContractId: contract.id },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching contract history:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+/**
+ * POST endpoint for the client to add a billing schedule to a contract: a fixed
+ * amount every week or month, or a list of milestones. The scheduler creates
+ * the jobs, already approved, and pays them when `autoPay` is set.
+ */
+app.post('/contracts/:id/billing-schedules', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['recurring', 'milestone'] },
+            description: nonEmptyString,
+            amount: money,
+            interval: { type: 'string', enum: ['week', 'month'] },
+            startsAt: date,
+            endsAt: date,
+            milestones: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 100,
+                items: {
+                    type: 'object',
+                    properties: { description: nonEmptyString, amount: money, dueDate: date },
+                    required: ['description', 'amount', 'dueDate'],
+                    additionalProperties: false
+                }
+            },
+            autoPay: { type: 'boolean', default: false }
+        },
+        required: ['type', 'description'],
+        additionalProperties: false,
+        // Recurring schedules need an amount and interval, milestone schedules their milestones
+        if: { properties: { type: { const: 'recurring' } }, required: ['type'] },
+        then: { required: ['amount', 'interval', 'startsAt'] },
+        else: { required: ['milestones'] }
+    }
+}), async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+    const { startsAt, endsAt } = req.body;
+
+    if (endsAt && startsAt && Date.parse(endsAt) <= Date.parse(startsAt)) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'body', field: 'endsAt', message: 'must be after startsAt' }]
+        });
+    }
+
+    try {
+        const contract = await Contract.findByPk(id);
+
+        if (!contract) {
+            return res.status(404).json({ error: 'Contract not found' });
         }
 
-        // Check if the client has enough balance to pay for the job
-        if (profile.balance < job.price) {
-            return res.status(400).json({ error: 'Insufficient balance' });
+        // The client pays the scheduled jobs, so only the client sets up billing
+        if (contract.ClientId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Only the client can add a billing schedule' });
         }
 
-        // Update balances: deduct from client, add to contractor
-        await Profile.update(
-            { balance: Sequelize.literal(`balance - ${job.price}`) },
-            { where: { id: profile.id } }
-        );
-        await Profile.update(
-            { balance: Sequelize.literal(`balance + ${job.price}`) },
-            { where: { id: job.Contract.ContractorId } }
-        );
+        if (contract.status === 'terminated') {
+            return res.status(409).json({ error: 'Terminated contracts cannot be billed' });
+        }
 
-        // Mark the job as paid and set payment date
-        await job.update({ paid: true, paymentDate: new Date() });
+        const schedule = await withTransaction(transaction => billing.createSchedule(contract, req.body, { transaction }));
 
-        // Respond with success message
-        res.json({ message: 'Payment successful' });
+        res.status(201).json(schedule);
     } catch (error) {
-        // Handle errors
-        console.error('Error paying for job:', error.message);
+        console.error('Error creating billing schedule:', error.message);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create the endpoint for depositing money into a client's balance
-app.post('/balances/deposit/:userId', getProfile, async (req, res) => {
-    // Destructure necessary models and objects from req.app
-    const { Profile, Job, Contract } = req.app.get('models');
+/**
+ * GET endpoint to fetch the billing schedules of a contract with their milestones.
+ * Only the parties of the contract can read them.
+ */
+app.get('/contracts/:id/billing-schedules', rateLimitIp('read'), getProfile, rateLimit('read'), validate({ params: idParams('id') }), async (req, res) => {
+    const { Contract, BillingSchedule, Milestone } = req.app.get('models');
     const { profile } = req;
-    const userId = req.params.userId;
+    const { id } = req.params;
 
     try {
-        // Ensure the requesting profile is a client and matches the userId
-        if (profile.id !== parseInt(userId) || profile.type !== 'client') {
-            return res.status(403).json({ error: 'Unauthorized: Access denied' });
+        const contract = await Contract.findByPk(id);
+
+        if (!contract) {
+            return res.status(404).json({ error: 'Contract not found' });
         }
 
-        // Calculate the total amount of jobs to pay for the client
-        const totalJobsToPay = await Job.sum('price', {
-            where: {
-                // Filter for unpaid jobs associated with the client's active contracts
-                paid: null,
-                '$Contract.ClientId$': profile.id,
-                '$Contract.status$': 'in_progress'
-            },
-            include: [{
-                model: Contract,
-                as: 'Contract'
-            }]
+        if (contract.ClientId !== profile.id && contract.ContractorId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Contract does not belong to the requesting profile' });
+        }
+
+        const schedules = await BillingSchedule.findAll({
+            where: { ContractId: contract.id },
+            include: [Milestone],
+            order: [['id', 'ASC'], [Milestone, 'dueDate', 'ASC']]
         });
 
-        // Calculate the maximum amount the client can deposit (25% of total jobs to pay)
-        const maxDepositAmount = totalJobsToPay * 0.25;
+        res.json(schedules);
+    } catch (error) {
+        console.error('Error fetching billing schedules:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Get the deposit amount from the request body
-        const depositAmount = req.body.amount;
+/**
+ * DELETE endpoint for the client to stop a billing schedule. Jobs it already
+ * created are kept; their pending auto-payments are cancelled.
+ */
+app.delete('/billing-schedules/:id', rateLimitIp('write'), getProfile, rateLimit('write'), validate({ params: idParams('id') }), async (req, res) => {
+    const { BillingSchedule, Contract } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
 
-        // Check if the deposit amount exceeds the maximum allowed amount
-        if (depositAmount > maxDepositAmount) {
-            return res.status(400).json({ error: 'Deposit amount exceeds maximum allowed' });
-        }
+    try {
+        const result = await withTransaction(async (transaction) => {
+            const schedule = await BillingSchedule.findByPk(id, {
+                include: [Contract],
+                transaction,
+                lock: { level: transaction.LOCK.UPDATE, of: BillingSchedule }
+            });
 
-        // Update the client's balance
-        await Profile.update(
-            { balance: Sequelize.literal(`balance + ${depositAmount}`) },
-            { where: { id: profile.id } }
-        );
+            if (!schedule) {
+                return { status: 404, error: 'Billing schedule not found' };
+            }
+            if (schedule.Contract.ClientId !== profile.id) {
+                return { status: 403, error: 'Unauthorized: Only the client can stop a billing schedule' };
+            }
+            if (!schedule.active) {
+                return { status: 409, error: 'Billing schedule is not active' };
+            }
 
-        // Respond with success message
-        res.json({ message: 'Deposit successful' });
+            await billing.cancelSchedule(schedule, { transaction });
+            return { status: 200, schedule };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const { Contract: contract, ...schedule } = result.schedule.toJSON();
+        res.json(schedule);
     } catch (error) {
-        // Handle errors
-        console.error('Error depositing money:', error.message);
+        console.error('Error stopping billing schedule:', error.message);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// GET /admin/best-profession?start=<date>&end=<date>
-app.get('/admin/best-profession', async (req, res) => {
-    // Extracting start and end dates from the query parameters
-    const { start, end } = req.query;
+/**
+ * GET endpoint to fetch the auto-payments of a billing schedule, with the
+ * attempts made and the last error. Only the parties of the contract can read them.
+ */
+app.get('/billing-schedules/:id/auto-payments', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'nextAttemptAt']),
+            status: { type: 'array', items: { type: 'string', enum: ['pending', 'paid', 'failed', 'cancelled'] } }
+        }
+    }
+}), async (req, res) => {
+    const { BillingSchedule, Contract, AutoPayment } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+    const { status, limit, cursor, sort } = req.query;
 
     try {
-        // Find the profession that earned the most money within the specified date range
-        const bestProfession = await Job.findAll({
-            // Selecting attributes to include in the result
-            attributes: ['Contract.Contractor.profession', [sequelize.fn('sum', sequelize.col('price')), 'totalEarned']],
-            include: [{
-                // Including the Contract model
-                model: Contract,
-                as: 'Contract',
-                attributes: [],
-                where: {
-                    // Filtering contracts that are in progress and within the specified date range
-                    status: 'in_progress',
-                    createdAt: {
-                        [Op.between]: [start, end]
-                    }
-                },
-                include: [{
-                    // Including the Profile model (Contractor)
-                    model: Profile,
-                    as: 'Contractor',
-                    attributes: [],
-                    where: { type: 'contractor' } // Filtering only contractors
-                }]
-            }],
-            // Grouping the result by Contractor's profession
-            group: ['Contract.Contractor.profession'],
-            // Ordering the result by totalEarned in descending order
-            order: [[sequelize.literal('totalEarned'), 'DESC']],
-            // Limiting the result to 1 entry
-            limit: 1
+        const schedule = await BillingSchedule.findByPk(id, { include: [Contract] });
+
+        if (!schedule) {
+            return res.status(404).json({ error: 'Billing schedule not found' });
+        }
+
+        if (schedule.Contract.ClientId !== profile.id && schedule.Contract.ContractorId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Contract does not belong to the requesting profile' });
+        }
+
+        const page = await paginate(AutoPayment, {
+            where: { BillingScheduleId: schedule.id, ...(status && { status: { [Op.in]: status } }) },
+            limit,
+            cursor,
+            sort
         });
 
-        // Sending the result as JSON response
-        res.json(bestProfession);
+        sendPage(res, page);
     } catch (error) {
-        // Handling errors
-        console.error('Error best-profession', error.message);
-        res.status(500).json({ message: 'Internal server error' });
+        console.error('Error fetching auto-payments:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Query filters shared by the job lists
+const jobFilterProperties = {
+    ...pageQueryProperties(['id', 'price', 'createdAt', 'updatedAt']),
+    minPrice: { type: 'number', minimum: 0 },
+    maxPrice: { type: 'number', minimum: 0 },
+    createdFrom: date,
+    createdTo: date
+};
+
+/**
+ * Where-clause conditions for the filters in jobFilterProperties.
+ */
+function jobFilters({ minPrice, maxPrice, createdFrom, createdTo }) {
+    const price = range(minPrice, maxPrice);
+    const createdAt = range(createdFrom, createdTo);
 
+    return {
+        ...(price && { price }),
+        ...(createdAt && { createdAt })
+    };
+}
 
-// GET /admin/best-clients?start=<date>&end=<date>&limit=<integer>
-app.get('/admin/best-clients', async (req, res) => {
-    // Extracting start, end, and limit from the query parameters
-    const { start, end, limit = 2 } = req.query;
+/**
+ * GET endpoint to fetch the jobs of a user (either a client or contractor).
+ * Returns a page of jobs under any of the user's contracts, optionally filtered
+ * by payment state, job status, contract, price and dates.
+ */
+app.get('/jobs', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...jobFilterProperties,
+            paid: { type: 'boolean' },
+            status: { type: 'array', items: { enum: Object.keys(jobs.TRANSITIONS) } },
+            contractId: id,
+            paidFrom: date,
+            paidTo: date
+        }
+    }
+}), async (req, res) => {
+    const { Job, Contract } = req.app.get('models');
+    const { profile } = req;
+    const { paid, status, contractId, paidFrom, paidTo, limit, cursor, sort } = req.query;
+    const paymentDate = range(paidFrom, paidTo);
 
     try {
-        // Finding the best clients based on the total amount paid for jobs within the specified date range
-        const bestClients = await Job.findAll({
-            // Selecting attributes to include in the result
-            attributes: [
-                [sequelize.fn('SUM', sequelize.col('price')), 'totalPaid'], // Calculating the total amount paid
-                [sequelize.literal('Contract.ClientId'), 'id'], // Selecting the client ID
-                [sequelize.literal('`Contract->Client`.`firstName` || " " || `Contract->Client`.`lastName`'), 'fullName'] // Concatenating first name and last name to get the full name
-            ],
-            include: [{
-                // Including the Contract model
-                model: Contract,
-                as: 'Contract',
-                attributes: [],
-                where: {
-                    // Filtering contracts that are in progress and within the specified date range
-                    status: 'in_progress',
-                    createdAt: {
-                        [Op.between]: [start, end]
-                    }
-                },
-                include: [{
-                    // Including the Profile model (Client)
-                    model: Profile,
-                    as: 'Client',
-                    attributes: [] // No attributes needed for the Client
-                }]
-            }],
-            // Grouping the result by Client ID
-            group: ['Contract.ClientId'],
-            // Ordering the result by totalPaid in descending order
-            order: [[sequelize.literal('totalPaid'), 'DESC']],
-            // Limiting the result to the specified number of clients
-            limit: parseInt(limit)
+        const page = await paginate(Job, {
+            where: {
+                ...jobFilters(req.query),
+                // Unpaid jobs have no `paid` flag set
+                ...(paid !== undefined && { paid: paid ? true : { [Op.not]: true } }),
+                ...(status && { status: { [Op.in]: status } }),
+                ...(contractId && { ContractId: contractId }),
+                ...(paymentDate && { paymentDate }),
+                // Filter jobs associated with the user profile (either as client or contractor)
+                [Sequelize.Op.or]: [
+                    { '$Contract.ClientId$': profile.id },
+                    { '$Contract.ContractorId$': profile.id }
+                ]
+            },
+            include: [{ model: Contract, as: 'Contract' }],
+            limit,
+            cursor,
+            sort
         });
 
-        // Formatting the result to include only the necessary fields
-        res.json(bestClients.map(job => ({
-            id: job.dataValues.id, // Client ID
-            fullName: job.dataValues.fullName, // Full name of the client
-            totalPaid: job.dataValues.totalPaid // Total amount paid by the client
-        })));
+        sendPage(res, page);
     } catch (error) {
-        // Handling errors
-        console.error('Error best-clients', error.message);
-        res.status(500).json({ message: 'Internal server error' });
+        console.error('Error fetching jobs:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+/**
+ * GET endpoint to fetch all unpaid jobs for a user (either a client or contractor).
+ * Returns a page of unpaid jobs associated with active contracts for the user profile.
+ */
+app.get('/jobs/unpaid', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: { type: 'object', properties: jobFilterProperties }
+}), async (req, res) => {
+    // Destructure the Job and Contract models and profile from the request object
+    const { Job, Contract } = req.app.get('models');
+    const { profile } = req;
+    const { limit, cursor, sort } = req.query;
 
+    try {
+        // Find unpaid jobs associated with active contracts for the user profile
+        const page = await paginate(Job, {
+            where: {
+                ...jobFilters(req.query),
+                // Filter unpaid jobs
+                paid: null,
+                // Filter jobs associated with contracts in progress
+                '$Contract.status$': 'in_progress',
+                // Filter jobs associated with the user profile (either as client or contractor)
+                [Sequelize.Op.or]: [
+                    { '$Contract.ClientId$': profile.id },
+                    { '$Contract.ContractorId$': profile.id }
+                ]
+            },
+            // Include the Contract model to filter by contract status
+            include: [{
+                model: Contract,
+                as: 'Contract',
+                where: {
+                    status: 'in_progress'
+                }
+            }],
+            limit,
+            cursor,
+            sort
+        });
+
+        // Respond with the page of unpaid jobs
+        sendPage(res, page);
+    } catch (error) {
+        // Handle errors
+        console.error('Error fetching unpaid jobs:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for the contractor to log a new job under an active contract.
+ */
+app.post('/contracts/:id/jobs', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { description: nonEmptyString, price: money },
+        required: ['description', 'price'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+    const { description, price } = req.body;
+
+    try {
+        const contract = await Contract.findByPk(id);
+
+        if (!contract) {
+            return res.status(404).json({ error: 'Contract not found' });
+        }
+
+        // Only the contractor of the contract logs work under it
+        if (contract.ContractorId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Only the contractor can add jobs to a contract' });
+        }
+
+        if (contract.status !== 'in_progress') {
+            return res.status(409).json({ error: 'Jobs can only be added to contracts in progress' });
+        }
+
+        const job = await withTransaction(transaction => jobs.createJob(contract, { description, price }, { transaction }));
+
+        res.status(201).json(job);
+    } catch (error) {
+        console.error('Error creating job:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH endpoint for the contractor to edit the description or price of a job.
+ * Paid jobs cannot be edited; editing a submitted or approved job sends it back to `new`.
+ */
+app.patch('/jobs/:id', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { description: nonEmptyString, price: money },
+        minProperties: 1,
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { Job } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+    const changes = req.body;
+
+    try {
+        const result = await withTransaction(async (transaction) => {
+            const job = await Job.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+            if (!job) {
+                return { status: 404, error: 'Job not found' };
+            }
+
+            const contract = await job.getContract({ transaction });
+            if (contract.ContractorId !== profile.id) {
+                return { status: 403, error: 'Unauthorized: Only the contractor can edit a job' };
+            }
+
+            if (job.paid || job.status === 'paid') {
+                return { status: 409, error: 'Paid jobs cannot be edited' };
+            }
+
+            // The escrow holds exactly the price the job was funded with
+            if (job.escrowStatus === 'funded' && changes.price !== undefined && ledger.toCents(changes.price) !== ledger.toCents(job.price)) {
+                return { status: 409, error: 'The price of a job funded in escrow cannot change' };
+            }
+
+            // The client has to review the job again after it changed
+            await job.update({ ...changes, status: 'new' }, { transaction });
+
+            return { status: 200, job };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.job);
+    } catch (error) {
+        console.error('Error editing job:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Builds a handler that moves the job in `req.params.id` to `toStatus`.
+ * `party` names the side of the contract ('ClientId' or 'ContractorId') allowed to make the change.
+ */
+const jobTransition = (toStatus, party, forbiddenMessage) => async (req, res) => {
+    const { Job } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+
+    try {
+        const result = await withTransaction(async (transaction) => {
+            const job = await Job.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+            if (!job) {
+                return { status: 404, error: 'Job not found' };
+            }
+
+            const contract = await job.getContract({ transaction });
+            if (contract[party] !== profile.id) {
+                return { status: 403, error: forbiddenMessage };
+            }
+
+            if (!jobs.canTransition(job.status, toStatus)) {
+                return { status: 409, error: `Cannot change job status from ${job.status} to ${toStatus}` };
+            }
+
+            // Approving a job funded in escrow pays the contractor from the escrow
+            if (toStatus === 'approved' && job.escrowStatus === 'funded') {
+                return escrow.releaseJob(job, contract, { transaction });
+            }
+
+            await job.update({ status: toStatus }, { transaction });
+
+            return { status: 200, job };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.job);
+    } catch (error) {
+        console.error(`Error changing job status to ${toStatus}:`, error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * POST endpoint for the contractor to submit a job for the client's approval.
+ */
+app.post('/jobs/:id/submit', rateLimitIp('write'), getProfile, rateLimit('write'), validate({ params: idParams('id') }), jobTransition(
+    'submitted',
+    'ContractorId',
+    'Unauthorized: Only the contractor can submit a job'
+));
+
+/**
+ * POST endpoint for the client to approve a submitted job, making it payable.
+ * A job funded in escrow is paid on approval.
+ */
+app.post('/jobs/:id/approve', rateLimitIp('write'), getProfile, rateLimit('write'), validate({ params: idParams('id') }), jobTransition(
+    'approved',
+    'ClientId',
+    'Unauthorized: Only the client can approve a job'
+));
+
+/**
+ * POST endpoint for the client to fund a job in escrow before it is approved.
+ * The price moves from the client's balance to escrow and is released to the
+ * contractor when the client approves the job.
+ */
+app.post('/jobs/:id/fund', rateLimitIp('money'), getProfile, rateLimit('money'), validate({ params: idParams('id') }), idempotency, async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+
+    try {
+        const result = await withTransaction(transaction => escrow.fundJob(id, profile.id, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.job);
+    } catch (error) {
+        console.error('Error funding job:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for the client to pay several jobs at once: the listed
+ * `jobIds`, or every approved unpaid job on `contractId`. Everything is paid in
+ * one transaction. In `all_or_nothing` mode (the default) no job is paid
+ * unless all of them can be; in `best_effort` mode the jobs that can be paid
+ * are. Responds with a result per job either way.
+ */
+app.post('/jobs/pay', rateLimitIp('money'), getProfile, rateLimit('money'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            jobIds: { type: 'array', items: id, minItems: 1, maxItems: 100, uniqueItems: true },
+            contractId: id,
+            mode: { type: 'string', enum: ['all_or_nothing', 'best_effort'], default: 'all_or_nothing' }
+        },
+        additionalProperties: false
+    }
+}), idempotency, async (req, res) => {
+    const { profile } = req;
+    const { jobIds, contractId, mode } = req.body;
+
+    if ((jobIds === undefined) === (contractId === undefined)) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'body', field: 'jobIds', message: 'must be set, or contractId instead' }]
+        });
+    }
+
+    try {
+        // Check the whole batch against the balance and pay it in one transaction
+        const result = await withTransaction(transaction => payments.payJobs({ jobIds, contractId, mode }, profile.id, { transaction }));
+
+        // Refusals of the whole batch list what stopped each job
+        if (result.error) {
+            const { status, ...body } = result;
+            return res.status(status).json(body);
+        }
+
+        const paid = result.results.filter(item => item.paid).length;
+        res.json({ message: `Paid ${paid} of ${result.results.length} jobs`, mode, total: result.total, results: result.results });
+    } catch (error) {
+        console.error('Error paying for jobs:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create the endpoint for handling payment for a job
+app.post('/jobs/:job_id/pay', rateLimitIp('money'), getProfile, rateLimit('money'), validate({ params: idParams('job_id') }), idempotency, async (req, res) => {
+    const { profile } = req;
+    const jobId = req.params.job_id;
+
+    try {
+        // Run the checks and the money movement in one transaction so concurrent requests cannot interleave
+        const result = await withTransaction(transaction => payments.payJob(jobId, profile.id, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        // Respond with success message, the amounts moved and what was deducted from the contractor's share
+        const { charged, credited, deductions, net } = result.payment;
+        res.json({ message: 'Payment successful', charged, credited, deductions, net });
+    } catch (error) {
+        // Handle errors
+        console.error('Error paying for job:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to download the invoice of a paid job, as PDF (default) or CSV.
+ * Only the client and the contractor of the job may download it.
+ */
+app.get('/jobs/:id/invoice', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: { type: 'object', properties: { format: { type: 'string', enum: documents.FORMATS, default: 'pdf' } } }
+}), async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+    const { format } = req.query;
+
+    try {
+        const result = await documents.invoiceFor(id, profile);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        sendDownload(res, await documents.invoiceFile(result.invoice, format));
+    } catch (error) {
+        console.error('Error generating invoice:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for the client to dispute a paid job. An admin resolves the
+ * dispute, with a refund or not, after the contractor had the chance to respond.
+ */
+app.post('/jobs/:id/disputes', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { reason: nonEmptyString },
+        required: ['reason'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+
+    try {
+        const result = await withTransaction(transaction => disputes.openDispute(id, profile.id, req.body.reason, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.dispute);
+    } catch (error) {
+        console.error('Error opening dispute:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to list the disputes about the calling profile's jobs, as client or contractor.
+ */
+app.get('/disputes', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'createdAt']),
+            status: { type: 'array', items: { enum: ['open', 'resolved'] } }
+        }
+    }
+}), async (req, res) => {
+    const { Dispute, Job, Contract } = req.app.get('models');
+    const { profile } = req;
+    const { status, limit, cursor, sort } = req.query;
+
+    try {
+        const page = await paginate(Dispute, {
+            where: {
+                ...(status && { status: { [Op.in]: status } }),
+                [Op.or]: [
+                    { '$Job.Contract.ClientId$': profile.id },
+                    { '$Job.Contract.ContractorId$': profile.id }
+                ]
+            },
+            include: [{ model: Job, attributes: [], include: [{ model: Contract, as: 'Contract', attributes: [] }] }],
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching disputes:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch a dispute, for the client or contractor of its job.
+ */
+app.get('/disputes/:id', rateLimitIp('read'), getProfile, rateLimit('read'), validate({ params: idParams('id') }), async (req, res) => {
+    const { Dispute, Job, Contract } = req.app.get('models');
+    const { profile } = req;
+
+    try {
+        const dispute = await Dispute.findByPk(req.params.id, { include: [{ model: Job, include: [{ model: Contract, as: 'Contract' }] }] });
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        const contract = dispute.Job.Contract;
+        if (contract.ClientId !== profile.id && contract.ContractorId !== profile.id) {
+            return res.status(403).json({ error: 'Unauthorized: Dispute does not belong to the requesting profile' });
+        }
+
+        res.json(dispute);
+    } catch (error) {
+        console.error('Error fetching dispute:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for the contractor to respond to an open dispute, once.
+ */
+app.post('/disputes/:id/respond', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { response: nonEmptyString },
+        required: ['response'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+
+    try {
+        const result = await withTransaction(transaction => disputes.respond(id, profile.id, req.body.response, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.dispute);
+    } catch (error) {
+        console.error('Error responding to dispute:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create the endpoint for depositing money into a client's balance
+app.post('/balances/deposit/:userId', rateLimitIp('money'), getProfile, rateLimit('money'), validate({
+    params: idParams('userId'),
+    body: {
+        type: 'object',
+        properties: { amount: money },
+        required: ['amount'],
+        additionalProperties: false
+    }
+}), idempotency, async (req, res) => {
+    const { profile } = req;
+    const userId = req.params.userId;
+
+    try {
+        // Ensure the requesting profile is a client and matches the userId
+        if (profile.id !== userId || profile.type !== 'client') {
+            return res.status(403).json({ error: 'Unauthorized: Access denied' });
+        }
+
+        // Check the deposit limits and credit the balance in one transaction
+        const result = await withTransaction(transaction => deposits.deposit(profile.id, req.body.amount, { transaction }));
+
+        // Explain which limits blocked the deposit
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, ...(result.limits && { limits: result.limits }) });
+        }
+
+        // Respond with success message
+        res.json({ message: 'Deposit successful', deposit: result.deposit });
+    } catch (error) {
+        // Handle errors
+        console.error('Error depositing money:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch the deposit history of the calling profile.
+ */
+app.get('/balances/deposits', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'amount', 'createdAt']),
+            createdFrom: date,
+            createdTo: date
+        }
+    }
+}), async (req, res) => {
+    const { Deposit } = req.app.get('models');
+    const { profile } = req;
+    const { createdFrom, createdTo, limit, cursor, sort } = req.query;
+    const createdAt = range(createdFrom, createdTo);
+
+    try {
+        const page = await paginate(Deposit, {
+            where: {
+                ProfileId: profile.id,
+                ...(createdAt && { createdAt })
+            },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching deposits:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch the balance of the calling profile, with the amount on hold.
+ * A negative balance, e.g. after a dispute refund, is reported as `debt`.
+ */
+app.get('/balances', rateLimitIp('read'), getProfile, rateLimit('read'), async (req, res) => {
+    const { profile } = req;
+
+    try {
+        const held = await ledger.heldBalance(profile.id);
+        const escrowed = await ledger.accountBalance(profile.id, 'escrow');
+
+        const balance = Number(profile.balance);
+
+        res.json({ balance, held, escrowed, debt: balance < 0 ? -balance : 0, currency: profile.currency });
+    } catch (error) {
+        console.error('Error fetching balance:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for a contractor to withdraw money from their balance.
+ * Creates a pending payout and holds the amount until an admin reviews it.
+ */
+app.post('/balances/withdraw', rateLimitIp('money'), getProfile, rateLimit('money'), validate({
+    body: {
+        type: 'object',
+        properties: { amount: money },
+        required: ['amount'],
+        additionalProperties: false
+    }
+}), idempotency, async (req, res) => {
+    const { profile } = req;
+
+    try {
+        if (profile.type !== 'contractor') {
+            return res.status(403).json({ error: 'Unauthorized: Only contractors can withdraw' });
+        }
+
+        const result = await withTransaction(transaction => payouts.requestPayout(profile.id, req.body.amount, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.payout);
+    } catch (error) {
+        console.error('Error requesting payout:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch the payouts of the calling profile.
+ */
+app.get('/balances/payouts', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'amount', 'createdAt']),
+            status: { type: 'array', items: { enum: ['pending', 'processing', 'approved', 'failed'] } }
+        }
+    }
+}), async (req, res) => {
+    const { Payout } = req.app.get('models');
+    const { profile } = req;
+    const { status, limit, cursor, sort } = req.query;
+
+    try {
+        const page = await paginate(Payout, {
+            where: {
+                ProfileId: profile.id,
+                ...(status && { status: { [Op.in]: status } })
+            },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching payouts:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch the calling profile.
+ */
+app.get('/profiles/me', rateLimitIp('read'), getProfile, rateLimit('read'), (req, res) => {
+    res.json(req.profile);
+});
+
+/**
+ * PATCH endpoint for the calling profile to change its name or profession.
+ */
+app.patch('/profiles/me', rateLimitIp('write'), getProfile, rateLimit('write'), validate({
+    body: {
+        type: 'object',
+        properties: { firstName: nonEmptyString, lastName: nonEmptyString, profession: nonEmptyString },
+        minProperties: 1,
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { profile } = req;
+
+    try {
+        res.json(await profile.update(req.body));
+    } catch (error) {
+        console.error('Error updating profile:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST endpoint for the calling profile to deactivate itself. Its tokens stop
+ * working and it can no longer sign in. Refused while it has contracts that
+ * are not terminated or payouts pending.
+ */
+app.post('/profiles/me/deactivate', rateLimitIp('write'), getProfile, rateLimit('write'), async (req, res) => {
+    const { profile } = req;
+
+    try {
+        const result = await withTransaction(transaction => profiles.deactivate(profile.id, { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.profile);
+    } catch (error) {
+        console.error('Error deactivating profile:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to search the active contractors, e.g. before proposing a
+ * contract. Filters: `profession`, `name`, and `minEarnings`/`maxEarnings`
+ * from paid jobs in `currency`. Sortable by earnings.
+ */
+app.get('/profiles/contractors', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'lastName', 'earnings']),
+            profession: nonEmptyString,
+            name: nonEmptyString,
+            minEarnings: { type: 'number', minimum: 0 },
+            maxEarnings: { type: 'number', minimum: 0 },
+            currency: { ...currencyCode, default: 'USD' }
+        }
+    }
+}), async (req, res) => {
+    const { profession, name, minEarnings, maxEarnings, limit, cursor, sort } = req.query;
+    const reportCurrency = req.query.currency;
+
+    try {
+        const { page, missing } = await profiles.searchContractors({
+            profession, name, minEarnings, maxEarnings, reportCurrency, limit, cursor, sort
+        });
+        if (missing) {
+            return res.status(409).json({ error: `No exchange rate from ${missing} to ${reportCurrency}` });
+        }
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error searching contractors:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch the ledger entries of a profile.
+ * Only the profile itself may read its ledger.
+ */
+app.get('/profiles/:id/ledger', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: { type: 'object', properties: pageQueryProperties(['id', 'amount']) }
+}), async (req, res) => {
+    const { LedgerEntry } = req.app.get('models');
+    const { profile } = req;
+    const { id } = req.params;
+    const { limit, cursor, sort } = req.query;
+
+    try {
+        // Check that the requesting profile is reading its own ledger
+        if (profile.id !== id) {
+            return res.status(403).json({ error: 'Unauthorized: Ledger does not belong to the requesting profile' });
+        }
+
+        // Fetch the entries, by default in the order they were booked
+        const page = await paginate(LedgerEntry, {
+            where: { ProfileId: profile.id },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching ledger:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to fetch a profile's summary of paid jobs: a contractor's
+ * earnings or a client's spend, overall and per period.
+ * Only the profile itself may read its summary.
+ */
+app.get('/profiles/:id/summary', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: {
+        type: 'object',
+        properties: {
+            start: date,
+            end: date,
+            groupBy: { type: 'string', enum: Object.keys(reports.PERIODS), default: 'month' },
+            currency: currencyCode
+        }
+    }
+}), requireDateOrder('start', 'end'), async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+    const { start, end, groupBy } = req.query;
+    // Report in the currency of the profile's balance unless asked otherwise
+    const reportCurrency = req.query.currency || profile.currency;
+
+    try {
+        // Check that the requesting profile is reading its own summary
+        if (profile.id !== id) {
+            return res.status(403).json({ error: 'Unauthorized: Summary does not belong to the requesting profile' });
+        }
+
+        const { summary, missing } = await reports.profileSummary(profile, { start, end, groupBy, reportCurrency });
+        if (missing) {
+            return res.status(409).json({ error: `No exchange rate from ${missing} to ${reportCurrency}` });
+        }
+
+        res.json(summary);
+    } catch (error) {
+        console.error('Error fetching summary:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint to download a profile's monthly statement of payments,
+ * deposits and withdrawals, as PDF (default) or CSV.
+ * Only the profile itself may download its statement.
+ */
+app.get('/profiles/:id/statement', rateLimitIp('read'), getProfile, rateLimit('read'), validate({
+    params: idParams('id'),
+    query: {
+        type: 'object',
+        properties: {
+            month: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' },
+            format: { type: 'string', enum: documents.FORMATS, default: 'pdf' }
+        },
+        required: ['month']
+    }
+}), async (req, res) => {
+    const { profile } = req;
+    const { id } = req.params;
+    const { month, format } = req.query;
+
+    try {
+        // Check that the requesting profile is reading its own statement
+        if (profile.id !== id) {
+            return res.status(403).json({ error: 'Unauthorized: Statement does not belong to the requesting profile' });
+        }
+
+        const { statement } = await documents.statementFor(profile, month);
+
+        sendDownload(res, await documents.statementFile(statement, format));
+    } catch (error) {
+        console.error('Error generating statement:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/ledger/reconcile
+app.get('/admin/ledger/reconcile', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        // Recompute every balance from the ledger and report the profiles that drifted
+        const result = await ledger.reconcile();
+
+        res.json(result);
+    } catch (error) {
+        // Handling errors
+        console.error('Error reconciling ledger', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/ledger/platform
+app.get('/admin/ledger/platform', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    try {
+        res.json(await ledger.platformBalances());
+    } catch (error) {
+        console.error('Error fetching platform balances', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/exchange-rates
+app.get('/admin/exchange-rates', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    const { ExchangeRate } = req.app.get('models');
+
+    try {
+        // Keep the newest rate of every pair
+        const rows = await ExchangeRate.findAll({ order: [['id', 'DESC']] });
+        const current = {};
+        rows.forEach(row => {
+            const pair = `${row.baseCurrency}/${row.quoteCurrency}`;
+            current[pair] = current[pair] || row;
+        });
+
+        res.json(Object.values(current));
+    } catch (error) {
+        console.error('Error fetching exchange rates', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/exchange-rates
+app.post('/admin/exchange-rates', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            baseCurrency: currencyCode,
+            quoteCurrency: currencyCode,
+            rate: { type: 'number', exclusiveMinimum: 0 }
+        },
+        required: ['baseCurrency', 'quoteCurrency', 'rate'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { ExchangeRate } = req.app.get('models');
+    const { baseCurrency, quoteCurrency, rate } = req.body;
+
+    try {
+        if (baseCurrency === quoteCurrency) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [{ in: 'body', field: 'quoteCurrency', message: 'must differ from baseCurrency' }]
+            });
+        }
+
+        // Rates are appended; the newest one of a pair is the current rate
+        const exchangeRate = await ExchangeRate.create({ baseCurrency, quoteCurrency, rate });
+
+        res.status(201).json(exchangeRate);
+    } catch (error) {
+        console.error('Error saving exchange rate', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/deposit-limits
+app.get('/admin/deposit-limits', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    const { DepositLimit } = req.app.get('models');
+
+    try {
+        const limits = await DepositLimit.findAll({ order: [['id', 'ASC']] });
+
+        res.json(limits);
+    } catch (error) {
+        console.error('Error fetching deposit limits', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /admin/deposit-limits
+app.put('/admin/deposit-limits', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            // Omit for a global rule
+            profileId: id,
+            type: { enum: ['percentage', 'daily', 'fixed'] },
+            value: { type: 'number', minimum: 0, maximum: money.maximum, multipleOf: 0.01 }
+        },
+        required: ['type', 'value'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { DepositLimit, Profile } = req.app.get('models');
+    const { profileId = null, type, value } = req.body;
+
+    try {
+        if (profileId !== null) {
+            const client = await Profile.findByPk(profileId);
+            if (!client || client.type !== 'client') {
+                return res.status(404).json({ error: 'Client not found' });
+            }
+        }
+
+        // One rule per type and scope: replace the existing one
+        const { limit, created } = await withTransaction(async (transaction) => {
+            const existing = await DepositLimit.findOne({ where: { ProfileId: profileId, type }, transaction, lock: transaction.LOCK.UPDATE });
+            return existing
+                ? { limit: await existing.update({ value }, { transaction }), created: false }
+                : { limit: await DepositLimit.create({ ProfileId: profileId, type, value }, { transaction }), created: true };
+        });
+
+        res.status(created ? 201 : 200).json(limit);
+    } catch (error) {
+        // A concurrent request created the rule after it was looked up
+        if (error instanceof Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ error: 'The deposit limit was changed by another request, retry' });
+        }
+        console.error('Error saving deposit limit', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /admin/deposit-limits/:id
+app.delete('/admin/deposit-limits/:id', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({ params: idParams('id') }), async (req, res) => {
+    const { DepositLimit } = req.app.get('models');
+
+    try {
+        const deleted = await DepositLimit.destroy({ where: { id: req.params.id } });
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Deposit limit not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting deposit limit', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/fee-rules
+app.get('/admin/fee-rules', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    const { FeeRule } = req.app.get('models');
+
+    try {
+        const rules = await FeeRule.findAll({ order: [['id', 'ASC']] });
+
+        res.json(rules);
+    } catch (error) {
+        console.error('Error fetching fee rules', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /admin/fee-rules
+app.put('/admin/fee-rules', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            // Omit both for a global rule
+            contractId: id,
+            profession: nonEmptyString,
+            type: { type: 'string', enum: ['percentage', 'flat', 'tiered'] },
+            percentage,
+            amount: money,
+            currency: currencyCode,
+            tiers: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 20,
+                items: {
+                    type: 'object',
+                    properties: { upTo: money, percentage },
+                    required: ['percentage'],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ['type'],
+        additionalProperties: false,
+        allOf: [
+            { if: { properties: { type: { const: 'percentage' } }, required: ['type'] }, then: { required: ['percentage'] } },
+            { if: { properties: { type: { const: 'flat' } }, required: ['type'] }, then: { required: ['amount', 'currency'] } },
+            { if: { properties: { type: { const: 'tiered' } }, required: ['type'] }, then: { required: ['tiers', 'currency'] } }
+        ]
+    }
+}), async (req, res) => {
+    const { FeeRule, Contract } = req.app.get('models');
+    const { contractId = null, profession = null, type, percentage: rate = null, amount = null, currency = null, tiers = null } = req.body;
+
+    if (contractId !== null && profession !== null) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'body', field: 'profession', message: 'must not be set together with contractId' }]
+        });
+    }
+
+    // Only the last tier is open-ended, and bounds go up
+    const badTier = (tiers || []).findIndex((tier, index) => index === tiers.length - 1
+        ? tier.upTo !== undefined
+        : tier.upTo === undefined || (index > 0 && tier.upTo <= tiers[index - 1].upTo));
+    if (badTier !== -1) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ in: 'body', field: `tiers/${badTier}/upTo`, message: 'must increase, and be omitted on the last tier only' }]
+        });
+    }
+
+    try {
+        if (contractId !== null && !await Contract.findByPk(contractId)) {
+            return res.status(404).json({ error: 'Contract not found' });
+        }
+
+        // One rule per scope: replace the existing one, clearing what the new type does not use
+        const values = {
+            type,
+            percentage: type === 'percentage' ? rate : null,
+            amount: type === 'flat' ? amount : null,
+            currency: type === 'percentage' ? null : currency,
+            tiers: type === 'tiered' ? tiers : null
+        };
+        const { rule, created } = await withTransaction(async (transaction) => {
+            const existing = await FeeRule.findOne({ where: { ContractId: contractId, profession }, transaction, lock: transaction.LOCK.UPDATE });
+            return existing
+                ? { rule: await existing.update(values, { transaction }), created: false }
+                : { rule: await FeeRule.create({ ContractId: contractId, profession, ...values }, { transaction }), created: true };
+        });
+
+        res.status(created ? 201 : 200).json(rule);
+    } catch (error) {
+        // A concurrent request created the rule after it was looked up
+        if (error instanceof Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ error: 'The fee rule was changed by another request, retry' });
+        }
+        console.error('Error saving fee rule', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /admin/fee-rules/:id
+app.delete('/admin/fee-rules/:id', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({ params: idParams('id') }), async (req, res) => {
+    const { FeeRule } = req.app.get('models');
+
+    try {
+        const deleted = await FeeRule.destroy({ where: { id: req.params.id } });
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Fee rule not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting fee rule', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/withholding-rules
+app.get('/admin/withholding-rules', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    const { WithholdingRule } = req.app.get('models');
+
+    try {
+        const rules = await WithholdingRule.findAll({ order: [['country', 'ASC']] });
+
+        res.json(rules);
+    } catch (error) {
+        console.error('Error fetching withholding rules', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /admin/withholding-rules
+app.put('/admin/withholding-rules', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    body: {
+        type: 'object',
+        properties: { country: countryCode, percentage, description: nonEmptyString },
+        required: ['country', 'percentage'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    const { WithholdingRule } = req.app.get('models');
+    const { country, percentage: rate, description = null } = req.body;
+
+    try {
+        // One rule per country: replace the existing one
+        const existing = await WithholdingRule.findOne({ where: { country } });
+        const rule = existing
+            ? await existing.update({ percentage: rate, description })
+            : await WithholdingRule.create({ country, percentage: rate, description });
+
+        res.status(existing ? 200 : 201).json(rule);
+    } catch (error) {
+        console.error('Error saving withholding rule', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /admin/withholding-rules/:id
+app.delete('/admin/withholding-rules/:id', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({ params: idParams('id') }), async (req, res) => {
+    const { WithholdingRule } = req.app.get('models');
+
+    try {
+        const deleted = await WithholdingRule.destroy({ where: { id: req.params.id } });
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Withholding rule not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting withholding rule', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/payouts?status=<status>
+app.get('/admin/payouts', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'amount', 'createdAt']),
+            status: { type: 'array', items: { enum: ['pending', 'processing', 'approved', 'failed'] } }
+        }
+    }
+}), async (req, res) => {
+    const { Payout } = req.app.get('models');
+    const { status, limit, cursor, sort } = req.query;
+
+    try {
+        const page = await paginate(Payout, {
+            where: status ? { status: { [Op.in]: status } } : {},
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching payouts', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/payouts/:id/approve
+app.post('/admin/payouts/:id/approve', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({ params: idParams('id') }), async (req, res) => {
+    try {
+        // Send the payout with the payout provider; a provider failure marks the payout failed
+        const result = await payouts.approvePayout(req.params.id, Number(req.auth.sub));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.payout);
+    } catch (error) {
+        console.error('Error approving payout', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/payouts/:id/reject
+app.post('/admin/payouts/:id/reject', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: { reason: nonEmptyString },
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    try {
+        const result = await payouts.rejectPayout(req.params.id, Number(req.auth.sub), req.body.reason);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.payout);
+    } catch (error) {
+        console.error('Error rejecting payout', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/disputes?status=<status>
+app.get('/admin/disputes', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'createdAt']),
+            status: { type: 'array', items: { enum: ['open', 'resolved'] } }
+        }
+    }
+}), async (req, res) => {
+    const { Dispute } = req.app.get('models');
+    const { status, limit, cursor, sort } = req.query;
+
+    try {
+        const page = await paginate(Dispute, {
+            where: status ? { status: { [Op.in]: status } } : {},
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching disputes', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/disputes/:id/resolve
+app.post('/admin/disputes/:id/resolve', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    params: idParams('id'),
+    body: {
+        type: 'object',
+        properties: {
+            refund: { type: 'string', enum: ['full', 'partial', 'none'] },
+            // In the job's currency; only for partial refunds
+            amount: money,
+            note: nonEmptyString
+        },
+        required: ['refund'],
+        additionalProperties: false,
+        if: { properties: { refund: { const: 'partial' } }, required: ['refund'] },
+        then: { required: ['amount'] }
+    }
+}), async (req, res) => {
+    try {
+        const result = await withTransaction(transaction => disputes.resolve(req.params.id, req.body, Number(req.auth.sub), { transaction }));
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.dispute);
+    } catch (error) {
+        console.error('Error resolving dispute', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/audit
+app.get('/admin/audit', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id']),
+            profileId: id,
+            actorId: { type: 'string' },
+            actorRole: { type: 'string', enum: ['user', 'admin'] },
+            method: { type: 'array', items: { type: 'string', enum: ['POST', 'PUT', 'PATCH', 'DELETE'] } },
+            route: { type: 'string' },
+            outcome: { type: 'string', enum: ['success', 'failure'] },
+            statusCode: { type: 'integer', minimum: 100, maximum: 599 },
+            createdFrom: date,
+            createdTo: date
+        }
+    }
+}), async (req, res) => {
+    const { AuditLog } = req.app.get('models');
+    const { profileId, actorId, actorRole, method, route, outcome, statusCode, createdFrom, createdTo, limit, cursor, sort } = req.query;
+    const createdAt = range(createdFrom, createdTo);
+
+    try {
+        const page = await paginate(AuditLog, {
+            where: {
+                ...(profileId && { ProfileId: profileId }),
+                ...(actorId && { actorId }),
+                ...(actorRole && { actorRole }),
+                ...(method && { method: { [Op.in]: method } }),
+                ...(route && { route }),
+                ...(outcome && { outcome }),
+                ...(statusCode && { statusCode }),
+                ...(createdAt && { createdAt })
+            },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching audit log', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/events
+app.get('/admin/events', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id']),
+            type: { type: 'array', items: { type: 'string', enum: events.EVENT_TYPES } }
+        }
+    }
+}), async (req, res) => {
+    const { OutboxEvent } = req.app.get('models');
+    const { type, limit, cursor, sort } = req.query;
+
+    try {
+        // List the outbox, oldest event first by default
+        const page = await paginate(OutboxEvent, {
+            where: type ? { type: { [Op.in]: type } } : {},
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching events', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/webhooks
+app.get('/admin/webhooks', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), async (req, res) => {
+    const { WebhookSubscription } = req.app.get('models');
+
+    try {
+        const subscriptions = await WebhookSubscription.findAll({ order: [['id', 'ASC']] });
+
+        res.json(subscriptions.map(webhooks.withoutSecret));
+    } catch (error) {
+        console.error('Error fetching webhooks', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/webhooks
+app.post('/admin/webhooks', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    body: {
+        type: 'object',
+        properties: {
+            url: { type: 'string', format: 'uri', pattern: '^https?://' },
+            events: {
+                type: 'array',
+                items: { type: 'string', enum: events.EVENT_TYPES },
+                minItems: 1,
+                uniqueItems: true,
+                default: events.EVENT_TYPES
+            }
+        },
+        required: ['url'],
+        additionalProperties: false
+    }
+}), async (req, res) => {
+    try {
+        // The secret is returned once, here; receivers use it to check signatures
+        const subscription = await webhooks.subscribe(req.body);
+
+        res.status(201).json(subscription);
+    } catch (error) {
+        console.error('Error creating webhook', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /admin/webhooks/:id
+app.delete('/admin/webhooks/:id', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({ params: idParams('id') }), async (req, res) => {
+    try {
+        // Deactivate rather than delete, so the delivery log stays readable
+        const subscription = await webhooks.unsubscribe(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(webhooks.withoutSecret(subscription));
+    } catch (error) {
+        console.error('Error deleting webhook', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/webhooks/:id/deliveries
+app.get('/admin/webhooks/:id/deliveries', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    params: idParams('id'),
+    query: {
+        type: 'object',
+        properties: {
+            ...pageQueryProperties(['id', 'nextAttemptAt']),
+            status: { type: 'array', items: { type: 'string', enum: ['pending', 'delivered', 'failed'] } }
+        }
+    }
+}), async (req, res) => {
+    const { WebhookSubscription, WebhookDelivery } = req.app.get('models');
+    const { status, limit, cursor, sort } = req.query;
+
+    try {
+        const subscription = await WebhookSubscription.findByPk(req.params.id);
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const page = await paginate(WebhookDelivery, {
+            where: {
+                WebhookSubscriptionId: subscription.id,
+                ...(status && { status: { [Op.in]: status } })
+            },
+            limit,
+            cursor,
+            sort
+        });
+
+        sendPage(res, page);
+    } catch (error) {
+        console.error('Error fetching webhook deliveries', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/best-profession?start=<date>&end=<date>&currency=<code>
+app.get('/admin/best-profession', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: { start: date, end: date, currency: { ...currencyCode, default: 'USD' }, format: reportFormat },
+        required: ['start', 'end']
+    }
+}), requireDateOrder('start', 'end'), async (req, res) => {
+    // Extracting start and end dates and the report currency from the query parameters
+    const { start, end } = req.query;
+    const reportCurrency = req.query.currency;
+
+    try {
+        // Sum the jobs paid within the date range per profession, keeping the top earners
+        const { professions, missing } = await reports.bestProfessions({ start, end, reportCurrency });
+        if (missing) {
+            return res.status(409).json({ error: `No exchange rate from ${missing} to ${reportCurrency}` });
+        }
+
+        if (req.query.format === 'csv') {
+            const columns = [
+                { key: 'profession', label: 'Profession' },
+                { key: 'totalEarned', label: 'Total earned' },
+                { key: 'netEarned', label: 'Net earned' },
+                { key: 'currency', label: 'Currency' }
+            ];
+            return sendDownload(res, { filename: 'best-profession.csv', contentType: documents.CONTENT_TYPES.csv, body: toCsv(columns, professions) });
+        }
+
+        // Sending the result as JSON response
+        res.json(professions);
+    } catch (error) {
+        // Handling errors
+        console.error('Error best-profession', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+
+
+// GET /admin/best-clients?start=<date>&end=<date>&limit=<integer>&currency=<code>
+app.get('/admin/best-clients', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            start: date,
+            end: date,
+            limit: { type: 'integer', minimum: 1, default: 2 },
+            currency: { ...currencyCode, default: 'USD' },
+            format: reportFormat
+        },
+        required: ['start', 'end']
+    }
+}), requireDateOrder('start', 'end'), async (req, res) => {
+    // Extracting start, end, limit and the report currency from the query parameters
+    const { start, end, limit } = req.query;
+    const reportCurrency = req.query.currency;
+
+    try {
+        // Sum the jobs paid within the date range per client, limited to the requested number of clients
+        const { clients, missing } = await reports.bestClients({ start, end, limit, reportCurrency });
+        if (missing) {
+            return res.status(409).json({ error: `No exchange rate from ${missing} to ${reportCurrency}` });
+        }
+
+        if (req.query.format === 'csv') {
+            const columns = [
+                { key: 'id', label: 'Client id' },
+                { key: 'fullName', label: 'Client' },
+                { key: 'paid', label: 'Paid' },
+                { key: 'currency', label: 'Currency' }
+            ];
+            return sendDownload(res, { filename: 'best-clients.csv', contentType: documents.CONTENT_TYPES.csv, body: toCsv(columns, clients) });
+        }
+
+        res.json(clients);
+    } catch (error) {
+        // Handling errors
+        console.error('Error best-clients', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/reports/revenue?start=<date>&end=<date>&groupBy=day|week|month&by=profession|client|contractor&currency=<code>
+app.get('/admin/reports/revenue', rateLimitIp('admin'), requireRole('admin'), rateLimit('admin'), validate({
+    query: {
+        type: 'object',
+        properties: {
+            start: date,
+            end: date,
+            groupBy: { type: 'string', enum: Object.keys(reports.PERIODS), default: 'month' },
+            by: { type: 'string', enum: Object.keys(reports.BREAKDOWNS) },
+            currency: { ...currencyCode, default: 'USD' },
+            format: reportFormat
+        }
+    }
+}), requireDateOrder('start', 'end'), async (req, res) => {
+    const { start, end, groupBy, by } = req.query;
+    const reportCurrency = req.query.currency;
+
+    try {
+        // Sum the jobs paid within the date range per period, and per group when asked for
+        const { data, missing } = await reports.revenue({ start, end, groupBy, by, reportCurrency });
+        if (missing) {
+            return res.status(409).json({ error: `No exchange rate from ${missing} to ${reportCurrency}` });
+        }
+
+        if (req.query.format === 'csv') {
+            const groupColumns = {
+                profession: [{ key: 'profession', label: 'Profession' }],
+                client: [{ key: 'clientId', label: 'Client id' }, { key: 'fullName', label: 'Client' }],
+                contractor: [{ key: 'contractorId', label: 'Contractor id' }, { key: 'fullName', label: 'Contractor' }]
+            };
+            const columns = [
+                { key: 'period', label: 'Period' },
+                ...(groupColumns[by] || []),
+                { key: 'total', label: 'Gross' },
+                { key: 'fees', label: 'Fees' },
+                { key: 'withheld', label: 'Withheld' },
+                { key: 'net', label: 'Net' },
+                { key: 'jobs', label: 'Jobs' },
+                { key: 'averagePrice', label: 'Average price' },
+                { key: 'currency', label: 'Currency' }
+            ];
+            const rows = data.map(row => ({ ...row, currency: reportCurrency }));
+            return sendDownload(res, { filename: `revenue-by-${groupBy}.csv`, contentType: documents.CONTENT_TYPES.csv, body: toCsv(columns, rows) });
+        }
+
+        res.json({ groupBy, by: by || null, currency: reportCurrency, data });
+    } catch (error) {
+        // Handling errors
+        console.error('Error revenue report', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET endpoint serving the OpenAPI document of the API, built from the routes
+ * above and their validation schemas.
+ */
+app.get('/openapi.json', rateLimitIp('read'), (req, res) => {
+    res.json(openapi.specFor(req.app));
+});
+
+/**
+ * GET endpoint serving the interactive documentation of the API.
+ */
+app.get('/docs', rateLimitIp('read'), (req, res) => {
+    res.type('html').send(openapi.docsPage('/openapi.json', '/docs/assets'));
+});
+
+// Swagger UI's scripts and styles, served from the installed swagger-ui-dist package
+app.use('/docs/assets', rateLimitIp('read'), express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// Unknown routes get the same error format as the API
+app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+});
+
+// Malformed JSON bodies and other errors raised outside the route handlers
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Validation failed', details: [{ in: 'body', field: '', message: 'must be valid JSON' }] });
+    }
+
+    console.error('Unhandled error:', error.message);
+    res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal server error' });
+});
 
 module.exports = app;
@@ -0,0 +1,52 @@
+const audit = require('../services/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Records every mutating API call in the audit log once its response is sent:
+ * the caller from the bearer token, the route and its inputs, the outcome and
+ * the rows the call changed. Register it before the routes and the body parser.
+ */
+const auditLog = (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    // Keep the message of error responses
+    let error = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && body.error) {
+            error = body.error;
+        }
+        return json(body);
+    };
+
+    audit.capture(() => {
+        const changes = audit.changes();
+
+        res.on('finish', () => {
+            const auth = req.auth || {};
+            audit.write({
+                actorId: auth.sub || null,
+                actorRole: auth.role || null,
+                ProfileId: req.profile ? req.profile.id : null,
+                method: req.method,
+                route: req.route ? req.baseUrl + req.route.path : null,
+                path: req.originalUrl,
+                params: req.params,
+                query: req.query,
+                body: req.body,
+                statusCode: res.statusCode,
+                outcome: res.statusCode < 400 ? 'success' : 'failure',
+                error,
+                changes,
+                ip: req.ip
+            }).catch(writeError => console.error('Error writing audit log:', writeError.message));
+        });
+
+        next();
+    });
+};
+
+module.exports = { auditLog };
@@ -1,18 +1,31 @@
+const { authenticateRequest } = require('../services/auth');
+
 const getProfile = async (req, res, next) => {
     const { Profile } = req.app.get('models');
-    const profileId = req.get('profile_id');
+    const claims = authenticateRequest(req);
+
+    if (!claims) {
+        return res.status(401).json({ error: 'A valid bearer token is required' });
+    }
 
-    if (!profileId) {
-        return res.status(400).json({ error: 'Profile ID is missing in the request header' });
+    // Admin-only accounts have no profile to act as
+    if (!claims.profileId) {
+        return res.status(403).json({ error: 'Unauthorized: Account has no profile' });
     }
 
     try {
-        const profile = await Profile.findOne({ where: { id: profileId } });
+        const profile = await Profile.findOne({ where: { id: claims.profileId } });
 
         if (!profile) {
             return res.status(404).json({ error: 'Profile not found' });
         }
 
+        // Tokens issued before the profile was deactivated stop working too
+        if (profile.deactivatedAt) {
+            return res.status(403).json({ error: 'Profile is deactivated' });
+        }
+
+        req.auth = claims;
         req.profile = profile;
         next();
     } catch (error) {
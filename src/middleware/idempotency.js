@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+
+/**
+ * Makes a money-moving route safe to retry. When the caller sends an
+ * `Idempotency-Key` header, the first response for that key is stored and
+ * replayed for every retry instead of running the handler again.
+ * Must run after getProfile: keys are scoped to the calling profile.
+ */
+const idempotency = async (req, res, next) => {
+    const { IdempotencyKey } = req.app.get('models');
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    // Identifies the request so a key cannot be reused for a different operation
+    const fingerprint = crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+
+    try {
+        let record;
+        try {
+            // Reserve the key; the unique index makes concurrent retries lose this race
+            record = await IdempotencyKey.create({ key, ProfileId: req.profile.id, fingerprint, status: 'in_progress' });
+        } catch (error) {
+            if (!(error instanceof UniqueConstraintError)) {
+                throw error;
+            }
+
+            const existing = await IdempotencyKey.findOne({ where: { key, ProfileId: req.profile.id } });
+
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            if (existing.status === 'in_progress') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+            }
+
+            // Replay the stored response
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(JSON.parse(existing.responseBody));
+        }
+
+        // Store the handler's response, then send it, so a retry never finds the key still in progress
+        let answered = false;
+        const json = res.json.bind(res);
+        res.json = async (body) => {
+            answered = true;
+            try {
+                if (res.statusCode >= 500) {
+                    // Server errors are not final, release the key so the request can be retried
+                    await record.destroy();
+                } else {
+                    await record.update({ status: 'completed', responseStatus: res.statusCode, responseBody: JSON.stringify(body) });
+                }
+            } catch (error) {
+                // The key stays in progress: a retry must not move the money a second time
+                console.error('Error saving idempotency key:', error.message);
+            }
+            return json(body);
+        };
+
+        // A handler that threw never answers; its transaction rolled back, so release the key
+        res.on('close', () => {
+            if (!answered && !res.headersSent) {
+                record.destroy().catch(error => console.error('Error releasing idempotency key:', error.message));
+            }
+        });
+
+        next();
+    } catch (error) {
+        console.error('Error checking idempotency key:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { idempotency };
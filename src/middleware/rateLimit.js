@@ -0,0 +1,63 @@
+const rateLimits = require('../services/rateLimits');
+
+/**
+ * Builds a middleware that counts the requests of `routeClass` (see
+ * services/rateLimits.js) with `keysOf(req)`, a `{ caller, ip }` pair. Limited
+ * responses carry `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` (seconds) headers for the counter closest to its limit,
+ * and requests over a limit get a 429 with `Retry-After`. The middleware keeps
+ * the class as `.routeClass`, for the OpenAPI document.
+ */
+const limiter = (routeClass, keysOf) => {
+    const middleware = async (req, res, next) => {
+        let counter;
+        try {
+            counter = await rateLimits.consume(routeClass, keysOf(req));
+        } catch (error) {
+            // A store that is down must not take the API down with it
+            console.error('Error checking rate limit:', error.message);
+            return next();
+        }
+
+        // The IP was counted before authentication; report whichever counter is closer
+        counter = rateLimits.closest(req.rateLimit, counter);
+        if (!counter) {
+            return next();
+        }
+        req.rateLimit = counter;
+
+        const seconds = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(counter.limit),
+            'RateLimit-Remaining': String(counter.remaining),
+            'RateLimit-Reset': String(seconds)
+        });
+
+        if (counter.limited) {
+            res.set('Retry-After', String(seconds));
+            return res.status(429).json({ error: `Too many requests, retry in ${seconds} seconds` });
+        }
+
+        next();
+    };
+    middleware.routeClass = routeClass;
+
+    return middleware;
+};
+
+/**
+ * Rate limits the routes of `routeClass` per IP. Runs before getProfile or
+ * requireRole(), so requests without a valid token are counted too, and
+ * refused before they cost a token check.
+ */
+const rateLimitIp = routeClass => limiter(routeClass, req => ({ ip: req.ip }));
+
+/**
+ * Rate limits the routes of `routeClass` per caller: the profile, or the admin
+ * login, which has no profile. Runs after getProfile or requireRole().
+ */
+const rateLimit = routeClass => limiter(routeClass, req => ({
+    caller: req.profile ? `profile:${req.profile.id}` : req.auth ? `credential:${req.auth.sub}` : null
+}));
+
+module.exports = { rateLimitIp, rateLimit };
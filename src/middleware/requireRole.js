@@ -0,0 +1,28 @@
+const { authenticateRequest } = require('../services/auth');
+
+/**
+ * Builds a middleware that only lets through requests whose bearer token
+ * carries the given role. The token claims are available under `req.auth`.
+ * The middleware keeps the role as `.role`, for the OpenAPI document.
+ */
+const requireRole = (role) => {
+    const middleware = (req, res, next) => {
+        const claims = authenticateRequest(req);
+
+        if (!claims) {
+            return res.status(401).json({ error: 'A valid bearer token is required' });
+        }
+
+        if (claims.role !== role) {
+            return res.status(403).json({ error: `Unauthorized: The ${role} role is required` });
+        }
+
+        req.auth = claims;
+        next();
+    };
+    middleware.role = role;
+
+    return middleware;
+};
+
+module.exports = { requireRole };
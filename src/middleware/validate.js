@@ -0,0 +1,76 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Path and query values arrive as strings and are coerced to the schema types
+// (a single query value becomes a one-item array where the schema wants an array);
+// JSON bodies must already have the right types
+const coercing = addFormats(new Ajv({ allErrors: true, coerceTypes: 'array', useDefaults: true, multipleOfPrecision: 6 }));
+const strict = addFormats(new Ajv({ allErrors: true, useDefaults: true, multipleOfPrecision: 6 }));
+
+// Calendar date (2020-08-15) or full ISO timestamp (2020-08-15T19:11:26.737Z)
+const isoDate = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+[coercing, strict].forEach(ajv => ajv.addFormat('iso-date', value => isoDate.test(value) && !isNaN(Date.parse(value))));
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Turns Ajv errors into `{ in, field, message }` entries.
+ */
+function toFieldErrors(location, errors) {
+    return errors
+        // An `if` error only says the `then` or `else` branch failed; that branch reports the fields
+        .filter(error => error.keyword !== 'if')
+        .map(error => {
+            const path = error.instancePath.split('/').filter(Boolean);
+            if (error.keyword === 'required') {
+                path.push(error.params.missingProperty);
+            }
+            if (error.keyword === 'additionalProperties') {
+                path.push(error.params.additionalProperty);
+            }
+            return { in: location, field: path.join('.'), message: error.message };
+        });
+}
+
+/**
+ * Builds a middleware that validates `req.params`, `req.query` and `req.body`
+ * against JSON schemas. Coerced values and defaults are written back to the
+ * request. Failing requests get a 400 listing every failing field:
+ *
+ *     { "error": "Validation failed", "details": [{ "in": "body", "field": "amount", "message": "..." }] }
+ *
+ * The middleware keeps the schemas as `.schemas`, for the OpenAPI document.
+ */
+const validate = (schemas) => {
+    const validators = LOCATIONS
+        .filter(location => schemas[location])
+        .map(location => ({
+            location,
+            check: (location === 'body' ? strict : coercing).compile(schemas[location])
+        }));
+
+    const middleware = (req, res, next) => {
+        const details = [];
+
+        validators.forEach(({ location, check }) => {
+            // A missing JSON body is validated as an empty object
+            if (location === 'body' && req.body === undefined) {
+                req.body = {};
+            }
+            if (!check(req[location])) {
+                details.push(...toFieldErrors(location, check.errors));
+            }
+        });
+
+        if (details.length) {
+            return res.status(400).json({ error: 'Validation failed', details });
+        }
+
+        next();
+    };
+    middleware.schemas = schemas;
+
+    return middleware;
+};
+
+module.exports = { validate };
@@ -0,0 +1,39 @@
+const path = require('path');
+const Sequelize = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('./model');
+
+/**
+ * Creates a migrator running the migrations in migrations/ against
+ * `database`, in the order of their file names. Applied migrations are
+ * recorded in the `SequelizeMeta` table. Each migration exports
+ * `up(queryInterface, Sequelize)` and `down(queryInterface, Sequelize)`.
+ */
+const createMigrator = database => new Umzug({
+    migrations: {
+        glob: path.join(__dirname, '../migrations/*.js').replace(/\\/g, '/'),
+        resolve: ({ name, path: file, context }) => {
+            const migration = require(file);
+            return {
+                name,
+                up: () => migration.up(context, Sequelize),
+                down: () => migration.down(context, Sequelize)
+            };
+        }
+    },
+    context: database.getQueryInterface(),
+    storage: new SequelizeStorage({ sequelize: database }),
+    logger: process.env.NODE_ENV === 'test' ? undefined : console
+});
+
+// The migrator of the configured database
+const migrator = createMigrator(sequelize);
+
+/**
+ * Applies every pending migration.
+ */
+function migrate() {
+    return migrator.up();
+}
+
+module.exports = { createMigrator, migrator, migrate };
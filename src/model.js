@@ -1,9 +1,7 @@
 const Sequelize = require('sequelize');
+const { createSequelize } = require('./database');
 
-const sequelize = new Sequelize({
-  dialect: 'sqlite',
-  storage: './database.sqlite3'
-});
+const sequelize = createSequelize();
 
 class Profile extends Sequelize.Model {}
 Profile.init(
@@ -23,8 +21,22 @@ Profile.init(
     balance:{
       type:Sequelize.DECIMAL(12,2)
     },
+    // ISO 4217 code of the balance
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
     type: {
       type: Sequelize.ENUM('client', 'contractor')
+    },
+    // ISO 3166-1 alpha-2 code of the tax jurisdiction, for withholding rules
+    country: {
+      type: Sequelize.STRING(2)
+    },
+    // Set when the profile is deactivated; it can no longer sign in or use the API
+    deactivatedAt: {
+      type: Sequelize.DATE
     }
   },
   {
@@ -42,6 +54,12 @@ Contract.init(
     },
     status:{
       type: Sequelize.ENUM('new','in_progress','terminated')
+    },
+    // ISO 4217 code the contract's jobs are priced in
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
     }
   },
   {
@@ -61,12 +79,58 @@ Job.init(
       type: Sequelize.DECIMAL(12,2),
       allowNull: false
     },
+    // ISO 4217 code of the price, taken from the contract
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
     paid: {
       type: Sequelize.BOOLEAN,
       default:false
     },
     paymentDate:{
       type: Sequelize.DATE
+    },
+    // Jobs are logged by the contractor, submitted, approved by the client and then paid
+    status: {
+      type: Sequelize.ENUM('new', 'submitted', 'approved', 'paid'),
+      allowNull: false,
+      defaultValue: 'new'
+    },
+    // Escrow: the client funds the job up front, the money is released to the
+    // contractor on approval and refunded if the contract is terminated
+    escrowStatus: {
+      type: Sequelize.ENUM('funded', 'released', 'refunded')
+    },
+    // Amount held in escrow, in the client's currency
+    escrowAmount: {
+      type: Sequelize.DECIMAL(12,2)
+    },
+    escrowCurrency: {
+      type: Sequelize.STRING(3)
+    },
+    // Totals of the job's fee and withholding line items, in the job's currency, for reports,
+    // less the share a dispute refund returned
+    feeAmount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    withheldAmount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Set while a dispute about the paid job is open, and once it is resolved
+    disputeStatus: {
+      type: Sequelize.ENUM('open', 'resolved')
+    },
+    // Part of the price refunded to the client by a dispute, in the job's currency
+    refundedAmount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false,
+      defaultValue: 0
     }
   },
   {
@@ -75,6 +139,729 @@ Job.init(
   }
 );
 
+/**
+ * Login credentials. `ProfileId` is empty for accounts that only
+ * administer the platform and do not act as a client or contractor.
+ */
+class Credential extends Sequelize.Model {}
+Credential.init(
+  {
+    username: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    passwordHash: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    role: {
+      type: Sequelize.ENUM('user', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Credential'
+  }
+);
+
+/**
+ * An issued refresh token, identified by the `jti` claim of the token.
+ * Refreshing revokes the token that was used so each one works only once.
+ */
+class RefreshToken extends Sequelize.Model {}
+RefreshToken.init(
+  {
+    jti: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'RefreshToken'
+  }
+);
+
+/**
+ * A change of a contract's status, recording who made it and when.
+ * `fromStatus` is null for the entry written when the contract is created.
+ */
+class ContractStatusChange extends Sequelize.Model {}
+ContractStatusChange.init(
+  {
+    fromStatus: {
+      type: Sequelize.ENUM('new','in_progress','terminated')
+    },
+    toStatus: {
+      type: Sequelize.ENUM('new','in_progress','terminated'),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ContractStatusChange',
+    updatedAt: false
+  }
+);
+
+/**
+ * One side of a double-entry movement. Every balance change writes a debit
+ * row and a credit row sharing the same transactionId, so the entries of a
+ * transaction always net to zero. Profile balances are credit-normal: a
+ * credit raises the balance and a debit lowers it. Money entering or leaving
+ * the platform is booked against the `external` account, and funds a profile
+ * has set aside (e.g. for a pending payout) against its `hold` account. A
+ * client's money funding jobs in escrow sits in its `escrow` account. Movements between
+ * currencies go through the `fx` account, so entries also net to zero per currency.
+ */
+class LedgerEntry extends Sequelize.Model {}
+LedgerEntry.init(
+  {
+    transactionId: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    account: {
+      type: Sequelize.ENUM('profile', 'hold', 'escrow', 'external', 'fx', 'platform', 'tax'),
+      allowNull: false
+    },
+    direction: {
+      type: Sequelize.ENUM('debit', 'credit'),
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    },
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    },
+    // Rate applied to the amount that caused the movement (e.g. the job price) to get this entry's amount
+    exchangeRate: {
+      type: Sequelize.DECIMAL(18,8),
+      allowNull: false,
+      defaultValue: 1
+    },
+    kind: {
+      type: Sequelize.ENUM('opening_balance', 'deposit', 'job_payment', 'payout_hold', 'payout', 'payout_release', 'escrow_fund', 'escrow_release', 'escrow_refund', 'platform_fee', 'tax_withholding', 'dispute_refund'),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'LedgerEntry',
+    // Ledger rows are append-only
+    updatedAt: false
+  }
+);
+
+/**
+ * Money a client added to their balance.
+ */
+class Deposit extends Sequelize.Model {}
+Deposit.init(
+  {
+    amount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    },
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Deposit',
+    updatedAt: false
+  }
+);
+
+/**
+ * A rule capping client deposits. Rules without a profile apply to every
+ * client; a client's own rule replaces the global rule of the same type.
+ *   - percentage: a deposit may not exceed `value` percent of the client's unpaid
+ *     jobs on active contracts (only applies while there are unpaid jobs)
+ *   - daily: deposits over the last 24 hours may not exceed `value`
+ *   - fixed: a single deposit may not exceed `value`
+ * Amounts are in the currency of the client's balance.
+ */
+class DepositLimit extends Sequelize.Model {}
+DepositLimit.init(
+  {
+    type: {
+      type: Sequelize.ENUM('percentage', 'daily', 'fixed'),
+      allowNull: false
+    },
+    value: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DepositLimit',
+    indexes: [
+      { unique: true, fields: ['ProfileId', 'type'] },
+      // NULL ProfileIds are distinct in the index above: one global rule per type
+      { name: 'deposit_limits_global_type', unique: true, fields: ['type'], where: { ProfileId: null } }
+    ]
+  }
+);
+
+/**
+ * A contractor's request to withdraw money from their balance. The amount is
+ * held while the payout is pending and leaves the platform once a payout
+ * provider sends it; a rejected or failed payout releases it back.
+ */
+class Payout extends Sequelize.Model {}
+Payout.init(
+  {
+    amount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    },
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    },
+    status: {
+      // `processing` while the payout provider is sending it
+      type: Sequelize.ENUM('pending', 'processing', 'approved', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    provider: {
+      type: Sequelize.STRING
+    },
+    providerReference: {
+      type: Sequelize.STRING
+    },
+    // Sent along with the payout, so the provider sends it once however often it is retried
+    idempotencyKey: {
+      type: Sequelize.STRING,
+      defaultValue: Sequelize.UUIDV4
+    },
+    failureReason: {
+      type: Sequelize.TEXT
+    },
+    // Set when an admin last started reviewing the payout
+    reviewedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Payout'
+  }
+);
+
+/**
+ * Locally managed exchange rates: 1 `baseCurrency` = `rate` `quoteCurrency`.
+ * Rows are never updated; the newest row for a pair is the current rate.
+ */
+class ExchangeRate extends Sequelize.Model {}
+ExchangeRate.init(
+  {
+    baseCurrency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    },
+    quoteCurrency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    },
+    rate: {
+      type: Sequelize.DECIMAL(18,8),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ExchangeRate',
+    updatedAt: false,
+    indexes: [{ fields: ['baseCurrency', 'quoteCurrency'] }]
+  }
+);
+
+/**
+ * Result of a money-moving request sent with an `Idempotency-Key` header,
+ * replayed when the same profile retries with the same key.
+ */
+class IdempotencyKey extends Sequelize.Model {}
+IdempotencyKey.init(
+  {
+    key: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    fingerprint: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('in_progress', 'completed'),
+      allowNull: false
+    },
+    responseStatus: {
+      type: Sequelize.INTEGER
+    },
+    responseBody: {
+      type: Sequelize.TEXT
+    }
+  },
+  {
+    sequelize,
+    modelName: 'IdempotencyKey',
+    indexes: [{ unique: true, fields: ['ProfileId', 'key'] }]
+  }
+);
+
+
+/**
+ * Domain event written in the same transaction as the change it describes
+ * (the transactional outbox). `dispatchedAt` is set once the event has been
+ * queued for every webhook subscription that wants it.
+ */
+class OutboxEvent extends Sequelize.Model {}
+OutboxEvent.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: Sequelize.JSON,
+      allowNull: false
+    },
+    dispatchedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'OutboxEvent',
+    updatedAt: false
+  }
+);
+
+/**
+ * URL that receives the events of the listed `events` types, signed with `secret`.
+ */
+class WebhookSubscription extends Sequelize.Model {}
+WebhookSubscription.init(
+  {
+    url: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    events: {
+      type: Sequelize.JSON,
+      allowNull: false
+    },
+    secret: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    active: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookSubscription'
+  }
+);
+
+/**
+ * One event sent to one subscription: the delivery log. Failed attempts are
+ * retried at `nextAttemptAt` until the delivery succeeds or runs out of attempts.
+ */
+class WebhookDelivery extends Sequelize.Model {}
+WebhookDelivery.init(
+  {
+    status: {
+      type: Sequelize.ENUM('pending', 'delivered', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: Sequelize.DATE
+    },
+    lastAttemptAt: {
+      type: Sequelize.DATE
+    },
+    // HTTP status of the last attempt, or null when no response came back
+    responseStatus: {
+      type: Sequelize.INTEGER
+    },
+    error: {
+      type: Sequelize.TEXT
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookDelivery',
+    indexes: [{ fields: ['status', 'nextAttemptAt'] }]
+  }
+);
+
+/**
+ * Billing plan of a contract that creates its jobs automatically: a fixed
+ * `amount` every `interval` from `startsAt` (recurring), or one job per
+ * Milestone on its due date (milestone). With `autoPay` the jobs are paid
+ * from the client's balance as soon as they are created.
+ */
+class BillingSchedule extends Sequelize.Model {}
+BillingSchedule.init(
+  {
+    type: {
+      type: Sequelize.ENUM('recurring', 'milestone'),
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12,2)
+    },
+    interval: {
+      type: Sequelize.ENUM('week', 'month')
+    },
+    startsAt: {
+      type: Sequelize.DATE
+    },
+    // No periods start on or after this date
+    endsAt: {
+      type: Sequelize.DATE
+    },
+    // Start of the next recurring period to bill
+    nextRunAt: {
+      type: Sequelize.DATE
+    },
+    periodsBilled: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    autoPay: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    active: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'BillingSchedule',
+    indexes: [{ fields: ['active', 'nextRunAt'] }]
+  }
+);
+
+/**
+ * Milestone of a milestone schedule; `JobId` is set once its job is created.
+ */
+class Milestone extends Sequelize.Model {}
+Milestone.init(
+  {
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    },
+    dueDate: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Milestone'
+  }
+);
+
+/**
+ * Automatic payment of a job created by a schedule with `autoPay`. Charges
+ * refused for insufficient balance are retried at `nextAttemptAt`.
+ */
+class AutoPayment extends Sequelize.Model {}
+AutoPayment.init(
+  {
+    status: {
+      type: Sequelize.ENUM('pending', 'paid', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: Sequelize.DATE
+    },
+    lastAttemptAt: {
+      type: Sequelize.DATE
+    },
+    error: {
+      type: Sequelize.TEXT
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AutoPayment',
+    indexes: [{ fields: ['status', 'nextAttemptAt'] }]
+  }
+);
+
+/**
+ * Commission the platform takes from a job payment: a `percentage` of the
+ * price, a `flat` amount, or `tiered` percentages of the parts of the price
+ * between the tiers' `upTo` bounds. Flat amounts and tier bounds are in
+ * `currency`. A rule applies to one contract, to contractors of one
+ * profession, or to every payment when both are empty.
+ */
+class FeeRule extends Sequelize.Model {}
+FeeRule.init(
+  {
+    type: {
+      type: Sequelize.ENUM('percentage', 'flat', 'tiered'),
+      allowNull: false
+    },
+    percentage: {
+      type: Sequelize.DECIMAL(6,3)
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12,2)
+    },
+    currency: {
+      type: Sequelize.STRING(3)
+    },
+    // [{ upTo, percentage }] in ascending order; the last tier has no upTo
+    tiers: {
+      type: Sequelize.JSON
+    },
+    profession: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'FeeRule',
+    indexes: [
+      { unique: true, fields: ['ContractId', 'profession'] },
+      // NULL ContractIds are distinct in the index above: one rule per profession, and one global rule
+      {
+        name: 'fee_rules_global_profession',
+        unique: true,
+        fields: [Sequelize.fn('COALESCE', Sequelize.col('profession'), '')],
+        where: { ContractId: null }
+      }
+    ]
+  }
+);
+
+/**
+ * Tax withheld from payments to contractors of one country, as a percentage
+ * of the price.
+ */
+class WithholdingRule extends Sequelize.Model {}
+WithholdingRule.init(
+  {
+    country: {
+      type: Sequelize.STRING(2),
+      allowNull: false,
+      unique: true
+    },
+    percentage: {
+      type: Sequelize.DECIMAL(6,3),
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WithholdingRule'
+  }
+);
+
+/**
+ * An amount deducted from a job payment before it reaches the contractor: the
+ * platform `fee` or tax `withholding`, in the job's currency, with the rule
+ * that produced it.
+ */
+class PaymentLineItem extends Sequelize.Model {}
+PaymentLineItem.init(
+  {
+    type: {
+      type: Sequelize.ENUM('fee', 'withholding'),
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12,2),
+      allowNull: false
+    },
+    currency: {
+      type: Sequelize.STRING(3),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'PaymentLineItem',
+    updatedAt: false
+  }
+);
+
+/**
+ * A client's dispute about a paid job. The contractor may respond while it is
+ * open; an admin resolves it with a full, partial or no refund of the price.
+ */
+class Dispute extends Sequelize.Model {}
+Dispute.init(
+  {
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    response: {
+      type: Sequelize.TEXT
+    },
+    respondedAt: {
+      type: Sequelize.DATE
+    },
+    status: {
+      type: Sequelize.ENUM('open', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    resolution: {
+      type: Sequelize.ENUM('full_refund', 'partial_refund', 'no_refund')
+    },
+    // In the job's currency
+    refundAmount: {
+      type: Sequelize.DECIMAL(12,2)
+    },
+    resolutionNote: {
+      type: Sequelize.TEXT
+    },
+    resolvedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Dispute',
+    indexes: [{ unique: true, fields: ['JobId'] }]
+  }
+);
+
+// Audit log rows are never changed once written
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be changed');
+};
+
+/**
+ * One mutating API call: who made it, what it asked for, how it ended and
+ * the rows it changed. Append-only.
+ */
+class AuditLog extends Sequelize.Model {}
+AuditLog.init(
+  {
+    // Credential id and role from the bearer token; null for anonymous calls
+    actorId: {
+      type: Sequelize.STRING
+    },
+    actorRole: {
+      type: Sequelize.STRING
+    },
+    method: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    // Route pattern, e.g. /jobs/:job_id/pay; null when no route matched
+    route: {
+      type: Sequelize.STRING
+    },
+    path: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    params: {
+      type: Sequelize.JSON
+    },
+    query: {
+      type: Sequelize.JSON
+    },
+    body: {
+      type: Sequelize.JSON
+    },
+    statusCode: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    outcome: {
+      type: Sequelize.ENUM('success', 'failure'),
+      allowNull: false
+    },
+    error: {
+      type: Sequelize.TEXT
+    },
+    // `{ model, id, action, before, after }` for every row the call changed
+    changes: {
+      type: Sequelize.JSON,
+      allowNull: false
+    },
+    ip: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AuditLog',
+    updatedAt: false,
+    indexes: [{ fields: ['ProfileId'] }, { fields: ['createdAt'] }],
+    hooks: {
+      beforeUpdate: appendOnly,
+      beforeDestroy: appendOnly,
+      beforeBulkUpdate: appendOnly,
+      beforeBulkDestroy: appendOnly
+    }
+  }
+);
 
 Profile.hasMany(Contract, {as :'Contractor',foreignKey:'ContractorId'})
 Contract.belongsTo(Profile, {as: 'Contractor'})
@@ -82,10 +869,79 @@ Profile.hasMany(Contract, {as : 'Client', foreignKey:'ClientId'})
 Contract.belongsTo(Profile, {as: 'Client'})
 Contract.hasMany(Job)
 Job.belongsTo(Contract)
+Contract.hasMany(ContractStatusChange, {as: 'StatusChanges', foreignKey: 'ContractId'})
+ContractStatusChange.belongsTo(Contract)
+ContractStatusChange.belongsTo(Profile, {as: 'ChangedBy'})
+Profile.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Profile)
+Job.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Job)
+Profile.hasOne(Credential)
+Credential.belongsTo(Profile)
+Credential.hasMany(RefreshToken)
+RefreshToken.belongsTo(Credential)
+Profile.hasMany(Deposit)
+Deposit.belongsTo(Profile)
+Deposit.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Deposit)
+Profile.hasMany(DepositLimit)
+DepositLimit.belongsTo(Profile)
+Profile.hasMany(Payout)
+Payout.belongsTo(Profile)
+Payout.belongsTo(Credential, {as: 'ReviewedBy'})
+Payout.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Payout)
+Profile.hasMany(IdempotencyKey)
+IdempotencyKey.belongsTo(Profile)
+OutboxEvent.hasMany(WebhookDelivery)
+WebhookDelivery.belongsTo(OutboxEvent)
+WebhookSubscription.hasMany(WebhookDelivery)
+WebhookDelivery.belongsTo(WebhookSubscription)
+Profile.hasMany(AuditLog)
+Contract.hasMany(BillingSchedule)
+BillingSchedule.belongsTo(Contract)
+BillingSchedule.hasMany(Milestone)
+Milestone.belongsTo(BillingSchedule)
+Milestone.belongsTo(Job)
+BillingSchedule.hasMany(Job)
+Job.belongsTo(BillingSchedule)
+BillingSchedule.hasMany(AutoPayment)
+AutoPayment.belongsTo(BillingSchedule)
+AutoPayment.belongsTo(Job)
+AuditLog.belongsTo(Profile)
+Contract.hasMany(FeeRule)
+FeeRule.belongsTo(Contract)
+Job.hasMany(PaymentLineItem)
+PaymentLineItem.belongsTo(Job)
+PaymentLineItem.belongsTo(FeeRule)
+PaymentLineItem.belongsTo(WithholdingRule)
+Job.hasOne(Dispute)
+Dispute.belongsTo(Job)
+Dispute.belongsTo(Credential, {as: 'ResolvedBy'})
 
 module.exports = {
   sequelize,
   Profile,
   Contract,
-  Job
+  Job,
+  Credential,
+  RefreshToken,
+  ContractStatusChange,
+  LedgerEntry,
+  Deposit,
+  DepositLimit,
+  Payout,
+  ExchangeRate,
+  IdempotencyKey,
+  OutboxEvent,
+  WebhookSubscription,
+  WebhookDelivery,
+  AuditLog,
+  BillingSchedule,
+  Milestone,
+  AutoPayment,
+  FeeRule,
+  WithholdingRule,
+  PaymentLineItem,
+  Dispute
 };
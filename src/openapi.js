@@ -0,0 +1,477 @@
+const models = require('./model');
+const { getProfile } = require('./middleware/getProfile');
+const { idempotency } = require('./middleware/idempotency');
+const { name, version } = require('../package.json');
+
+/**
+ * OpenAPI 3.1 document of the API, built from the routes registered on the
+ * Express app. Paths, parameters and request bodies come from the schemas of
+ * each route's validate() middleware, and authentication from its getProfile
+ * or requireRole() middleware. What the routes respond with is described in
+ * OPERATIONS, keyed by method and path.
+ */
+
+const ref = schema => ({ $ref: `#/components/schemas/${schema}` });
+const arrayOf = items => ({ type: 'array', items });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const timestamp = { type: 'string', format: 'date-time' };
+
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+// JSON schema types of the Sequelize data types the models use
+const ATTRIBUTE_TYPES = {
+    STRING: string,
+    TEXT: string,
+    INTEGER: integer,
+    DECIMAL: number,
+    BOOLEAN: { type: 'boolean' },
+    DATE: timestamp
+};
+
+/**
+ * JSON schema of a model as the API serializes it. Attributes that cannot be
+ * null are required; the others may be left out of rows that were just created.
+ */
+function modelSchema(Model, { omit = [], include = {} } = {}) {
+    const properties = {};
+    const required = [];
+
+    Object.entries(Model.getAttributes())
+        .filter(([attribute]) => !omit.includes(attribute))
+        .forEach(([attribute, { type, values, allowNull }]) => {
+            let schema = type.key === 'ENUM' ? { type: 'string', enum: values } : ATTRIBUTE_TYPES[type.key] || {};
+
+            if (allowNull === false) {
+                required.push(attribute);
+            } else if (schema.type) {
+                schema = nullable(schema);
+                if (schema.enum) {
+                    schema.enum = [...schema.enum, null];
+                }
+            }
+
+            properties[attribute] = schema;
+        });
+
+    // Associated rows some routes include
+    return { type: 'object', properties: { ...properties, ...include }, required };
+}
+
+const money = object({ amount: number, currency: string });
+const periodTotals = {
+    total: number,
+    fees: number,
+    withheld: number,
+    net: number,
+    jobs: integer,
+    averagePrice: number
+};
+
+const SCHEMAS = {
+    Error: object({ error: string }),
+    ValidationError: object({
+        error: { const: 'Validation failed' },
+        details: arrayOf(object({ in: { enum: ['params', 'query', 'body'] }, field: string, message: string }))
+    }),
+    Page: object({ limit: integer, nextCursor: nullable(string), totalCount: integer }),
+    Tokens: object({ accessToken: string, refreshToken: string, tokenType: { const: 'Bearer' }, expiresIn: integer }),
+
+    Profile: modelSchema(models.Profile),
+    Contract: modelSchema(models.Contract),
+    ContractStatusChange: modelSchema(models.ContractStatusChange),
+    Job: modelSchema(models.Job, { include: { Contract: ref('Contract') } }),
+    BillingSchedule: modelSchema(models.BillingSchedule, { include: { Milestones: arrayOf(ref('Milestone')) } }),
+    Milestone: modelSchema(models.Milestone),
+    AutoPayment: modelSchema(models.AutoPayment),
+    Dispute: modelSchema(models.Dispute, { include: { Job: ref('Job') } }),
+    LedgerEntry: modelSchema(models.LedgerEntry),
+    Deposit: modelSchema(models.Deposit),
+    DepositLimit: modelSchema(models.DepositLimit),
+    Payout: modelSchema(models.Payout),
+    ExchangeRate: modelSchema(models.ExchangeRate),
+    FeeRule: modelSchema(models.FeeRule),
+    WithholdingRule: modelSchema(models.WithholdingRule),
+    OutboxEvent: modelSchema(models.OutboxEvent),
+    // The secret is only returned when the subscription is created
+    WebhookSubscription: modelSchema(models.WebhookSubscription, { omit: ['secret'] }),
+    WebhookDelivery: modelSchema(models.WebhookDelivery),
+    AuditLog: modelSchema(models.AuditLog),
+
+    Money: money,
+    PaymentLeg: object({ ...money.properties, exchangeRate: number }),
+    Deduction: object({ type: { enum: ['fee', 'withholding'] }, description: string, ...money.properties }),
+    Payment: object({
+        message: string,
+        charged: ref('PaymentLeg'),
+        credited: ref('PaymentLeg'),
+        deductions: arrayOf(ref('Deduction')),
+        net: ref('Money')
+    }),
+    JobPaymentResult: {
+        oneOf: [
+            object({
+                jobId: integer,
+                paid: { const: true },
+                charged: ref('PaymentLeg'),
+                credited: ref('PaymentLeg'),
+                deductions: arrayOf(ref('Deduction')),
+                net: ref('Money')
+            }),
+            object({ jobId: integer, paid: { const: false }, status: integer, error: string })
+        ]
+    },
+    BulkPayment: object({
+        message: string,
+        mode: { enum: ['all_or_nothing', 'best_effort'] },
+        total: ref('Money'),
+        results: arrayOf(ref('JobPaymentResult'))
+    }),
+    // Refusals of the whole batch list why each job was not paid
+    BulkPaymentRefusal: object({ error: string, results: arrayOf(ref('JobPaymentResult')) }, ['error']),
+    Balances: object({ balance: number, held: number, escrowed: number, debt: number, currency: string }),
+    DepositReceipt: object({ message: string, deposit: ref('Deposit') }),
+    // Refused deposits name the limits that blocked them
+    DepositRefusal: object({
+        error: string,
+        limits: arrayOf(object({
+            type: { enum: ['percentage', 'daily', 'fixed', 'ceiling'] },
+            value: number,
+            scope: { enum: ['global', 'client'] },
+            maximum: number
+        }))
+    }, ['error']),
+    ContractorSearchResult: object({
+        id: integer,
+        firstName: string,
+        lastName: string,
+        profession: string,
+        earnings: number,
+        jobsPaid: integer,
+        currency: string
+    }),
+    RevenueRow: object({
+        period: string,
+        profession: string,
+        clientId: integer,
+        contractorId: integer,
+        fullName: string,
+        ...periodTotals
+    }, ['period', ...Object.keys(periodTotals)]),
+    ProfileSummary: object({
+        profileId: integer,
+        type: { enum: ['client', 'contractor'] },
+        currency: string,
+        ...periodTotals,
+        periods: arrayOf(ref('RevenueRow'))
+    }),
+    RevenueReport: object({
+        groupBy: { enum: ['day', 'week', 'month'] },
+        by: { enum: ['profession', 'client', 'contractor', null] },
+        currency: string,
+        data: arrayOf(ref('RevenueRow'))
+    }),
+    BestProfession: object({ profession: string, totalEarned: number, netEarned: number, currency: string }),
+    BestClient: object({ id: integer, fullName: string, paid: number, currency: string }),
+    Reconciliation: object({
+        profilesChecked: integer,
+        drifted: arrayOf(object({ profileId: integer, currency: string, balance: number, ledgerBalance: number, drift: number }))
+    }),
+    PlatformBalance: object({ account: { enum: ['platform', 'tax'] }, currency: string, balance: number })
+};
+
+const page = items => object({ data: arrayOf(items), page: ref('Page') });
+
+const json = schema => ({ 'application/json': { schema } });
+const csv = { 'text/csv': { schema: string } };
+const pdf = { 'application/pdf': { schema: { type: 'string', format: 'binary' } } };
+
+// Reports that can also be downloaded with `format=csv`
+const report = schema => ({ ...json(schema), ...csv });
+
+/**
+ * What each route responds with: its `summary`, the content of its success
+ * `responses` (by status), and the other statuses it answers with an Error.
+ * Validation, authentication and idempotency errors are added from the
+ * route's middleware.
+ */
+const OPERATIONS = {
+    'GET /openapi.json': { summary: 'This OpenAPI document', responses: { 200: json({ type: 'object' }) } },
+    'GET /docs': { summary: 'Interactive documentation of the API', responses: { 200: { 'text/html': { schema: string } } } },
+
+    'POST /auth/login': { summary: 'Log in with a username and password', responses: { 200: json(ref('Tokens')) }, errors: [401, 403] },
+    'POST /auth/register': {
+        summary: 'Sign up as a client or contractor',
+        responses: { 201: json(object({ profile: ref('Profile'), ...SCHEMAS.Tokens.properties })) },
+        errors: [409]
+    },
+    'POST /auth/refresh': { summary: 'Exchange a refresh token for a new pair of tokens', responses: { 200: json(ref('Tokens')) }, errors: [401] },
+
+    'GET /contracts/{id}': { summary: 'Fetch a contract of the calling profile', responses: { 200: json(ref('Contract')) }, errors: [404] },
+    'GET /contracts': { summary: 'List the calling profile\'s contracts, without terminated ones by default', responses: { 200: json(page(ref('Contract'))) } },
+    'POST /contracts': { summary: 'Propose a contract to a contractor', responses: { 201: json(ref('Contract')) }, errors: [404] },
+    'POST /contracts/{id}/accept': { summary: 'Accept a proposed contract', responses: { 200: json(ref('Contract')) }, errors: [404, 409] },
+    'POST /contracts/{id}/terminate': { summary: 'Terminate a contract', responses: { 200: json(ref('Contract')) }, errors: [404, 409] },
+    'GET /contracts/{id}/history': { summary: 'List the status changes of a contract', responses: { 200: json(page(ref('ContractStatusChange'))) }, errors: [404] },
+    'POST /contracts/{id}/billing-schedules': { summary: 'Add a billing schedule to a contract', responses: { 201: json(ref('BillingSchedule')) }, errors: [404, 409] },
+    'GET /contracts/{id}/billing-schedules': { summary: 'List the billing schedules of a contract', responses: { 200: json(arrayOf(ref('BillingSchedule'))) }, errors: [404] },
+    'DELETE /billing-schedules/{id}': { summary: 'Stop a billing schedule', responses: { 200: json(ref('BillingSchedule')) }, errors: [404, 409] },
+    'GET /billing-schedules/{id}/auto-payments': { summary: 'List the auto-payments of a billing schedule', responses: { 200: json(page(ref('AutoPayment'))) }, errors: [404] },
+
+    'GET /jobs': { summary: 'List the jobs under the calling profile\'s contracts', responses: { 200: json(page(ref('Job'))) } },
+    'GET /jobs/unpaid': { summary: 'List the unpaid jobs under active contracts', responses: { 200: json(page(ref('Job'))) } },
+    'POST /contracts/{id}/jobs': { summary: 'Log a job under a contract in progress', responses: { 201: json(ref('Job')) }, errors: [404, 409] },
+    'PATCH /jobs/{id}': { summary: 'Edit the description or price of a job', responses: { 200: json(ref('Job')) }, errors: [404, 409] },
+    'POST /jobs/{id}/submit': { summary: 'Submit a job for approval', responses: { 200: json(ref('Job')) }, errors: [404, 409] },
+    'POST /jobs/{id}/approve': { summary: 'Approve a submitted job', responses: { 200: json(ref('Job')) }, errors: [404, 409] },
+    'POST /jobs/{id}/fund': { summary: 'Fund a job in escrow', responses: { 200: json(ref('Job')) }, errors: [400, 404, 409] },
+    'POST /jobs/pay': {
+        summary: 'Pay several approved jobs in one transaction',
+        responses: { 200: json(ref('BulkPayment')), 400: json(ref('BulkPaymentRefusal')), 409: json(ref('BulkPaymentRefusal')) },
+        errors: [404]
+    },
+    'POST /jobs/{job_id}/pay': { summary: 'Pay an approved job', responses: { 200: json(ref('Payment')) }, errors: [400, 404, 409] },
+    'GET /jobs/{id}/invoice': { summary: 'Download the invoice of a paid job', responses: { 200: { ...pdf, ...csv } }, errors: [404, 409] },
+    'POST /jobs/{id}/disputes': { summary: 'Dispute a paid job', responses: { 201: json(ref('Dispute')) }, errors: [404, 409] },
+
+    'GET /disputes': { summary: 'List the disputes about the calling profile\'s jobs', responses: { 200: json(page(ref('Dispute'))) } },
+    'GET /disputes/{id}': { summary: 'Fetch a dispute', responses: { 200: json(ref('Dispute')) }, errors: [404] },
+    'POST /disputes/{id}/respond': { summary: 'Respond to an open dispute', responses: { 200: json(ref('Dispute')) }, errors: [404, 409] },
+
+    'POST /balances/deposit/{userId}': {
+        summary: 'Deposit money into the client\'s balance',
+        responses: { 200: json(ref('DepositReceipt')), 400: json(ref('DepositRefusal')) },
+        errors: [409]
+    },
+    'GET /balances/deposits': { summary: 'List the calling profile\'s deposits', responses: { 200: json(page(ref('Deposit'))) } },
+    'GET /balances': { summary: 'Fetch the calling profile\'s balance', responses: { 200: json(ref('Balances')) } },
+    'POST /balances/withdraw': { summary: 'Request a payout from the balance', responses: { 201: json(ref('Payout')) }, errors: [400] },
+    'GET /balances/payouts': { summary: 'List the calling profile\'s payouts', responses: { 200: json(page(ref('Payout'))) } },
+
+    'GET /profiles/me': { summary: 'Fetch the calling profile', responses: { 200: json(ref('Profile')) } },
+    'PATCH /profiles/me': { summary: 'Change the calling profile\'s name or profession', responses: { 200: json(ref('Profile')) } },
+    'POST /profiles/me/deactivate': { summary: 'Deactivate the calling profile', responses: { 200: json(ref('Profile')) }, errors: [409] },
+    'GET /profiles/contractors': { summary: 'Search the active contractors', responses: { 200: json(page(ref('ContractorSearchResult'))) }, errors: [409] },
+    'GET /profiles/{id}/ledger': { summary: 'List the ledger entries of the calling profile', responses: { 200: json(page(ref('LedgerEntry'))) } },
+    'GET /profiles/{id}/summary': { summary: 'Sum the paid jobs of the calling profile', responses: { 200: json(ref('ProfileSummary')) }, errors: [409] },
+    'GET /profiles/{id}/statement': { summary: 'Download a monthly statement of the calling profile', responses: { 200: { ...pdf, ...csv } } },
+
+    'GET /admin/ledger/reconcile': { summary: 'Compare every balance with the ledger', responses: { 200: json(ref('Reconciliation')) } },
+    'GET /admin/ledger/platform': { summary: 'Balances of the platform\'s fee and tax accounts', responses: { 200: json(arrayOf(ref('PlatformBalance'))) } },
+    'GET /admin/exchange-rates': { summary: 'List the current exchange rates', responses: { 200: json(arrayOf(ref('ExchangeRate'))) } },
+    'POST /admin/exchange-rates': { summary: 'Set the exchange rate of a currency pair', responses: { 201: json(ref('ExchangeRate')) } },
+    'GET /admin/deposit-limits': { summary: 'List the deposit limits', responses: { 200: json(arrayOf(ref('DepositLimit'))) } },
+    'PUT /admin/deposit-limits': {
+        summary: 'Set a global or per-client deposit limit',
+        responses: { 200: json(ref('DepositLimit')), 201: json(ref('DepositLimit')) },
+        errors: [404, 409]
+    },
+    'DELETE /admin/deposit-limits/{id}': { summary: 'Delete a deposit limit', responses: { 204: null }, errors: [404] },
+    'GET /admin/fee-rules': { summary: 'List the fee rules', responses: { 200: json(arrayOf(ref('FeeRule'))) } },
+    'PUT /admin/fee-rules': {
+        summary: 'Set the fee rule of a contract, a profession or every payment',
+        responses: { 200: json(ref('FeeRule')), 201: json(ref('FeeRule')) },
+        errors: [404, 409]
+    },
+    'DELETE /admin/fee-rules/{id}': { summary: 'Delete a fee rule', responses: { 204: null }, errors: [404] },
+    'GET /admin/withholding-rules': { summary: 'List the tax withholding rules', responses: { 200: json(arrayOf(ref('WithholdingRule'))) } },
+    'PUT /admin/withholding-rules': {
+        summary: 'Set the tax withholding of a country',
+        responses: { 200: json(ref('WithholdingRule')), 201: json(ref('WithholdingRule')) }
+    },
+    'DELETE /admin/withholding-rules/{id}': { summary: 'Delete a tax withholding rule', responses: { 204: null }, errors: [404] },
+    'GET /admin/payouts': { summary: 'List every payout', responses: { 200: json(page(ref('Payout'))) } },
+    'POST /admin/payouts/{id}/approve': { summary: 'Approve a pending payout and send it', responses: { 200: json(ref('Payout')) }, errors: [404, 409] },
+    'POST /admin/payouts/{id}/reject': { summary: 'Reject a pending payout', responses: { 200: json(ref('Payout')) }, errors: [404, 409] },
+    'GET /admin/disputes': { summary: 'List every dispute', responses: { 200: json(page(ref('Dispute'))) } },
+    'POST /admin/disputes/{id}/resolve': { summary: 'Resolve a dispute with a full, partial or no refund', responses: { 200: json(ref('Dispute')) }, errors: [400, 404, 409] },
+    'GET /admin/audit': { summary: 'Search the audit log', responses: { 200: json(page(ref('AuditLog'))) } },
+    'GET /admin/events': { summary: 'List the domain events in the outbox', responses: { 200: json(page(ref('OutboxEvent'))) } },
+    'GET /admin/webhooks': { summary: 'List the webhook subscriptions', responses: { 200: json(arrayOf(ref('WebhookSubscription'))) } },
+    'POST /admin/webhooks': {
+        summary: 'Subscribe a URL to events',
+        responses: { 201: json({ allOf: [ref('WebhookSubscription'), object({ secret: string })] }) }
+    },
+    'DELETE /admin/webhooks/{id}': { summary: 'Deactivate a webhook subscription', responses: { 200: json(ref('WebhookSubscription')) }, errors: [404] },
+    'GET /admin/webhooks/{id}/deliveries': { summary: 'List the deliveries of a webhook subscription', responses: { 200: json(page(ref('WebhookDelivery'))) }, errors: [404] },
+    'GET /admin/best-profession': { summary: 'The profession that earned the most in a date range', responses: { 200: report(arrayOf(ref('BestProfession'))) }, errors: [409] },
+    'GET /admin/best-clients': { summary: 'The clients who paid the most in a date range', responses: { 200: report(arrayOf(ref('BestClient'))) }, errors: [409] },
+    'GET /admin/reports/revenue': { summary: 'Revenue per period, optionally per profession, client or contractor', responses: { 200: report(ref('RevenueReport')) }, errors: [409] }
+};
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    204: 'No content',
+    400: 'Invalid request, or refused',
+    401: 'Missing or invalid bearer token',
+    403: 'Not allowed for the calling profile',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    422: 'Idempotency-Key reused for another request',
+    429: 'Too many requests',
+    500: 'Internal server error'
+};
+
+const errorResponse = (status, schema = ref('Error')) => ({ description: STATUS_DESCRIPTIONS[status], content: json(schema) });
+
+/**
+ * Parameters and request body of a route, from its validate() schemas.
+ */
+function requestOf(schemas) {
+    const parameters = [];
+
+    ['params', 'query'].filter(location => schemas[location]).forEach(location => {
+        const { properties, required = [] } = schemas[location];
+        Object.entries(properties).forEach(([parameter, schema]) => parameters.push({
+            name: parameter,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || required.includes(parameter),
+            schema
+        }));
+    });
+
+    if (!schemas.body) {
+        return { parameters };
+    }
+
+    // A missing body is validated as an empty object, so it is only required when that fails
+    const required = Boolean((schemas.body.required || []).length || schemas.body.minProperties);
+
+    return { parameters, requestBody: { required, content: json(schemas.body) } };
+}
+
+/**
+ * OpenAPI operation of the route handled by `handlers` (its middleware stack).
+ */
+function operationOf(key, handlers) {
+    const { summary, responses: content, errors = [] } = OPERATIONS[key];
+    const schemas = handlers.map(handler => handler.schemas).find(Boolean);
+    const role = handlers.map(handler => handler.role).find(Boolean);
+    const routeClass = handlers.map(handler => handler.routeClass).find(Boolean);
+    const { parameters = [], requestBody } = schemas ? requestOf(schemas) : {};
+
+    const responses = {};
+    Object.entries(content).forEach(([status, body]) => {
+        responses[status] = { description: STATUS_DESCRIPTIONS[status], ...(body && { content: body }) };
+    });
+    errors.forEach(status => {
+        responses[status] = errorResponse(status);
+    });
+
+    if (schemas && !responses[400]) {
+        responses[400] = errorResponse(400, ref('ValidationError'));
+    }
+
+    const authenticated = role || handlers.includes(getProfile);
+    if (authenticated) {
+        responses[401] = errorResponse(401);
+        responses[403] = errorResponse(403);
+    }
+
+    // Retries with the same key replay the first response
+    if (handlers.includes(idempotency)) {
+        parameters.push({ name: 'Idempotency-Key', in: 'header', required: false, schema: { type: 'string', maxLength: 255 } });
+        responses[409] = responses[409] || errorResponse(409);
+        responses[422] = errorResponse(422);
+    }
+
+    if (routeClass) {
+        responses[429] = {
+            ...errorResponse(429),
+            headers: { 'Retry-After': { description: 'Seconds until the limit resets', schema: integer } }
+        };
+    }
+
+    responses[500] = errorResponse(500);
+
+    const description = [role && `Requires the ${role} role.`, routeClass && `Rate limited with the ${routeClass} route class.`].filter(Boolean).join(' ');
+
+    return {
+        summary,
+        ...(description && { description }),
+        tags: [key.split('/')[1].replace('.json', '')],
+        ...(authenticated && { security: [{ bearerAuth: [] }] }),
+        ...(parameters.length && { parameters }),
+        ...(requestBody && { requestBody }),
+        responses
+    };
+}
+
+/**
+ * Builds the OpenAPI document of `app`. Throws when a route is not described
+ * in OPERATIONS, or OPERATIONS describes a route that does not exist.
+ */
+function buildSpec(app) {
+    const paths = {};
+    const routes = app._router.stack.filter(layer => layer.route).map(layer => layer.route);
+
+    routes.forEach(route => {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+
+        Object.keys(route.methods).forEach(method => {
+            const key = `${method.toUpperCase()} ${path}`;
+            if (!OPERATIONS[key]) {
+                throw new Error(`Route ${key} is not described in the OpenAPI operations`);
+            }
+
+            paths[path] = paths[path] || {};
+            paths[path][method] = operationOf(key, route.stack.map(layer => layer.handle));
+        });
+    });
+
+    const stale = Object.keys(OPERATIONS).filter(key => {
+        const [method, path] = key.split(' ');
+        return !(paths[path] && paths[path][method.toLowerCase()]);
+    });
+    if (stale.length) {
+        throw new Error(`OpenAPI operations describe routes that do not exist: ${stale.join(', ')}`);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: { title: name, version },
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+        }
+    };
+}
+
+const built = new WeakMap();
+
+/**
+ * The OpenAPI document of `app`, built on first use once every route is registered.
+ */
+function specFor(app) {
+    if (!built.has(app)) {
+        built.set(app, buildSpec(app));
+    }
+
+    return built.get(app);
+}
+
+/**
+ * HTML page rendering the document at `specUrl` with Swagger UI, whose files
+ * the app serves at `assetsUrl`.
+ */
+const docsPage = (specUrl, assetsUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${name} API</title>
+    <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+    <script>SwaggerUIBundle({ url: '${specUrl}', dom_id: '#docs' });</script>
+</body>
+</html>
+`;
+
+module.exports = { OPERATIONS, buildSpec, specFor, docsPage };
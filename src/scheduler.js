@@ -0,0 +1,49 @@
+const { sequelize } = require('./model');
+const { runBilling } = require('./services/billing');
+
+// How often the scheduler looks for due billing periods, milestones and auto-payments
+const INTERVAL = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * The billing scheduler: creates the jobs of billing schedules when they are
+ * due and collects their auto-payments, retrying those refused for
+ * insufficient balance. On Postgres it runs as its own process next to
+ * src/server.js. SQLite lets one process write at a time, so there
+ * src/server.js runs it in the API process, where writes are queued (see
+ * withTransaction() in services/db.js), and the process refuses to start.
+ */
+async function startScheduler() {
+    let running = false;
+
+    const run = async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const { jobsCreated, paymentsAttempted } = await runBilling();
+            if (jobsCreated || paymentsAttempted) {
+                console.log(`Billing: ${jobsCreated} jobs created, ${paymentsAttempted} auto-payments attempted`);
+            }
+        } catch (error) {
+            console.error('Error running billing:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    console.log(`Billing scheduler running every ${INTERVAL / 1000}s`);
+    await run();
+    setInterval(run, INTERVAL);
+}
+
+if (require.main === module) {
+    if (sequelize.getDialect() === 'sqlite') {
+        console.log('On SQLite the billing scheduler runs in the API process (src/server.js)');
+    } else {
+        startScheduler();
+    }
+}
+
+module.exports = { startScheduler };
@@ -0,0 +1,34 @@
+/**
+ * JSON schema fragments shared by the route schemas in app.js.
+ */
+
+// Database ids, as path parameters or body fields
+const id = { type: 'integer', minimum: 1 };
+
+// Positive money amount with at most two decimals, small enough for a DECIMAL(12,2) column
+const money = { type: 'number', exclusiveMinimum: 0, maximum: 9999999999.99, multipleOf: 0.01 };
+
+// Calendar date (2020-08-15) or full timestamp (2020-08-15T19:11:26.737Z)
+const date = { type: 'string', format: 'iso-date' };
+
+// ISO 4217 currency code
+const currencyCode = { type: 'string', pattern: '^[A-Z]{3}$' };
+
+// ISO 3166-1 alpha-2 country code
+const countryCode = { type: 'string', pattern: '^[A-Z]{2}$' };
+
+// Percentage, e.g. 12.5 for 12.5%
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+
+const nonEmptyString = { type: 'string', minLength: 1, pattern: '\\S' };
+
+/**
+ * Schema for path parameters that are all ids, e.g. idParams('id').
+ */
+const idParams = (...names) => ({
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, id])),
+    required: names
+});
+
+module.exports = { id, money, date, currencyCode, countryCode, percentage, nonEmptyString, idParams };
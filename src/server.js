@@ -1,4 +1,7 @@
 const app = require('./app');
+const { sequelize } = require('./model');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startScheduler } = require('./scheduler');
 
 /**
  * The below function initializes and starts an Express app on port 3001.
@@ -8,6 +11,14 @@ async function init() {
         app.listen(3001, () => {
             console.log('Express App Listening on Port 3001');
         });
+
+        // Send outbox events to webhook subscriptions in the background
+        startWebhookWorker({ interval: Number(process.env.WEBHOOK_INTERVAL_MS) || 5000 });
+
+        // A second process writing to the same SQLite file would fail while the API holds the lock
+        if (sequelize.getDialect() === 'sqlite') {
+            startScheduler();
+        }
     } catch (error) {
         console.error(`An error occurred: ${JSON.stringify(error)}`);
         process.exit(1);
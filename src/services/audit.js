@@ -0,0 +1,106 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { sequelize, AuditLog } = require('../model');
+const { withTransaction } = require('./db');
+
+// Changes made while handling the request being audited
+const context = new AsyncLocalStorage();
+
+// Values that must never be written to the audit log
+const SECRET_FIELDS = ['password', 'passwordHash', 'refreshToken', 'accessToken', 'secret', 'jti'];
+
+/**
+ * Copy of `value` with every secret field, at any depth, replaced by "[redacted]".
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELDS.includes(key) ? '[redacted]' : redact(item)
+    ]));
+}
+
+/**
+ * Runs `work` with a fresh list of changes, returned by changes() while it runs.
+ */
+const capture = (work) => context.run({ changes: [] }, work);
+
+const changes = () => (context.getStore() || { changes: [] }).changes;
+
+// Adds a change to the request being audited, once its transaction commits
+function note(change, { transaction } = {}) {
+    const store = context.getStore();
+    if (!store) {
+        return;
+    }
+
+    const add = () => store.changes.push(redact(change));
+    if (transaction) {
+        transaction.afterCommit(add);
+    } else {
+        add();
+    }
+}
+
+const audited = (model) => model !== AuditLog;
+
+sequelize.addHook('afterCreate', (instance, options) => {
+    if (audited(instance.constructor)) {
+        note({ model: instance.constructor.name, id: instance.id, action: 'create', before: null, after: instance.get({ plain: true }) }, options);
+    }
+});
+
+sequelize.addHook('afterBulkCreate', (instances, options) => {
+    instances.filter(instance => audited(instance.constructor)).forEach(instance => {
+        note({ model: instance.constructor.name, id: instance.id, action: 'create', before: null, after: instance.get({ plain: true }) }, options);
+    });
+});
+
+// Runs before Sequelize forgets the previous values, so both sides of every changed field are known
+sequelize.addHook('afterUpdate', (instance, options) => {
+    if (!audited(instance.constructor) || !options.fields.length) {
+        return;
+    }
+
+    const before = {};
+    const after = {};
+    options.fields.forEach(field => {
+        before[field] = instance.previous(field);
+        after[field] = instance.get(field);
+    });
+    note({ model: instance.constructor.name, id: instance.id, action: 'update', before, after }, options);
+});
+
+sequelize.addHook('afterDestroy', (instance, options) => {
+    if (audited(instance.constructor)) {
+        note({ model: instance.constructor.name, id: instance.id, action: 'destroy', before: instance.get({ plain: true }), after: null }, options);
+    }
+});
+
+// Bulk updates and deletes do not load their rows; record what they matched and set
+sequelize.addHook('afterBulkUpdate', (options) => {
+    if (audited(options.model)) {
+        note({ model: options.model.name, where: options.where, action: 'bulkUpdate', before: null, after: options.attributes }, options);
+    }
+});
+
+sequelize.addHook('afterBulkDestroy', (options) => {
+    if (audited(options.model)) {
+        note({ model: options.model.name, where: options.where, action: 'bulkDestroy', before: null, after: null }, options);
+    }
+});
+
+/**
+ * Appends an entry to the audit log. Secret fields in its parameters and body are redacted.
+ */
+function write(entry) {
+    const row = { ...entry, params: redact(entry.params), query: redact(entry.query), body: redact(entry.body) };
+    return withTransaction(transaction => AuditLog.create(row, { transaction }));
+}
+
+module.exports = { SECRET_FIELDS, redact, capture, changes, write };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { Credential, Profile, RefreshToken } = require('../model');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // seconds
+
+// Runs in the libuv thread pool, so hashing does not block other requests
+const scrypt = promisify(crypto.scrypt);
+
+// Hash of a random password no one knows. Unknown usernames are checked
+// against it, so they take as long to refuse as wrong passwords.
+const DUMMY_HASH = 'scrypt$fb59851767c4634d7d9d101f92017ec4$1cd32e7fa90e3a1b97a9b0552af61ec0645fd3c8a2a131fc348b01d39c2d77a611e1adec42153a4b6ea77db69f618ecb2b90a468dd81cc462a4a16e0b90ca303';
+
+/**
+ * Secret used to sign tokens. Must be set through AUTH_SECRET in production;
+ * elsewhere a development secret is used so the app runs out of the box.
+ */
+function getSecret() {
+    if (process.env.AUTH_SECRET) {
+        return process.env.AUTH_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('AUTH_SECRET must be set in production');
+    }
+    return 'development-secret';
+}
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * The result has the form `scrypt$<salt>$<hash>`.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a password against a hash produced by hashPassword.
+ */
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = passwordHash.split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issues an access token and a refresh token for a credential.
+ * The refresh token is recorded so it can be used once and revoked.
+ */
+async function issueTokens(credential) {
+    const secret = getSecret();
+    const claims = { sub: String(credential.id), role: credential.role, profileId: credential.ProfileId };
+
+    const accessToken = jwt.sign({ ...claims, type: 'access' }, secret, { expiresIn: ACCESS_TOKEN_TTL });
+
+    const jti = crypto.randomBytes(16).toString('hex');
+    const refreshToken = jwt.sign({ ...claims, type: 'refresh' }, secret, { expiresIn: REFRESH_TOKEN_TTL, jwtid: jti });
+    await RefreshToken.create({
+        jti,
+        CredentialId: credential.id,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+    });
+
+    return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verifies a signed token of the given type ('access' or 'refresh').
+ * Returns its claims, or null when the token is invalid or expired.
+ */
+function verifyToken(token, type) {
+    try {
+        const claims = jwt.verify(token, getSecret());
+        return claims.type === type ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns the credential matching a username and password, or null. The
+ * credential's Profile is loaded, so callers can refuse deactivated profiles.
+ */
+async function login(username, password) {
+    const credential = await Credential.findOne({ where: { username }, include: [Profile] });
+
+    const verified = await verifyPassword(password, credential ? credential.passwordHash : DUMMY_HASH);
+
+    return credential && verified ? credential : null;
+}
+
+/**
+ * Exchanges a refresh token for a new pair of tokens and revokes the old one.
+ * Returns null when the token is invalid, expired or was already used.
+ */
+async function refresh(refreshToken) {
+    const claims = verifyToken(refreshToken, 'refresh');
+
+    if (!claims) {
+        return null;
+    }
+
+    const stored = await RefreshToken.findOne({ where: { jti: claims.jti, revokedAt: null } });
+    if (!stored) {
+        return null;
+    }
+
+    // Revoke atomically so two concurrent refreshes cannot both succeed
+    const [revoked] = await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { id: stored.id, revokedAt: null } }
+    );
+    if (!revoked) {
+        return null;
+    }
+
+    const credential = await Credential.findByPk(stored.CredentialId);
+    return credential ? issueTokens(credential) : null;
+}
+
+/**
+ * Reads the bearer token of a request and returns its claims, or null.
+ */
+function authenticateRequest(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    return verifyToken(token, 'access');
+}
+
+module.exports = { hashPassword, verifyPassword, issueTokens, verifyToken, login, refresh, authenticateRequest };
@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const { Contract, BillingSchedule, Milestone, AutoPayment, Job } = require('../model');
+const { withTransaction } = require('./db');
+const jobs = require('./jobs');
+const payments = require('./payments');
+
+// An auto-payment refused for insufficient balance is tried this many times
+const MAX_AUTO_PAY_ATTEMPTS = 5;
+
+// Delay between two attempts of an auto-payment
+const AUTO_PAY_RETRY_DELAY = 24 * 60 * 60 * 1000;
+
+// Periods billed per schedule in one run, so a schedule far behind catches up over several runs
+const MAX_PERIODS_PER_RUN = 12;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Start of the `index`-th period of a recurring schedule. Months keep the day
+ * of `startsAt`, moved back to the last day of shorter months.
+ */
+function periodStart({ startsAt, interval }, index) {
+    const start = new Date(startsAt);
+
+    if (interval === 'week') {
+        return new Date(start.getTime() + index * 7 * 24 * 60 * 60 * 1000);
+    }
+
+    const month = start.getUTCMonth() + index;
+    const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    const date = new Date(start);
+    date.setUTCFullYear(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay));
+    return date;
+}
+
+/**
+ * Creates a billing schedule on a contract, with its milestones for a
+ * milestone schedule. Must run inside withTransaction().
+ */
+async function createSchedule(contract, { type, description, amount, interval, startsAt, endsAt, milestones, autoPay }, { transaction }) {
+    const recurring = type === 'recurring';
+    const schedule = await BillingSchedule.create({
+        ContractId: contract.id,
+        type,
+        description,
+        autoPay,
+        ...(recurring && { amount, interval, startsAt, endsAt, nextRunAt: startsAt })
+    }, { transaction });
+
+    if (!recurring) {
+        await Milestone.bulkCreate(
+            milestones.map(milestone => ({ ...milestone, BillingScheduleId: schedule.id })),
+            { transaction }
+        );
+    }
+
+    return BillingSchedule.findByPk(schedule.id, { include: [Milestone], order: [[Milestone, 'dueDate', 'ASC']], transaction });
+}
+
+/**
+ * Stops a schedule; jobs it already created are kept. Pending auto-payments
+ * of its unpaid jobs are cancelled. Must run inside withTransaction().
+ */
+async function cancelSchedule(schedule, { transaction }) {
+    await schedule.update({ active: false, nextRunAt: null }, { transaction });
+    await AutoPayment.update(
+        { status: 'cancelled', nextAttemptAt: null, error: 'Billing schedule cancelled' },
+        { where: { BillingScheduleId: schedule.id, status: 'pending' }, transaction }
+    );
+}
+
+// Creates the job of one billing period or milestone, and its auto-payment when the schedule has auto-pay
+async function bill(schedule, contract, { description, price }, now, transaction) {
+    const job = await jobs.createJob(contract, { description, price, status: 'approved', BillingScheduleId: schedule.id }, { transaction });
+
+    if (schedule.autoPay) {
+        await AutoPayment.create({ BillingScheduleId: schedule.id, JobId: job.id, nextAttemptAt: now }, { transaction });
+    }
+
+    return job;
+}
+
+// Bills the due periods of one recurring schedule. Returns the number of jobs created.
+function billRecurring(scheduleId, now) {
+    return withTransaction(async (transaction) => {
+        const schedule = await BillingSchedule.findByPk(scheduleId, {
+            include: [Contract],
+            transaction,
+            // Postgres cannot lock the outer-joined contract
+            lock: { level: transaction.LOCK.UPDATE, of: BillingSchedule }
+        });
+        const contract = schedule.Contract;
+        let created = 0;
+
+        if (contract.status === 'terminated') {
+            await cancelSchedule(schedule, { transaction });
+            return created;
+        }
+
+        while (schedule.active && schedule.nextRunAt <= now && created < MAX_PERIODS_PER_RUN) {
+            if (schedule.endsAt && schedule.nextRunAt >= schedule.endsAt) {
+                await schedule.update({ active: false, nextRunAt: null }, { transaction });
+                break;
+            }
+
+            const next = periodStart(schedule, schedule.periodsBilled + 1);
+            const last = new Date(next.getTime() - 24 * 60 * 60 * 1000);
+            await bill(schedule, contract, {
+                description: `${schedule.description} (${day(schedule.nextRunAt)} to ${day(last)})`,
+                price: schedule.amount
+            }, now, transaction);
+            await schedule.update({ periodsBilled: schedule.periodsBilled + 1, nextRunAt: next }, { transaction });
+            created++;
+        }
+
+        return created;
+    });
+}
+
+// Bills one due milestone, unless it was billed meanwhile. Returns the number of jobs created.
+function billMilestone(milestoneId, now) {
+    return withTransaction(async (transaction) => {
+        const milestone = await Milestone.findByPk(milestoneId, {
+            include: [{ model: BillingSchedule, include: [Contract] }],
+            transaction,
+            lock: { level: transaction.LOCK.UPDATE, of: Milestone }
+        });
+        const schedule = milestone.BillingSchedule;
+
+        if (milestone.JobId || !schedule.active) {
+            return 0;
+        }
+        if (schedule.Contract.status === 'terminated') {
+            await cancelSchedule(schedule, { transaction });
+            return 0;
+        }
+
+        const job = await bill(schedule, schedule.Contract, {
+            description: `${schedule.description}: ${milestone.description}`,
+            price: milestone.amount
+        }, now, transaction);
+        await milestone.update({ JobId: job.id }, { transaction });
+
+        // The schedule is done once every milestone has its job
+        const remaining = await Milestone.count({ where: { BillingScheduleId: schedule.id, JobId: null }, transaction });
+        if (!remaining) {
+            await schedule.update({ active: false }, { transaction });
+        }
+
+        return 1;
+    });
+}
+
+/**
+ * Creates the jobs of every due recurring period and milestone on contracts in
+ * progress, and stops the schedules of terminated contracts. Contracts not
+ * accepted yet are billed once accepted. Returns the number of jobs created.
+ */
+async function createDueJobs({ now = new Date() } = {}) {
+    const recurring = await BillingSchedule.findAll({
+        attributes: ['id'],
+        where: { type: 'recurring', active: true, nextRunAt: { [Op.lte]: now } },
+        include: [{ model: Contract, attributes: [], where: { status: { [Op.ne]: 'new' } } }]
+    });
+    const milestones = await Milestone.findAll({
+        attributes: ['id'],
+        where: { JobId: null, dueDate: { [Op.lte]: now } },
+        include: [{
+            model: BillingSchedule,
+            attributes: [],
+            where: { active: true },
+            include: [{ model: Contract, attributes: [], where: { status: { [Op.ne]: 'new' } } }]
+        }]
+    });
+
+    let created = 0;
+    for (const schedule of recurring) {
+        created += await billRecurring(schedule.id, now);
+    }
+    for (const milestone of milestones) {
+        created += await billMilestone(milestone.id, now);
+    }
+
+    return created;
+}
+
+// Tries one auto-payment through the same path as POST /jobs/:job_id/pay and records the outcome
+async function attemptAutoPayment(autoPayment, now) {
+    const job = await Job.findByPk(autoPayment.JobId, { include: [Contract] });
+    const result = await withTransaction(transaction => payments.payJob(job.id, job.Contract.ClientId, { transaction }));
+    const attempts = autoPayment.attempts + 1;
+    const changes = { attempts, lastAttemptAt: now, nextAttemptAt: null, error: result.error || null };
+
+    if (!result.error) {
+        changes.status = 'paid';
+    } else if (job.paid) {
+        // Paid by hand meanwhile
+        changes.status = 'cancelled';
+    } else if (result.error === 'Insufficient balance' && attempts < MAX_AUTO_PAY_ATTEMPTS) {
+        changes.nextAttemptAt = new Date(now.getTime() + AUTO_PAY_RETRY_DELAY);
+    } else {
+        changes.status = 'failed';
+    }
+
+    await autoPayment.update(changes);
+    return autoPayment;
+}
+
+/**
+ * Tries the auto-payments that are due. Returns the number attempted.
+ */
+async function collectAutoPayments({ now = new Date() } = {}) {
+    const due = await AutoPayment.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    for (const autoPayment of due) {
+        await attemptAutoPayment(autoPayment, now);
+    }
+
+    return due.length;
+}
+
+/**
+ * One run of the billing scheduler: creates the due jobs, then collects the
+ * due auto-payments.
+ */
+async function runBilling({ now = new Date() } = {}) {
+    const jobsCreated = await createDueJobs({ now });
+    const paymentsAttempted = await collectAutoPayments({ now });
+    return { jobsCreated, paymentsAttempted };
+}
+
+module.exports = {
+    MAX_AUTO_PAY_ATTEMPTS,
+    periodStart,
+    createSchedule,
+    cancelSchedule,
+    createDueJobs,
+    collectAutoPayments,
+    runBilling
+};
@@ -0,0 +1,67 @@
+const { Contract, ContractStatusChange } = require('../model');
+const events = require('./events');
+const escrow = require('./escrow');
+
+// Allowed status transitions; terminated is final
+const TRANSITIONS = {
+    new: ['in_progress', 'terminated'],
+    in_progress: ['terminated'],
+    terminated: []
+};
+
+const canTransition = (fromStatus, toStatus) => TRANSITIONS[fromStatus].includes(toStatus);
+
+// Records a status change and the matching outbox event
+async function recordChange(contract, fromStatus, actor, transaction) {
+    await ContractStatusChange.create({
+        ContractId: contract.id,
+        fromStatus,
+        toStatus: contract.status,
+        ChangedById: actor.id
+    }, { transaction });
+    await events.record('contract.status_changed', {
+        contractId: contract.id,
+        clientId: contract.ClientId,
+        contractorId: contract.ContractorId,
+        fromStatus,
+        toStatus: contract.status,
+        changedById: actor.id
+    }, { transaction });
+}
+
+/**
+ * Creates a contract in status `new` and records its initial status.
+ * Must run inside withTransaction() so the change and its event commit together.
+ */
+async function createContract({ terms, ClientId, ContractorId, currency }, actor, { transaction } = {}) {
+    const contract = await Contract.create({ terms, ClientId, ContractorId, currency, status: 'new' }, { transaction });
+    await recordChange(contract, null, actor, transaction);
+
+    return contract;
+}
+
+/**
+ * Moves a contract to `toStatus` and records who made the change. Terminating
+ * a contract refunds the jobs funded in escrow.
+ * Must run inside withTransaction() so the change and its event commit together.
+ * Returns false, without changing anything, when the transition is not allowed.
+ */
+async function changeStatus(contract, toStatus, actor, { transaction } = {}) {
+    const fromStatus = contract.status;
+
+    if (!canTransition(fromStatus, toStatus)) {
+        return false;
+    }
+
+    await contract.update({ status: toStatus }, { transaction });
+    await recordChange(contract, fromStatus, actor, transaction);
+
+    // Money held in escrow for the contract's jobs goes back to the client
+    if (toStatus === 'terminated') {
+        await escrow.refundContract(contract, { transaction });
+    }
+
+    return true;
+}
+
+module.exports = { TRANSITIONS, canTransition, createContract, changeStatus };
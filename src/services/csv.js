@@ -0,0 +1,30 @@
+// Text starting with one of these characters runs as a formula in spreadsheets
+const FORMULA = /^[=+\-@\t\r]/;
+
+function cell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text (RFC 4180): a header line with the `label` of each column,
+ * then one line per row with the value of each column's `key`.
+ */
+function toCsv(columns, rows) {
+    const lines = [
+        columns.map(column => cell(column.label)),
+        ...rows.map(row => columns.map(column => cell(row[column.key])))
+    ];
+
+    return lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,86 @@
+const { ExchangeRate } = require('../model');
+
+/**
+ * Loads the newest rate of every pair, keyed `BASE/QUOTE`, together with
+ * the order it was entered in.
+ */
+async function loadRates({ transaction } = {}) {
+    const rows = await ExchangeRate.findAll({ order: [['id', 'DESC']], transaction });
+    const latest = {};
+
+    rows.forEach(row => {
+        const pair = `${row.baseCurrency}/${row.quoteCurrency}`;
+        latest[pair] = latest[pair] || { rate: Number(row.rate), id: row.id };
+    });
+
+    return latest;
+}
+
+// Rates are stored with eight decimals; derived rates are rounded the same way
+const roundRate = (rate) => Math.round(rate * 1e8) / 1e8;
+
+// Rate of a pair from its own rate or the inverse of the reverse pair, whichever was entered last
+function pairRate(latest, from, to) {
+    const direct = latest[`${from}/${to}`];
+    const reverse = latest[`${to}/${from}`];
+
+    if (direct && (!reverse || direct.id > reverse.id)) {
+        return direct.rate;
+    }
+    return reverse ? roundRate(1 / reverse.rate) : null;
+}
+
+/**
+ * Returns the current rate to convert `from` into `to` (1 `from` = rate `to`).
+ * Uses the pair's own rate, the inverse of the reverse pair, or else a cross
+ * rate through one currency quoted against both. Returns null when there is
+ * no way to convert.
+ */
+async function getRate(from, to, { transaction } = {}) {
+    if (from === to) {
+        return 1;
+    }
+
+    const latest = await loadRates({ transaction });
+    const rate = pairRate(latest, from, to);
+    if (rate !== null) {
+        return rate;
+    }
+
+    const currencies = new Set(Object.keys(latest).flatMap(pair => pair.split('/')));
+    for (const via of currencies) {
+        const first = pairRate(latest, from, via);
+        const second = pairRate(latest, via, to);
+        if (first !== null && second !== null) {
+            return roundRate(first * second);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Converts an amount with a rate, rounded to cents.
+ */
+const convert = (amount, rate) => Math.round(Number(amount) * rate * 100) / 100;
+
+/**
+ * Loads the rates to convert each of `currencies` into `target`.
+ * Returns `{ rates }` mapping each currency to its rate, or `{ missing }`
+ * naming the first currency without a rate.
+ */
+async function getRates(currencies, target) {
+    const rates = {};
+
+    for (const currency of new Set(currencies)) {
+        const rate = await getRate(currency, target);
+        if (rate === null) {
+            return { missing: currency };
+        }
+        rates[currency] = rate;
+    }
+
+    return { rates };
+}
+
+module.exports = { getRate, getRates, convert };
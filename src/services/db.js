@@ -0,0 +1,27 @@
+const { Transaction } = require('sequelize');
+const { sequelize } = require('../model');
+
+// Tail of the queue of SQLite write transactions
+let sqliteQueue = Promise.resolve();
+
+/**
+ * Runs `work(transaction)` inside a managed transaction meant for balance
+ * changes. Rows read with `lock: transaction.LOCK.UPDATE` are locked on
+ * dialects that support it. SQLite has no row locks and shares one connection
+ * for in-memory databases, so there the transactions start IMMEDIATE and are
+ * queued so only one runs at a time.
+ */
+function withTransaction(work) {
+    const run = () => sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, work);
+
+    if (sequelize.getDialect() !== 'sqlite') {
+        return run();
+    }
+
+    const result = sqliteQueue.then(run);
+    // Keep the queue moving whether this transaction commits or rolls back
+    sqliteQueue = result.catch(() => {});
+    return result;
+}
+
+module.exports = { withTransaction };
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { sequelize, Profile, Job, Contract, Deposit, DepositLimit } = require('../model');
+const ledger = require('./ledger');
+const currency = require('./currency');
+const events = require('./events');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the most a client may deposit at once, whatever the rules allow, from
+ * `DEPOSIT_CEILING`: an amount with at most two decimals, 10000 when unset.
+ * 0 stops every deposit. Throws on anything else, so a typo stops the app
+ * from starting instead of lifting the ceiling.
+ */
+function parseCeiling(value) {
+    if (value === undefined || value === '') {
+        return 10000;
+    }
+    if (!/^\d+(\.\d{1,2})?$/.test(value.trim())) {
+        throw new Error(`DEPOSIT_CEILING must be an amount such as 10000 or 2500.50, not "${value}"`);
+    }
+
+    return Number(value);
+}
+
+const CEILING = parseCeiling(process.env.DEPOSIT_CEILING);
+
+/**
+ * Returns the rules that apply to a client: its own rules, plus the global
+ * rules of the types it has no rule for.
+ */
+async function limitsFor(profileId, { transaction } = {}) {
+    const rules = await DepositLimit.findAll({
+        where: { ProfileId: { [Op.or]: [profileId, null] } },
+        transaction
+    });
+    const global = rules.filter(rule => rule.ProfileId === null);
+    const own = rules.filter(rule => rule.ProfileId !== null);
+
+    return [...own, ...global.filter(rule => !own.some(ownRule => ownRule.type === rule.type))];
+}
+
+/**
+ * Total price of the client's unpaid jobs on active contracts, in the
+ * currency of the client's balance. Jobs funded in escrow are already covered
+ * and left out. Returns `{ total }` or `{ missing }`
+ * naming a job currency without an exchange rate.
+ */
+async function unpaidJobsTotal(profile, { transaction } = {}) {
+    const totalsByCurrency = await Job.findAll({
+        attributes: ['currency', [sequelize.fn('SUM', sequelize.col('price')), 'total']],
+        where: {
+            // Filter for unpaid jobs associated with the client's active contracts
+            paid: null,
+            '$Contract.ClientId$': profile.id,
+            '$Contract.status$': 'in_progress',
+            [Op.or]: [{ escrowStatus: null }, { escrowStatus: { [Op.ne]: 'funded' } }]
+        },
+        include: [{ model: Contract, as: 'Contract', attributes: [] }],
+        group: ['Job.currency'],
+        raw: true,
+        transaction
+    });
+
+    const { rates, missing } = await currency.getRates(totalsByCurrency.map(row => row.currency), profile.currency);
+    if (missing) {
+        return { missing };
+    }
+
+    const cents = totalsByCurrency.reduce((sum, row) => sum + ledger.toCents(currency.convert(row.total, rates[row.currency])), 0);
+    return { total: cents / 100 };
+}
+
+/**
+ * Works out the most the client may deposit under each rule. Returns
+ * `{ limits }`, one `{ type, value, scope, maximum }` per rule that applies,
+ * or `{ missing }` when unpaid jobs cannot be converted. The built-in
+ * `ceiling` limit always applies too, so deposits are never unlimited.
+ */
+async function evaluateLimits(profile, { transaction } = {}) {
+    const rules = await limitsFor(profile.id, { transaction });
+    const limits = [];
+
+    for (const rule of rules) {
+        const value = Number(rule.value);
+        const limit = { type: rule.type, value, scope: rule.ProfileId === null ? 'global' : 'client' };
+
+        if (rule.type === 'percentage') {
+            const { total, missing } = await unpaidJobsTotal(profile, { transaction });
+            if (missing) {
+                return { missing };
+            }
+            // Without unpaid jobs there is nothing to take a percentage of
+            if (total === 0) {
+                continue;
+            }
+            limit.maximum = Math.floor(ledger.toCents(total) * value / 100) / 100;
+        }
+
+        if (rule.type === 'daily') {
+            const depositedToday = await Deposit.sum('amount', {
+                where: { ProfileId: profile.id, createdAt: { [Op.gte]: new Date(Date.now() - DAY) } },
+                transaction
+            });
+            limit.maximum = Math.max(0, ledger.toCents(value) - ledger.toCents(depositedToday)) / 100;
+        }
+
+        if (rule.type === 'fixed') {
+            limit.maximum = value;
+        }
+
+        limits.push(limit);
+    }
+
+    limits.push({ type: 'ceiling', value: CEILING, scope: 'global', maximum: CEILING });
+
+    return { limits };
+}
+
+/**
+ * Deposits `amount` (in the currency of the client's balance) after checking
+ * every deposit limit. Must run inside withTransaction(). Returns
+ * `{ status, error, limits }` naming the limits that blocked the deposit, or
+ * `{ deposit }`.
+ */
+async function deposit(profileId, amount, { transaction }) {
+    // Lock the client so concurrent deposits see each other in the daily total
+    const profile = await Profile.findByPk(profileId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const { limits, missing } = await evaluateLimits(profile, { transaction });
+    if (missing) {
+        return { status: 409, error: `No exchange rate from ${missing} to ${profile.currency}` };
+    }
+
+    const exceeded = limits.filter(limit => ledger.toCents(amount) > ledger.toCents(limit.maximum));
+    if (exceeded.length) {
+        return { status: 400, error: 'Deposit amount exceeds maximum allowed', limits: exceeded };
+    }
+
+    const created = await Deposit.create({ ProfileId: profile.id, amount, currency: profile.currency }, { transaction });
+
+    // Credit the client's balance from the external account
+    await ledger.book({
+        debit: { ProfileId: null, amount, currency: profile.currency },
+        credit: { ProfileId: profile.id, amount, currency: profile.currency },
+        kind: 'deposit',
+        DepositId: created.id
+    }, { transaction });
+
+    await events.record('deposit.made', {
+        depositId: created.id,
+        profileId: profile.id,
+        amount: Number(created.amount),
+        currency: created.currency
+    }, { transaction });
+
+    return { deposit: created };
+}
+
+module.exports = { CEILING, parseCeiling, limitsFor, evaluateLimits, deposit };
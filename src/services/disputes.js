@@ -0,0 +1,209 @@
+const { Op } = require('sequelize');
+const { Job, Dispute, LedgerEntry } = require('../model');
+const ledger = require('./ledger');
+const currency = require('./currency');
+const events = require('./events');
+
+// Loads a dispute, its job and their contract, the dispute and job locked for a change
+async function loadDispute(disputeId, transaction) {
+    const lock = transaction.LOCK.UPDATE;
+    const dispute = await Dispute.findByPk(disputeId, { transaction, lock });
+    if (!dispute) {
+        return null;
+    }
+
+    const job = await Job.findByPk(dispute.JobId, { transaction, lock });
+    const contract = await job.getContract({ transaction });
+    return { dispute, job, contract };
+}
+
+/**
+ * Opens a dispute about a paid job on behalf of its client. A job can be
+ * disputed once. Must run inside withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 201, dispute }`.
+ */
+async function openDispute(jobId, clientId, reason, { transaction }) {
+    const job = await Job.findByPk(jobId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!job) {
+        return { status: 404, error: 'Job not found' };
+    }
+
+    const contract = await job.getContract({ transaction });
+    if (contract.ClientId !== clientId) {
+        return { status: 403, error: 'Unauthorized: Only the client can dispute a job' };
+    }
+    if (!job.paid) {
+        return { status: 409, error: 'Only paid jobs can be disputed' };
+    }
+    if (job.disputeStatus) {
+        return { status: 409, error: 'Job has already been disputed' };
+    }
+
+    const dispute = await Dispute.create({ JobId: job.id, reason }, { transaction });
+    await job.update({ disputeStatus: 'open' }, { transaction });
+
+    await events.record('dispute.opened', {
+        disputeId: dispute.id,
+        jobId: job.id,
+        contractId: contract.id,
+        clientId,
+        contractorId: contract.ContractorId,
+        reason
+    }, { transaction });
+
+    return { status: 201, dispute };
+}
+
+/**
+ * Records the contractor's response to an open dispute. The contractor
+ * responds once. Must run inside withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 200, dispute }`.
+ */
+async function respond(disputeId, contractorId, response, { transaction }) {
+    const loaded = await loadDispute(disputeId, transaction);
+
+    if (!loaded) {
+        return { status: 404, error: 'Dispute not found' };
+    }
+
+    const { dispute, contract } = loaded;
+    if (contract.ContractorId !== contractorId) {
+        return { status: 403, error: 'Unauthorized: Only the contractor can respond to a dispute' };
+    }
+    if (dispute.status !== 'open') {
+        return { status: 409, error: 'Only open disputes can be responded to' };
+    }
+    if (dispute.respondedAt) {
+        return { status: 409, error: 'Dispute has already been responded to' };
+    }
+
+    await dispute.update({ response, respondedAt: new Date() }, { transaction });
+    return { status: 200, dispute };
+}
+
+// Rate the job's price was converted at into `profile`'s currency when it was paid. Jobs
+// paid before the ledger have no payment entries and use the current rate. Null without a rate.
+async function paymentRate(job, profile, transaction) {
+    const entry = await LedgerEntry.findOne({
+        where: {
+            JobId: job.id,
+            ProfileId: profile.id,
+            kind: { [Op.in]: ['job_payment', 'escrow_release'] },
+            account: { [Op.in]: ['profile', 'escrow'] }
+        },
+        transaction
+    });
+
+    return entry ? Number(entry.exchangeRate) : currency.getRate(job.currency, profile.currency, { transaction });
+}
+
+// Share of `amount` that a refund of `refundCents` out of `priceCents` returns, in cents
+const shareOf = (amount, refundCents, priceCents) => Math.round(ledger.toCents(amount) * refundCents / priceCents);
+
+// Books the platform fee and withheld tax of the job back to the contractor in
+// proportion to the refund, so the contractor only repays what it kept. Returns
+// the fee and withholding the platform keeps, in the job's currency.
+async function returnDeductions(job, contractor, refundCents, transaction) {
+    const priceCents = ledger.toCents(job.price);
+    const deductions = await LedgerEntry.findAll({
+        where: { JobId: job.id, kind: { [Op.in]: ['platform_fee', 'tax_withholding'] }, account: { [Op.in]: ['platform', 'tax'] }, direction: 'credit' },
+        transaction
+    });
+
+    for (const entry of deductions) {
+        const cents = shareOf(entry.amount, refundCents, priceCents);
+        if (cents === 0) {
+            continue;
+        }
+
+        const leg = { amount: cents / 100, currency: entry.currency, exchangeRate: Number(entry.exchangeRate) };
+        await ledger.book({
+            debit: { ...leg, ProfileId: null, account: entry.account },
+            credit: { ...leg, ProfileId: contractor.id },
+            kind: entry.kind,
+            JobId: job.id
+        }, { transaction });
+    }
+
+    const kept = amount => (ledger.toCents(amount) - shareOf(amount, refundCents, priceCents)) / 100;
+    return { feeAmount: kept(job.feeAmount), withheldAmount: kept(job.withheldAmount) };
+}
+
+/**
+ * Resolves an open dispute for the admin with credential id `resolverId`.
+ * `refund` is `full`, `partial` (of `amount`, in the job's currency, less
+ * than the price) or `none`. A refund moves money back to the client's
+ * balance at the rates of the original payment. The platform fee and withheld
+ * tax return their share of it (see returnDeductions()) and the contractor's
+ * balance the rest, even when it goes negative. Must run inside
+ * withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 200, dispute }`.
+ */
+async function resolve(disputeId, { refund, amount, note = null }, resolverId, { transaction }) {
+    const loaded = await loadDispute(disputeId, transaction);
+
+    if (!loaded) {
+        return { status: 404, error: 'Dispute not found' };
+    }
+
+    const { dispute, job, contract } = loaded;
+    if (dispute.status !== 'open') {
+        return { status: 409, error: 'Dispute has already been resolved' };
+    }
+    if (refund === 'partial' && ledger.toCents(amount) >= ledger.toCents(job.price)) {
+        return { status: 400, error: 'A partial refund must be less than the job price' };
+    }
+
+    const refundAmount = { full: Number(job.price), partial: amount, none: 0 }[refund];
+    const kept = { feeAmount: job.feeAmount, withheldAmount: job.withheldAmount };
+    if (refundAmount > 0) {
+        const client = await contract.getClient({ transaction });
+        const contractor = await contract.getContractor({ transaction });
+
+        const legs = [];
+        for (const profile of [contractor, client]) {
+            const rate = await paymentRate(job, profile, transaction);
+            if (rate === null) {
+                return { status: 409, error: `No exchange rate from ${job.currency} to ${profile.currency}` };
+            }
+            legs.push({ ProfileId: profile.id, amount: currency.convert(refundAmount, rate), currency: profile.currency, exchangeRate: rate });
+        }
+
+        Object.assign(kept, await returnDeductions(job, contractor, ledger.toCents(refundAmount), transaction));
+        await ledger.book({
+            debit: legs[0],
+            credit: legs[1],
+            kind: 'dispute_refund',
+            JobId: job.id
+        }, { transaction });
+    }
+
+    await dispute.update({
+        status: 'resolved',
+        resolution: { full: 'full_refund', partial: 'partial_refund', none: 'no_refund' }[refund],
+        refundAmount,
+        resolutionNote: note,
+        resolvedAt: new Date(),
+        ResolvedById: resolverId
+    }, { transaction });
+    await job.update({ disputeStatus: 'resolved', refundedAmount: refundAmount, ...kept }, { transaction });
+
+    await events.record('dispute.resolved', {
+        disputeId: dispute.id,
+        jobId: job.id,
+        contractId: contract.id,
+        clientId: contract.ClientId,
+        contractorId: contract.ContractorId,
+        resolution: dispute.resolution,
+        refundAmount,
+        currency: job.currency
+    }, { transaction });
+
+    return { status: 200, dispute };
+}
+
+module.exports = { openDispute, respond, resolve };
@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const { sequelize, Job, Contract, Profile, LedgerEntry, PaymentLineItem } = require('../model');
+const ledger = require('./ledger');
+const { toCsv } = require('./csv');
+const { renderPdf } = require('./pdf');
+
+const FORMATS = ['pdf', 'csv'];
+
+const CONTENT_TYPES = { pdf: 'application/pdf', csv: 'text/csv; charset=utf-8' };
+
+const fullName = (profile) => `${profile.firstName} ${profile.lastName}`;
+
+const money = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Invoice of a paid job, for its client or contractor, with the fee and
+ * withholding deducted from the contractor's share. Returns
+ * `{ status, error }` or `{ invoice }`.
+ */
+async function invoiceFor(jobId, profile) {
+    const job = await Job.findByPk(jobId, {
+        include: [{
+            model: Contract,
+            as: 'Contract',
+            include: [{ model: Profile, as: 'Client' }, { model: Profile, as: 'Contractor' }]
+        }, PaymentLineItem],
+        order: [[PaymentLineItem, 'id', 'ASC']]
+    });
+
+    if (!job) {
+        return { status: 404, error: 'Job not found' };
+    }
+
+    const contract = job.Contract;
+    if (contract.ClientId !== profile.id && contract.ContractorId !== profile.id) {
+        return { status: 403, error: 'Unauthorized: Job does not belong to the requesting profile' };
+    }
+    if (!job.paid) {
+        return { status: 409, error: 'Only paid jobs have invoices' };
+    }
+
+    const party = (member) => ({ id: member.id, fullName: fullName(member), profession: member.profession });
+
+    return {
+        invoice: {
+            number: `INV-${String(job.id).padStart(6, '0')}`,
+            paymentDate: job.paymentDate,
+            client: party(contract.Client),
+            contractor: party(contract.Contractor),
+            contract: { id: contract.id, terms: contract.terms },
+            job: { id: job.id, description: job.description, price: Number(job.price), currency: job.currency },
+            deductions: job.PaymentLineItems.map(item => ({ type: item.type, description: item.description, amount: Number(item.amount) })),
+            // From the line items: a dispute refund lowers the job's fee and withholding totals, not the invoice
+            net: job.PaymentLineItems.reduce((cents, item) => cents - ledger.toCents(item.amount), ledger.toCents(job.price)) / 100
+        }
+    };
+}
+
+// Statement line text per ledger entry kind
+const DESCRIPTIONS = {
+    opening_balance: () => 'Opening balance',
+    deposit: entry => `Deposit #${entry.DepositId}`,
+    job_payment: entry => `Job #${entry.JobId}: ${entry.Job.description}`,
+    payout_hold: entry => `Withdrawal #${entry.PayoutId}`,
+    payout_release: entry => `Withdrawal #${entry.PayoutId} returned`,
+    escrow_fund: entry => `Job #${entry.JobId} funded in escrow`,
+    escrow_release: entry => `Job #${entry.JobId}: ${entry.Job.description}`,
+    escrow_refund: entry => `Escrow refund for job #${entry.JobId}`,
+    platform_fee: entry => `Platform fee for job #${entry.JobId}`,
+    tax_withholding: entry => `Tax withheld for job #${entry.JobId}`,
+    dispute_refund: entry => `Dispute refund for job #${entry.JobId}`
+};
+
+/**
+ * Statement of a profile's balance for one calendar month (`YYYY-MM`, UTC):
+ * every payment, deposit and withdrawal booked on the balance, with the
+ * balance before and after each one. Returns `{ statement }`.
+ */
+async function statementFor(profile, month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+    const to = new Date(Date.UTC(year, monthIndex, 1));
+    const where = { account: 'profile', ProfileId: profile.id };
+
+    // Balance at the start of the month, from everything booked before it
+    const before = await LedgerEntry.findAll({
+        attributes: ['direction', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+        where: { ...where, createdAt: { [Op.lt]: from } },
+        group: ['direction'],
+        raw: true
+    });
+    const openingCents = before.reduce((sum, { direction, total }) => sum + (direction === 'credit' ? 1 : -1) * ledger.toCents(total), 0);
+
+    const entries = await LedgerEntry.findAll({
+        where: { ...where, createdAt: { [Op.gte]: from, [Op.lt]: to } },
+        include: [{ model: Job, attributes: ['description'] }],
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    let balanceCents = openingCents;
+    let inCents = 0;
+    let outCents = 0;
+    const lines = entries.map(entry => {
+        const cents = (entry.direction === 'credit' ? 1 : -1) * ledger.toCents(entry.amount);
+        balanceCents += cents;
+        if (cents > 0) {
+            inCents += cents;
+        } else {
+            outCents -= cents;
+        }
+
+        const describe = DESCRIPTIONS[entry.kind] || (() => entry.kind);
+        return {
+            date: entry.createdAt,
+            kind: entry.kind,
+            reference: entry.transactionId,
+            description: describe(entry),
+            amount: cents / 100,
+            balance: balanceCents / 100
+        };
+    });
+
+    return {
+        statement: {
+            month,
+            profile: { id: profile.id, fullName: fullName(profile), type: profile.type },
+            currency: profile.currency,
+            openingBalance: openingCents / 100,
+            moneyIn: inCents / 100,
+            moneyOut: outCents / 100,
+            closingBalance: balanceCents / 100,
+            lines
+        }
+    };
+}
+
+const INVOICE_COLUMNS = [
+    { key: 'number', label: 'Invoice' },
+    { key: 'paymentDate', label: 'Payment date' },
+    { key: 'clientId', label: 'Client id' },
+    { key: 'client', label: 'Client' },
+    { key: 'contractorId', label: 'Contractor id' },
+    { key: 'contractor', label: 'Contractor' },
+    { key: 'profession', label: 'Profession' },
+    { key: 'contractId', label: 'Contract id' },
+    { key: 'terms', label: 'Contract terms' },
+    { key: 'jobId', label: 'Job id' },
+    { key: 'description', label: 'Description' },
+    { key: 'price', label: 'Price' },
+    { key: 'fees', label: 'Fees' },
+    { key: 'withheld', label: 'Withheld' },
+    { key: 'net', label: 'Net' },
+    { key: 'currency', label: 'Currency' }
+];
+
+const STATEMENT_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'description', label: 'Description' },
+    { key: 'kind', label: 'Type' },
+    { key: 'amount', label: 'Amount', align: 'right' },
+    { key: 'balance', label: 'Balance', align: 'right' }
+];
+
+/**
+ * Renders an invoice from invoiceFor() as `format` (pdf or csv).
+ * Resolves with `{ filename, contentType, body }`.
+ */
+async function invoiceFile(invoice, format) {
+    const { client, contractor, contract, job, deductions } = invoice;
+    const deducted = (type) => deductions.filter(item => item.type === type).reduce((sum, item) => sum + ledger.toCents(item.amount), 0) / 100;
+    const filename = `${invoice.number}.${format}`;
+
+    if (format === 'csv') {
+        const row = {
+            number: invoice.number,
+            paymentDate: invoice.paymentDate,
+            clientId: client.id,
+            client: client.fullName,
+            contractorId: contractor.id,
+            contractor: contractor.fullName,
+            profession: contractor.profession,
+            contractId: contract.id,
+            terms: contract.terms,
+            jobId: job.id,
+            description: job.description,
+            price: job.price.toFixed(2),
+            fees: deducted('fee').toFixed(2),
+            withheld: deducted('withholding').toFixed(2),
+            net: invoice.net.toFixed(2),
+            currency: job.currency
+        };
+        return { filename, contentType: CONTENT_TYPES.csv, body: toCsv(INVOICE_COLUMNS, [row]) };
+    }
+
+    const body = await renderPdf({
+        title: `Invoice ${invoice.number}`,
+        details: [
+            ['Payment date', day(invoice.paymentDate)],
+            ['Client', `${client.fullName} (#${client.id})`],
+            ['Contractor', `${contractor.fullName} (#${contractor.id}), ${contractor.profession}`],
+            ['Contract', `#${contract.id}: ${contract.terms}`]
+        ],
+        columns: [
+            { key: 'id', label: 'Job' },
+            { key: 'description', label: 'Description' },
+            { key: 'price', label: 'Price', align: 'right' }
+        ],
+        rows: [{ id: `#${job.id}`, description: job.description, price: money(job.price, job.currency) }],
+        totals: [
+            ['Total', money(job.price, job.currency)],
+            // The contractor's share, when something was deducted from it
+            ...(deductions.length ? [
+                ...deductions.map(item => [item.description, money(-item.amount, job.currency)]),
+                ['Net to contractor', money(invoice.net, job.currency)]
+            ] : [])
+        ]
+    });
+    return { filename, contentType: CONTENT_TYPES.pdf, body };
+}
+
+/**
+ * Renders a statement from statementFor() as `format` (pdf or csv).
+ * Resolves with `{ filename, contentType, body }`.
+ */
+async function statementFile(statement, format) {
+    const filename = `statement-${statement.profile.id}-${statement.month}.${format}`;
+
+    if (format === 'csv') {
+        const rows = statement.lines.map(line => ({
+            ...line,
+            amount: line.amount.toFixed(2),
+            balance: line.balance.toFixed(2),
+            currency: statement.currency
+        }));
+        const columns = [...STATEMENT_COLUMNS, { key: 'reference', label: 'Reference' }, { key: 'currency', label: 'Currency' }];
+        return { filename, contentType: CONTENT_TYPES.csv, body: toCsv(columns, rows) };
+    }
+
+    const body = await renderPdf({
+        title: `Statement ${statement.month}`,
+        details: [
+            ['Profile', `${statement.profile.fullName} (#${statement.profile.id})`],
+            ['Currency', statement.currency],
+            ['Opening balance', money(statement.openingBalance, statement.currency)]
+        ],
+        columns: STATEMENT_COLUMNS,
+        rows: statement.lines.map(line => ({
+            ...line,
+            date: day(line.date),
+            amount: money(line.amount, statement.currency),
+            balance: money(line.balance, statement.currency)
+        })),
+        totals: [
+            ['Money in', money(statement.moneyIn, statement.currency)],
+            ['Money out', money(statement.moneyOut, statement.currency)],
+            ['Closing balance', money(statement.closingBalance, statement.currency)]
+        ]
+    });
+    return { filename, contentType: CONTENT_TYPES.pdf, body };
+}
+
+module.exports = { FORMATS, CONTENT_TYPES, invoiceFor, statementFor, invoiceFile, statementFile };
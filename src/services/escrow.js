@@ -0,0 +1,149 @@
+const { Job, Profile } = require('../model');
+const ledger = require('./ledger');
+const currency = require('./currency');
+const events = require('./events');
+const fees = require('./fees');
+
+/**
+ * Funds a job in escrow on behalf of the client with id `clientId`: the price,
+ * converted into the client's currency, moves from the client's balance to its
+ * escrow account. Only jobs not approved yet, of contracts in progress, can be
+ * funded. Must run inside withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 200, job }`.
+ */
+async function fundJob(jobId, clientId, { transaction }) {
+    const lock = transaction.LOCK.UPDATE;
+    const job = await Job.findByPk(jobId, { transaction, lock });
+
+    if (!job) {
+        return { status: 404, error: 'Job not found' };
+    }
+
+    const contract = await job.getContract({ transaction });
+    if (contract.ClientId !== clientId) {
+        return { status: 403, error: 'Unauthorized: Only the client can fund a job' };
+    }
+    if (contract.status !== 'in_progress') {
+        return { status: 409, error: 'Only jobs of contracts in progress can be funded' };
+    }
+    if (job.escrowStatus) {
+        return { status: 409, error: 'Job has already been funded' };
+    }
+    if (job.paid || !['new', 'submitted'].includes(job.status)) {
+        return { status: 409, error: 'Only jobs not approved yet can be funded; approved jobs are paid directly' };
+    }
+
+    const client = await Profile.findByPk(clientId, { transaction, lock });
+    const rate = await currency.getRate(job.currency, client.currency, { transaction });
+    if (rate === null) {
+        return { status: 409, error: `No exchange rate from ${job.currency} to ${client.currency}` };
+    }
+    const amount = currency.convert(job.price, rate);
+
+    if (ledger.toCents(client.balance) < ledger.toCents(amount)) {
+        return { status: 400, error: 'Insufficient balance' };
+    }
+
+    const leg = { ProfileId: client.id, amount, currency: client.currency, exchangeRate: rate };
+    await ledger.book({ debit: leg, credit: { ...leg, account: 'escrow' }, kind: 'escrow_fund', JobId: job.id }, { transaction });
+    await job.update({ escrowStatus: 'funded', escrowAmount: amount, escrowCurrency: client.currency }, { transaction });
+
+    await events.record('job.funded', {
+        jobId: job.id,
+        contractId: contract.id,
+        clientId: client.id,
+        contractorId: contract.ContractorId,
+        amount,
+        currency: client.currency
+    }, { transaction });
+
+    return { status: 200, job };
+}
+
+/**
+ * Pays a funded job from escrow when the client approves it: the held amount
+ * leaves the client's escrow account and the price, converted into the
+ * contractor's currency, is credited to the contractor, less the platform fee
+ * and tax withholding. Marks the job paid.
+ * Must run inside withTransaction(), with the job locked.
+ *
+ * Returns `{ status, error }` or `{ status: 200, job }`.
+ */
+async function releaseJob(job, contract, { transaction }) {
+    const contractor = await Profile.findByPk(contract.ContractorId, { transaction, lock: transaction.LOCK.UPDATE });
+    const rate = await currency.getRate(job.currency, contractor.currency, { transaction });
+    if (rate === null) {
+        return { status: 409, error: `No exchange rate from ${job.currency} to ${contractor.currency}` };
+    }
+
+    const planned = await fees.deductionsFor(job, contract, contractor, { transaction });
+    if (planned.error) {
+        return planned;
+    }
+
+    // The client paid what the price was worth when the job was funded
+    const charged = {
+        amount: Number(job.escrowAmount),
+        currency: job.escrowCurrency,
+        exchangeRate: Math.round(Number(job.escrowAmount) / Number(job.price) * 1e8) / 1e8
+    };
+    const credited = { amount: currency.convert(job.price, rate), currency: contractor.currency, exchangeRate: rate };
+
+    await ledger.book({
+        debit: { ProfileId: contract.ClientId, account: 'escrow', ...charged },
+        credit: { ProfileId: contractor.id, ...credited },
+        kind: 'escrow_release',
+        JobId: job.id
+    }, { transaction });
+    const { deductions, net } = await fees.bookDeductions(job, contractor, credited, planned.lineItems, { transaction });
+    await job.update({ paid: true, status: 'paid', paymentDate: new Date(), escrowStatus: 'released' }, { transaction });
+
+    await events.record('job.paid', {
+        jobId: job.id,
+        contractId: contract.id,
+        clientId: contract.ClientId,
+        contractorId: contractor.id,
+        price: Number(job.price),
+        currency: job.currency,
+        charged,
+        credited,
+        deductions,
+        net,
+        paymentDate: job.paymentDate,
+        escrow: true
+    }, { transaction });
+
+    return { status: 200, job };
+}
+
+/**
+ * Returns the escrowed amount of every funded job of a contract to the
+ * client's balance. Called when the contract is terminated; must run inside
+ * withTransaction(). Returns the refunded jobs.
+ */
+async function refundContract(contract, { transaction }) {
+    const funded = await Job.findAll({
+        where: { ContractId: contract.id, escrowStatus: 'funded' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    for (const job of funded) {
+        const leg = { ProfileId: contract.ClientId, amount: job.escrowAmount, currency: job.escrowCurrency };
+        await ledger.book({ debit: { ...leg, account: 'escrow' }, credit: leg, kind: 'escrow_refund', JobId: job.id }, { transaction });
+        await job.update({ escrowStatus: 'refunded' }, { transaction });
+
+        await events.record('job.refunded', {
+            jobId: job.id,
+            contractId: contract.id,
+            clientId: contract.ClientId,
+            amount: Number(job.escrowAmount),
+            currency: job.escrowCurrency
+        }, { transaction });
+    }
+
+    return funded;
+}
+
+module.exports = { fundJob, releaseJob, refundContract };
@@ -0,0 +1,23 @@
+const { OutboxEvent } = require('../model');
+
+// Domain events downstream systems can subscribe to
+const EVENT_TYPES = [
+    'job.created',
+    'job.funded',
+    'job.paid',
+    'job.refunded',
+    'deposit.made',
+    'contract.status_changed',
+    'dispute.opened',
+    'dispute.resolved'
+];
+
+/**
+ * Writes a domain event to the outbox. Pass the transaction of the change the
+ * event describes, so the event exists exactly when the change is committed.
+ */
+function record(type, payload, { transaction }) {
+    return OutboxEvent.create({ type, payload }, { transaction });
+}
+
+module.exports = { EVENT_TYPES, record };
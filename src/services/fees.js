@@ -0,0 +1,144 @@
+const { Op } = require('sequelize');
+const { FeeRule, WithholdingRule, PaymentLineItem } = require('../model');
+const ledger = require('./ledger');
+const currency = require('./currency');
+
+// `percentage` percent of an amount in cents, rounded to a cent
+const percentOf = (cents, percentage) => Math.round(cents * Number(percentage) / 100);
+
+const money = (amount, code) => `${Number(amount).toFixed(2)} ${code}`;
+
+/**
+ * The fee rule for a payment under `contract` to `contractor`: the contract's
+ * own rule, else the rule of the contractor's profession, else the global
+ * rule. Returns null when no rule applies.
+ */
+async function feeRuleFor(contract, contractor, { transaction } = {}) {
+    const rules = await FeeRule.findAll({
+        where: {
+            [Op.or]: [
+                { ContractId: contract.id },
+                { ContractId: null, profession: contractor.profession },
+                { ContractId: null, profession: null }
+            ]
+        },
+        transaction
+    });
+
+    return rules.find(rule => rule.ContractId) || rules.find(rule => rule.profession) || rules[0] || null;
+}
+
+// Fee of a rule on a price in cents of `jobCurrency`. Returns `{ cents, description }` or `{ missing }`.
+async function feeOf(rule, priceCents, jobCurrency, { transaction }) {
+    if (rule.type === 'percentage') {
+        return { cents: percentOf(priceCents, rule.percentage), description: `Platform fee (${Number(rule.percentage)}%)` };
+    }
+
+    // Flat amounts and tier bounds are converted into the job's currency
+    const rate = await currency.getRate(rule.currency, jobCurrency, { transaction });
+    if (rate === null) {
+        return { missing: rule.currency };
+    }
+
+    if (rule.type === 'flat') {
+        return { cents: ledger.toCents(currency.convert(rule.amount, rate)), description: `Platform fee (${money(rule.amount, rule.currency)})` };
+    }
+
+    // Each tier's percentage applies to the part of the price between the previous bound and its own
+    let cents = 0;
+    let lower = 0;
+    for (const tier of rule.tiers) {
+        const upper = tier.upTo === undefined || tier.upTo === null ? Infinity : ledger.toCents(currency.convert(tier.upTo, rate));
+        cents += percentOf(Math.max(0, Math.min(priceCents, upper) - lower), tier.percentage);
+        lower = upper;
+    }
+    return { cents, description: 'Platform fee (tiered)' };
+}
+
+/**
+ * Works out what is deducted from paying `job` to `contractor`: the platform
+ * fee of the applicable fee rule and the tax withheld for the contractor's
+ * country, both in the job's currency. The fee never exceeds the price, and
+ * the withholding, taken on the price, never exceeds what is left of it.
+ *
+ * Returns `{ status, error }` or `{ lineItems }`, unsaved PaymentLineItem
+ * values.
+ */
+async function deductionsFor(job, contract, contractor, { transaction }) {
+    const priceCents = ledger.toCents(job.price);
+    const lineItems = [];
+    let leftCents = priceCents;
+
+    const feeRule = await feeRuleFor(contract, contractor, { transaction });
+    if (feeRule) {
+        const fee = await feeOf(feeRule, priceCents, job.currency, { transaction });
+        if (fee.missing) {
+            return { status: 409, error: `No exchange rate from ${fee.missing} to ${job.currency}` };
+        }
+
+        const cents = Math.min(fee.cents, leftCents);
+        leftCents -= cents;
+        lineItems.push({ type: 'fee', description: fee.description, cents, FeeRuleId: feeRule.id });
+    }
+
+    const withholdingRule = contractor.country
+        ? await WithholdingRule.findOne({ where: { country: contractor.country }, transaction })
+        : null;
+    if (withholdingRule) {
+        const cents = Math.min(percentOf(priceCents, withholdingRule.percentage), leftCents);
+        const description = withholdingRule.description || `Tax withholding ${withholdingRule.country} (${Number(withholdingRule.percentage)}%)`;
+        lineItems.push({ type: 'withholding', description, cents, WithholdingRuleId: withholdingRule.id });
+    }
+
+    return {
+        lineItems: lineItems
+            .filter(item => item.cents > 0)
+            .map(({ cents, ...item }) => ({ ...item, amount: cents / 100, currency: job.currency, JobId: job.id }))
+    };
+}
+
+// Ledger account and entry kind of each type of line item
+const BOOKINGS = {
+    fee: { account: 'platform', kind: 'platform_fee' },
+    withholding: { account: 'tax', kind: 'tax_withholding' }
+};
+
+/**
+ * Saves the line items from deductionsFor() and books each one from the
+ * contractor's balance to the platform revenue or tax account, converted at
+ * the rate the contractor was `credited` the price at. Records the totals on
+ * the job. Must run inside withTransaction(), after the price was credited.
+ *
+ * Returns `{ deductions, net }`: the saved line items as plain values, and
+ * what the contractor keeps.
+ */
+async function bookDeductions(job, contractor, credited, lineItems, { transaction }) {
+    let netCents = ledger.toCents(credited.amount);
+    const totals = { fee: 0, withholding: 0 };
+
+    for (const item of lineItems) {
+        // Rounding each conversion must not take more than was credited
+        const cents = Math.min(ledger.toCents(currency.convert(item.amount, credited.exchangeRate)), netCents);
+        netCents -= cents;
+        totals[item.type] += ledger.toCents(item.amount);
+
+        const leg = { amount: cents / 100, currency: contractor.currency, exchangeRate: credited.exchangeRate };
+        const { account, kind } = BOOKINGS[item.type];
+        await ledger.book({
+            debit: { ...leg, ProfileId: contractor.id },
+            credit: { ...leg, ProfileId: null, account },
+            kind,
+            JobId: job.id
+        }, { transaction });
+    }
+
+    const saved = await PaymentLineItem.bulkCreate(lineItems, { transaction });
+    await job.update({ feeAmount: totals.fee / 100, withheldAmount: totals.withholding / 100 }, { transaction });
+
+    return {
+        deductions: saved.map(item => ({ type: item.type, description: item.description, amount: Number(item.amount), currency: item.currency })),
+        net: { amount: netCents / 100, currency: contractor.currency, exchangeRate: credited.exchangeRate }
+    };
+}
+
+module.exports = { feeRuleFor, deductionsFor, bookDeductions };
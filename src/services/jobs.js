@@ -0,0 +1,43 @@
+const { Job } = require('../model');
+const events = require('./events');
+
+// Allowed job status transitions; a job becomes `paid` only through the pay endpoint
+const TRANSITIONS = {
+    new: ['submitted'],
+    submitted: ['approved'],
+    approved: ['paid'],
+    paid: []
+};
+
+const canTransition = (fromStatus, toStatus) => TRANSITIONS[fromStatus].includes(toStatus);
+
+/**
+ * Creates a job under a contract, priced in the contract's currency, in status
+ * `new` unless stated (billing schedules create approved jobs). Must run inside
+ * withTransaction() so the job and its event commit together.
+ */
+async function createJob(contract, { description, price, status = 'new', BillingScheduleId = null }, { transaction }) {
+    const job = await Job.create({
+        description,
+        price,
+        status,
+        currency: contract.currency,
+        ContractId: contract.id,
+        BillingScheduleId
+    }, { transaction });
+    await events.record('job.created', {
+        jobId: job.id,
+        contractId: contract.id,
+        clientId: contract.ClientId,
+        contractorId: contract.ContractorId,
+        description: job.description,
+        price: Number(job.price),
+        currency: job.currency,
+        status: job.status,
+        billingScheduleId: job.BillingScheduleId
+    }, { transaction });
+
+    return job;
+}
+
+module.exports = { TRANSITIONS, canTransition, createJob };
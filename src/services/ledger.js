@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { sequelize, Profile, LedgerEntry } = require('../model');
+
+// Balances are DECIMAL(12,2); compare them in whole cents to avoid float noise
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// Accounts that belong to a profile; the others are platform-wide
+const PROFILE_ACCOUNTS = ['profile', 'hold', 'escrow'];
+
+// Account of a leg: a profile balance unless stated, or external without a profile
+const accountOf = (leg) => leg.account || (leg.ProfileId === null ? 'external' : 'profile');
+
+/**
+ * Builds the entries of one movement. `debit` and `credit` are the two legs,
+ * `{ ProfileId, amount, currency, exchangeRate, account }`. `account` defaults
+ * to the profile's balance, or to the external account (money entering or
+ * leaving the platform) when ProfileId is null; `hold` books funds a profile
+ * has set aside and `escrow` funds a client has put in escrow for its jobs.
+ * `platform` (fee revenue) and `tax` (withheld tax) are platform-wide.
+ * Legs in different currencies are booked through the `fx` account.
+ */
+function buildEntries({ debit, credit, kind, JobId = null, DepositId = null, PayoutId = null }) {
+    const transactionId = crypto.randomBytes(16).toString('hex');
+    const entry = (leg, direction, account = accountOf(leg)) => ({
+        transactionId,
+        account,
+        ProfileId: PROFILE_ACCOUNTS.includes(account) ? leg.ProfileId : null,
+        direction,
+        amount: leg.amount,
+        currency: leg.currency,
+        exchangeRate: leg.exchangeRate || 1,
+        kind,
+        JobId,
+        DepositId,
+        PayoutId
+    });
+
+    if (debit.currency === credit.currency) {
+        return [entry(debit, 'debit'), entry(credit, 'credit')];
+    }
+
+    return [
+        entry(debit, 'debit'),
+        entry(debit, 'credit', 'fx'),
+        entry(credit, 'debit', 'fx'),
+        entry(credit, 'credit')
+    ];
+}
+
+// Adds `sign` times the leg's amount to its profile's cached balance. The row is
+// re-read under lock and saved as an instance, so update hooks (the audit log) see it.
+async function applyToBalance(leg, sign, transaction) {
+    const profile = await Profile.findByPk(leg.ProfileId, { transaction, lock: transaction && transaction.LOCK.UPDATE });
+    await profile.update({ balance: (toCents(profile.balance) + sign * toCents(leg.amount)) / 100 }, { transaction });
+}
+
+/**
+ * Books a movement between two legs (see buildEntries), updating the cached
+ * Profile.balance of each profile involved. Returns the ledger transaction id.
+ */
+async function book(movement, { transaction } = {}) {
+    const { debit, credit } = movement;
+    const entries = buildEntries(movement);
+
+    if (accountOf(debit) === 'profile') {
+        await applyToBalance(debit, -1, transaction);
+    }
+    if (accountOf(credit) === 'profile') {
+        await applyToBalance(credit, 1, transaction);
+    }
+    await LedgerEntry.bulkCreate(entries, { transaction });
+
+    return entries[0].transactionId;
+}
+
+/**
+ * Moves `amount` of one currency from one account to another. `from` and `to`
+ * are profile ids, or null for the external account.
+ */
+function transfer({ from, to, amount, currency, kind, JobId }, options) {
+    return book({
+        debit: { ProfileId: from, amount, currency },
+        credit: { ProfileId: to, amount, currency },
+        kind,
+        JobId
+    }, options);
+}
+
+/**
+ * Returns the balance of one of a profile's side accounts, `hold` or `escrow`.
+ */
+async function accountBalance(profileId, account, { transaction } = {}) {
+    const totals = await LedgerEntry.findAll({
+        attributes: ['direction', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+        where: { account, ProfileId: profileId },
+        group: ['direction'],
+        raw: true,
+        transaction
+    });
+
+    const cents = totals.reduce((sum, { direction, total }) => sum + (direction === 'credit' ? 1 : -1) * toCents(total), 0);
+    return cents / 100;
+}
+
+/**
+ * Returns the amount a profile has on hold (e.g. for pending payouts).
+ */
+const heldBalance = (profileId, options) => accountBalance(profileId, 'hold', options);
+
+/**
+ * Balances of the platform's own accounts per currency: `platform` (fees
+ * earned) and `tax` (withheld tax not yet paid over).
+ */
+async function platformBalances() {
+    const totals = await LedgerEntry.findAll({
+        attributes: ['account', 'currency', 'direction', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+        where: { account: ['platform', 'tax'] },
+        group: ['account', 'currency', 'direction'],
+        raw: true
+    });
+
+    const balances = new Map();
+    totals.forEach(({ account, currency, direction, total }) => {
+        const key = `${account}/${currency}`;
+        const balance = balances.get(key) || { account, currency, cents: 0 };
+        balance.cents += (direction === 'credit' ? 1 : -1) * toCents(total);
+        balances.set(key, balance);
+    });
+
+    return [...balances.values()]
+        .sort((a, b) => a.account.localeCompare(b.account) || a.currency.localeCompare(b.currency))
+        .map(({ cents, ...balance }) => ({ ...balance, balance: cents / 100 }));
+}
+
+/**
+ * Records a profile's existing balance as an opening entry, without touching
+ * Profile.balance. Used when a balance predates the ledger (e.g. seed data).
+ */
+async function recordOpeningBalance(profile, { transaction } = {}) {
+    const leg = { amount: profile.balance, currency: profile.currency };
+    const entries = buildEntries({
+        debit: { ...leg, ProfileId: null },
+        credit: { ...leg, ProfileId: profile.id },
+        kind: 'opening_balance'
+    });
+    await LedgerEntry.bulkCreate(entries, { transaction });
+}
+
+/**
+ * Recomputes every profile's balance from its ledger entries and compares it
+ * with the stored Profile.balance. Returns the profiles whose balances drifted.
+ */
+async function reconcile() {
+    const [profiles, totals] = await Promise.all([
+        Profile.findAll({ attributes: ['id', 'balance', 'currency'] }),
+        LedgerEntry.findAll({
+            attributes: ['ProfileId', 'direction', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+            where: { account: 'profile' },
+            group: ['ProfileId', 'direction'],
+            raw: true
+        })
+    ]);
+
+    // Credits raise a profile balance, debits lower it
+    const ledgerCents = {};
+    totals.forEach(({ ProfileId, direction, total }) => {
+        const sign = direction === 'credit' ? 1 : -1;
+        ledgerCents[ProfileId] = (ledgerCents[ProfileId] || 0) + sign * toCents(total);
+    });
+
+    const drifted = profiles
+        .map(profile => {
+            const balanceCents = toCents(profile.balance);
+            const ledgerBalanceCents = ledgerCents[profile.id] || 0;
+            return {
+                profileId: profile.id,
+                currency: profile.currency,
+                balance: balanceCents / 100,
+                ledgerBalance: ledgerBalanceCents / 100,
+                drift: (balanceCents - ledgerBalanceCents) / 100
+            };
+        })
+        .filter(result => result.drift !== 0);
+
+    return { profilesChecked: profiles.length, drifted };
+}
+
+module.exports = { book, transfer, accountBalance, heldBalance, platformBalances, recordOpeningBalance, reconcile, toCents };
@@ -0,0 +1,154 @@
+const { Op, DATE, NUMBER, BOOLEAN, where: compare } = require('sequelize');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Query-string schema properties of a list sortable by `sortFields`.
+ * `sort` takes a field name, prefixed with `-` for descending order.
+ */
+const pageQueryProperties = (sortFields = ['id']) => ({
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+    cursor: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+    sort: { type: 'string', enum: sortFields.flatMap(field => [field, `-${field}`]), default: 'id' }
+});
+
+// Calendar date without a time, e.g. 2020-08-15
+const calendarDate = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Where-clause operator for an inclusive range, or undefined when both ends
+ * are open. A calendar date as the upper end includes that whole day.
+ */
+function range(from, to) {
+    if (from === undefined && to === undefined) {
+        return undefined;
+    }
+
+    const upper = calendarDate.test(to) ? `${to}T23:59:59.999Z` : to;
+
+    return {
+        ...(from !== undefined && { [Op.gte]: from }),
+        ...(to !== undefined && { [Op.lte]: upper })
+    };
+}
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// Whether `value` can be the sort value of `attribute` in a cursor: a value of its type, or null when it allows NULL
+function isValueOf(attribute, value) {
+    if (value === null) {
+        return attribute.allowNull !== false;
+    }
+    if (attribute.type instanceof DATE) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    }
+    if (attribute.type instanceof NUMBER) {
+        return Number.isFinite(value);
+    }
+    if (attribute.type instanceof BOOLEAN) {
+        return typeof value === 'boolean';
+    }
+    return typeof value === 'string';
+}
+
+// The `[value, id]` pair of a cursor, or null unless the value fits `attribute` and the id is a positive integer
+function decodeCursor(cursor, attribute) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (error) {
+        return null;
+    }
+
+    const valid = Array.isArray(values) && values.length === 2
+        && isValueOf(attribute, values[0]) && Number.isInteger(values[1]) && values[1] > 0;
+    return valid ? values : null;
+}
+
+/**
+ * Where-clause for the rows after `[lastValue, lastId]` in (column, id) order,
+ * where `column` is an attribute name or an expression. NULL sorts after every
+ * value, as if it were the largest one: last when ascending and first when
+ * descending, whatever the dialect's default.
+ */
+function afterCursor(column, descending, lastValue, lastId) {
+    const after = descending ? Op.lt : Op.gt;
+    const nextId = { id: { [after]: lastId } };
+    const is = (op, value) => typeof column === 'string' ? { [column]: { [op]: value } } : compare(column, op, value);
+
+    if (column === 'id') {
+        return nextId;
+    }
+    if (lastValue === null) {
+        // Only the remaining NULL rows follow, then the values when descending
+        return descending
+            ? { [Op.or]: [{ [Op.and]: [is(Op.is, null), nextId] }, is(Op.not, null)] }
+            : { [Op.and]: [is(Op.is, null), nextId] };
+    }
+
+    return {
+        [Op.or]: [
+            is(after, lastValue),
+            { [Op.and]: [is(Op.eq, lastValue), nextId] },
+            ...(descending ? [] : [is(Op.is, null)])
+        ]
+    };
+}
+
+/**
+ * Fetches one page of `Model` rows matching `where`/`include`, ordered by
+ * `sort` with the id as tie-breaker. `sort` may name a computed value of
+ * `columns`, which maps names to `{ expression, type }`: the expression that
+ * computes it, e.g. an attribute given as `[expression, name]` in
+ * `attributes`, and its data type. The cursor holds the sort value and id
+ * of the last row returned, so pages stay stable while rows are added. Rows
+ * whose sort value is NULL come last in ascending order and first in
+ * descending order.
+ *
+ * Returns `{ data, page: { limit, nextCursor, totalCount } }`, or null when
+ * the cursor cannot be decoded or its values do not fit the sort.
+ */
+async function paginate(Model, { attributes, where = {}, include, columns = {}, limit = DEFAULT_LIMIT, cursor, sort = 'id' }) {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    const computed = columns[field];
+    const column = computed ? computed.expression : field;
+    const direction = descending ? 'DESC' : 'ASC';
+
+    const order = field === 'id'
+        ? [['id', direction]]
+        : [[column, descending ? 'DESC NULLS FIRST' : 'ASC NULLS LAST'], ['id', direction]];
+
+    let pageWhere = where;
+    if (cursor) {
+        const attribute = computed || Model.rawAttributes[field];
+        const values = decodeCursor(cursor, attribute);
+        if (!values) {
+            return null;
+        }
+
+        const [rawValue, lastId] = values;
+        const lastValue = attribute.type instanceof DATE && rawValue !== null ? new Date(rawValue) : rawValue;
+
+        pageWhere = { [Op.and]: [where, afterCursor(column, descending, lastValue, lastId)] };
+    }
+
+    const [rows, totalCount] = await Promise.all([
+        // One extra row tells whether there is a next page
+        Model.findAll({ attributes, where: pageWhere, include, order, limit: limit + 1 }),
+        Model.count({ where, include, distinct: true, col: 'id' })
+    ]);
+
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor([last.get(field), last.id]) : null;
+
+    return { data, page: { limit, nextCursor, totalCount } };
+}
+
+module.exports = { pageQueryProperties, range, paginate, DEFAULT_LIMIT, MAX_LIMIT };
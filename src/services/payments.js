@@ -0,0 +1,219 @@
+const { Op } = require('sequelize');
+const { Job, Profile, Contract } = require('../model');
+const ledger = require('./ledger');
+const currency = require('./currency');
+const events = require('./events');
+const fees = require('./fees');
+
+/**
+ * Checks that the client with id `clientId` may pay an approved job of a
+ * contract in progress and works out the amounts, without booking anything. Must run inside a transaction
+ * from withTransaction(): the job and both balances are re-read under lock.
+ * The job price is converted into the client's and the contractor's balance
+ * currencies with the current rates, and the platform fee and tax withholding
+ * to deduct from what the contractor is credited are worked out (see
+ * fees.deductionsFor()).
+ *
+ * Returns `{ status, error }` when the payment is refused, otherwise
+ * `{ plan }` for bookPayment().
+ */
+async function planPayment(jobId, clientId, { transaction }) {
+    const lock = transaction.LOCK.UPDATE;
+
+    // Re-read the job under lock instead of trusting earlier reads
+    const job = await Job.findByPk(jobId, { transaction, lock });
+
+    if (!job) {
+        return { status: 404, error: 'Job not found' };
+    }
+
+    const contract = await job.getContract({ transaction });
+
+    // Ensure the paying profile is the client associated with this job
+    if (contract.ClientId !== clientId) {
+        return { status: 403, error: 'Unauthorized: Only clients can pay for jobs' };
+    }
+
+    // Work stops being paid for once the contract is terminated
+    if (contract.status !== 'in_progress') {
+        return { status: 409, error: 'Only jobs of contracts in progress can be paid' };
+    }
+
+    // Reject jobs that were already paid
+    if (job.paid) {
+        return { status: 409, error: 'Job has already been paid' };
+    }
+
+    // Only jobs the client approved can be paid
+    if (job.status !== 'approved') {
+        return { status: 409, error: 'Only approved jobs can be paid' };
+    }
+
+    const client = await Profile.findByPk(clientId, { transaction, lock });
+    const contractor = await Profile.findByPk(contract.ContractorId, { transaction, lock });
+
+    // Convert the price into the currency of each balance
+    const legs = [];
+    for (const profile of [client, contractor]) {
+        const rate = await currency.getRate(job.currency, profile.currency, { transaction });
+        if (rate === null) {
+            return { status: 409, error: `No exchange rate from ${job.currency} to ${profile.currency}` };
+        }
+        legs.push({ amount: currency.convert(job.price, rate), currency: profile.currency, exchangeRate: rate });
+    }
+    const [charged, credited] = legs;
+
+    // Check the client's current balance, not one loaded before the transaction
+    if (ledger.toCents(client.balance) < ledger.toCents(charged.amount)) {
+        return { status: 400, error: 'Insufficient balance' };
+    }
+
+    // Work out the deductions before booking anything, as they can be refused too
+    const planned = await fees.deductionsFor(job, contract, contractor, { transaction });
+    if (planned.error) {
+        return planned;
+    }
+
+    return { plan: { job, contract, client, contractor, charged, credited, lineItems: planned.lineItems } };
+}
+
+/**
+ * Books a payment worked out by planPayment(), in the same transaction: moves
+ * the money from client to contractor, books the deductions and marks the job
+ * paid. Returns `{ jobId, charged, credited, deductions, net }`.
+ */
+async function bookPayment({ job, contract, client, contractor, charged, credited, lineItems }, { transaction }) {
+    // Move the money from client to contractor and record it in the ledger
+    await ledger.book({
+        debit: { ProfileId: client.id, ...charged },
+        credit: { ProfileId: contractor.id, ...credited },
+        kind: 'job_payment',
+        JobId: job.id
+    }, { transaction });
+    const { deductions, net } = await fees.bookDeductions(job, contractor, credited, lineItems, { transaction });
+
+    // Mark the job as paid and set payment date
+    await job.update({ paid: true, status: 'paid', paymentDate: new Date() }, { transaction });
+
+    await events.record('job.paid', {
+        jobId: job.id,
+        contractId: contract.id,
+        clientId: client.id,
+        contractorId: contractor.id,
+        price: Number(job.price),
+        currency: job.currency,
+        charged,
+        credited,
+        deductions,
+        net,
+        paymentDate: job.paymentDate
+    }, { transaction });
+
+    return { jobId: job.id, charged, credited, deductions, net };
+}
+
+/**
+ * Pays an approved job on behalf of the client with id `clientId` (see
+ * planPayment()). Must run inside a transaction from withTransaction().
+ *
+ * Returns `{ status, error }` when the payment is refused, otherwise
+ * `{ status: 200, payment: { jobId, charged, credited, deductions, net } }`.
+ */
+async function payJob(jobId, clientId, { transaction }) {
+    const { plan, ...refused } = await planPayment(jobId, clientId, { transaction });
+
+    if (!plan) {
+        return refused;
+    }
+
+    return { status: 200, payment: await bookPayment(plan, { transaction }) };
+}
+
+/**
+ * Pays several jobs of the client with id `clientId` in one transaction: the
+ * jobs in `jobIds`, in that order, or else every approved unpaid job on the
+ * contract with id `contractId`. Every job is checked as by payJob(), and the
+ * total charged is checked against the client's balance. In `all_or_nothing`
+ * mode nothing is paid unless every job can be; in `best_effort` mode the jobs
+ * that can be paid are, for as long as the balance lasts. Must run inside a
+ * transaction from withTransaction().
+ *
+ * Each job gets a result, `{ jobId, paid: true, charged, credited, deductions,
+ * net }` or `{ jobId, paid: false, status, error }`. Returns `{ status, error }`
+ * when the contract cannot be paid from, `{ status, error, results }` when
+ * `all_or_nothing` refused the whole batch, otherwise
+ * `{ status: 200, total, results }` with the total charged.
+ */
+async function payJobs({ jobIds, contractId, mode }, clientId, { transaction }) {
+    const lock = transaction.LOCK.UPDATE;
+
+    if (contractId !== undefined) {
+        const contract = await Contract.findByPk(contractId, { transaction });
+
+        if (!contract) {
+            return { status: 404, error: 'Contract not found' };
+        }
+
+        if (contract.ClientId !== clientId) {
+            return { status: 403, error: 'Unauthorized: Only the client of a contract can pay its jobs' };
+        }
+
+        const approved = await Job.findAll({
+            where: { ContractId: contract.id, status: 'approved', paid: { [Op.not]: true } },
+            order: [['id', 'ASC']],
+            transaction,
+            lock
+        });
+
+        if (approved.length === 0) {
+            return { status: 409, error: 'Contract has no approved unpaid jobs' };
+        }
+
+        jobIds = approved.map(job => job.id);
+    }
+
+    const client = await Profile.findByPk(clientId, { transaction, lock });
+    let availableCents = ledger.toCents(client.balance);
+    const steps = [];
+
+    // Check every job before booking any, keeping track of what the payable ones take from the balance
+    for (const jobId of jobIds) {
+        const { plan, ...refused } = await planPayment(jobId, clientId, { transaction });
+
+        if (plan && ledger.toCents(plan.charged.amount) > availableCents) {
+            steps.push({ refusal: { jobId, paid: false, status: 400, error: 'Insufficient balance' } });
+        } else if (plan) {
+            availableCents -= ledger.toCents(plan.charged.amount);
+            steps.push({ plan });
+        } else {
+            steps.push({ refusal: { jobId, paid: false, ...refused } });
+        }
+    }
+
+    const refusals = steps.filter(step => step.refusal).map(step => step.refusal);
+
+    if (mode === 'all_or_nothing' && refusals.length > 0) {
+        const results = steps.map(step => step.refusal
+            || { jobId: step.plan.job.id, paid: false, status: 409, error: 'Not paid because another job could not be' });
+        const short = refusals.some(refusal => refusal.error === 'Insufficient balance');
+
+        return { status: short ? 400 : 409, error: 'No job was paid', results };
+    }
+
+    const results = [];
+    let totalCents = 0;
+    for (const step of steps) {
+        if (step.refusal) {
+            results.push(step.refusal);
+            continue;
+        }
+
+        const payment = await bookPayment(step.plan, { transaction });
+        totalCents += ledger.toCents(payment.charged.amount);
+        results.push({ jobId: payment.jobId, paid: true, ...payment });
+    }
+
+    return { status: 200, total: { amount: totalCents / 100, currency: client.currency }, results };
+}
+
+module.exports = { planPayment, bookPayment, payJob, payJobs };
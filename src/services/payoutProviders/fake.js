@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+/**
+ * Payout provider that sends nothing, for development and tests. Every payout
+ * succeeds unless `fail` returns an error message for it. Sent payouts are
+ * kept in `sent`; sending a payout again with the same idempotency key returns
+ * the reference of the first send.
+ */
+function createFakeProvider({ fail = () => null } = {}) {
+    const sent = [];
+
+    return {
+        name: 'fake',
+        sent,
+        async send({ payout }) {
+            const failure = fail(payout);
+            if (failure) {
+                throw new Error(failure);
+            }
+
+            const previous = sent.find(item => item.idempotencyKey === payout.idempotencyKey);
+            if (previous) {
+                return { reference: previous.reference };
+            }
+
+            const reference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+            sent.push({ reference, idempotencyKey: payout.idempotencyKey, payoutId: payout.id, amount: Number(payout.amount), currency: payout.currency });
+            return { reference };
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,151 @@
+const { Payout, Profile } = require('../model');
+const ledger = require('./ledger');
+const { withTransaction } = require('./db');
+const { createFakeProvider } = require('./payoutProviders/fake');
+
+/**
+ * The provider that sends approved payouts out of the platform. A provider is
+ * `{ name, send({ payout }) }` where `send` resolves to `{ reference }` once
+ * the money is sent and rejects with an error when it could not be sent. It
+ * must send a payout at most once per `payout.idempotencyKey`, answering
+ * retries with the reference of the first send.
+ * Defaults to the fake provider; swap it with setPayoutProvider().
+ */
+let provider = createFakeProvider();
+
+const setPayoutProvider = (next) => {
+    provider = next;
+};
+
+const getPayoutProvider = () => provider;
+
+// Ledger legs moving a payout's amount between a profile's balance, its hold account and the outside
+const legs = (payout) => {
+    const leg = { ProfileId: payout.ProfileId, amount: payout.amount, currency: payout.currency };
+    return {
+        balance: leg,
+        hold: { ...leg, account: 'hold' },
+        external: { ...leg, ProfileId: null }
+    };
+};
+
+/**
+ * Creates a pending payout for a profile and moves the amount from its
+ * balance to its hold account. Must run inside withTransaction().
+ * Returns `{ status, error }` or `{ status: 201, payout }`.
+ */
+async function requestPayout(profileId, amount, { transaction }) {
+    const profile = await Profile.findByPk(profileId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (ledger.toCents(profile.balance) < ledger.toCents(amount)) {
+        return { status: 400, error: 'Insufficient balance' };
+    }
+
+    const payout = await Payout.create({ ProfileId: profile.id, amount, currency: profile.currency }, { transaction });
+    const { balance, hold } = legs(payout);
+    await ledger.book({ debit: balance, credit: hold, kind: 'payout_hold', PayoutId: payout.id }, { transaction });
+
+    return { status: 201, payout };
+}
+
+// Marks a payout failed and releases its held amount back to the balance
+async function release(payout, failureReason, { transaction }) {
+    const { balance, hold } = legs(payout);
+    await ledger.book({ debit: hold, credit: balance, kind: 'payout_release', PayoutId: payout.id }, { transaction });
+    await payout.update({ status: 'failed', failureReason }, { transaction });
+}
+
+/**
+ * How long a payout may stay `processing` before it counts as stuck, e.g.
+ * because the process stopped while the provider was sending it. Stuck
+ * payouts can be approved again, which retries the provider, or rejected.
+ */
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Locks a payout that is pending or stuck processing and marks it as reviewed by `reviewerId`
+async function claim(payoutId, reviewerId, transaction, changes = {}) {
+    const payout = await Payout.findByPk(payoutId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!payout) {
+        return { status: 404, error: 'Payout not found' };
+    }
+    if (payout.status === 'processing' && Date.now() - payout.reviewedAt < PROCESSING_TIMEOUT_MS) {
+        return { status: 409, error: 'Payout is being sent, retry once it is stuck' };
+    }
+    if (!['pending', 'processing'].includes(payout.status)) {
+        return { status: 409, error: 'Only pending payouts can be reviewed' };
+    }
+
+    await payout.update({ ...changes, reviewedAt: new Date(), ReviewedById: reviewerId }, { transaction });
+    return { payout };
+}
+
+/**
+ * Books the outcome of sending a claimed payout with `book(payout, transaction)`,
+ * unless the payout was reviewed again since the claim.
+ */
+function settle(claimed, book) {
+    return withTransaction(async (transaction) => {
+        const payout = await Payout.findByPk(claimed.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+        if (payout.status !== 'processing' || payout.reviewedAt.getTime() !== claimed.reviewedAt.getTime()) {
+            console.error(`Payout ${payout.id} was reviewed again while it was sent`);
+            return { status: 409, error: 'Payout was reviewed again while it was sent' };
+        }
+
+        await book(payout, transaction);
+        return { status: 200, payout };
+    });
+}
+
+/**
+ * Approves a pending payout and sends it with the payout provider. The payout
+ * is `processing` while it is sent; the held amount leaves the platform when
+ * the provider succeeds and is released back to the balance when it fails.
+ * The provider is called outside any database transaction. Approving a stuck
+ * payout sends it again with the same idempotency key, so the provider sends
+ * it at most once.
+ * Returns `{ status, error }` or `{ status: 200, payout }`.
+ */
+async function approvePayout(payoutId, reviewerId) {
+    const current = provider;
+    const claimed = await withTransaction(transaction => claim(payoutId, reviewerId, transaction, { status: 'processing', provider: current.name }));
+
+    if (claimed.error) {
+        return claimed;
+    }
+
+    let sent;
+    try {
+        sent = await current.send({ payout: claimed.payout });
+    } catch (error) {
+        return settle(claimed.payout, (payout, transaction) => release(payout, `Provider error: ${error.message}`, { transaction }));
+    }
+
+    return settle(claimed.payout, async (payout, transaction) => {
+        const { hold, external } = legs(payout);
+        await ledger.book({ debit: hold, credit: external, kind: 'payout', PayoutId: payout.id }, { transaction });
+        await payout.update({ status: 'approved', providerReference: sent.reference }, { transaction });
+    });
+}
+
+/**
+ * Rejects a pending or stuck payout and releases its held amount back to the
+ * balance. Reject a stuck payout only once the provider confirmed it did not
+ * send it.
+ * Returns `{ status, error }` or `{ status: 200, payout }`.
+ */
+function rejectPayout(payoutId, reviewerId, reason) {
+    return withTransaction(async (transaction) => {
+        const claimed = await claim(payoutId, reviewerId, transaction);
+
+        if (claimed.error) {
+            return claimed;
+        }
+
+        await release(claimed.payout, reason || 'Rejected by an admin', { transaction });
+        return { status: 200, payout: claimed.payout };
+    });
+}
+
+module.exports = { PROCESSING_TIMEOUT_MS, setPayoutProvider, getPayoutProvider, requestPayout, approvePayout, rejectPayout };
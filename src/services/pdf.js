@@ -0,0 +1,65 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Renders a document to a PDF and resolves with its bytes. The document is a
+ * `title`, `details` and `totals` as `[label, value]` lines around a table of
+ * `rows` under `columns` (`{ key, label, align }`). Only the fonts built into
+ * PDF are used, so nothing is fetched while rendering.
+ */
+function renderPdf({ title, details = [], columns = [], rows = [], totals = [] }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+        const lines = (pairs) => pairs.forEach(([label, value]) => {
+            doc.font('Helvetica-Bold').text(`${label}: `, left, doc.y, { continued: true });
+            doc.font('Helvetica').text(value === null || value === undefined ? '' : String(value));
+        });
+
+        // One table row; every cell starts at the same height and the row is as tall as its tallest cell
+        const row = (cells, font) => {
+            const columnWidth = width / columns.length;
+            doc.font(font);
+            const height = Math.max(...cells.map(text => doc.heightOfString(text, { width: columnWidth - 4 })));
+            if (doc.y + height > bottom()) {
+                doc.addPage();
+            }
+
+            const top = doc.y;
+            cells.forEach((text, index) => {
+                doc.text(text, left + index * columnWidth, top, { width: columnWidth - 4, align: columns[index].align || 'left' });
+            });
+            doc.y = top + height + 4;
+        };
+
+        doc.font('Helvetica-Bold').fontSize(18).text(title);
+        doc.moveDown();
+        doc.fontSize(10);
+        lines(details);
+
+        if (columns.length) {
+            doc.moveDown();
+            row(columns.map(column => column.label), 'Helvetica-Bold');
+            rows.forEach(values => row(columns.map(column => {
+                const value = values[column.key];
+                return value === null || value === undefined ? '' : String(value);
+            }), 'Helvetica'));
+        }
+
+        if (totals.length) {
+            doc.moveDown();
+            lines(totals);
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,154 @@
+const { Op, DECIMAL } = require('sequelize');
+const { sequelize, Profile, Credential, Contract, Job, Payout, RefreshToken } = require('../model');
+const auth = require('./auth');
+const currency = require('./currency');
+const { paginate } = require('./pagination');
+
+/**
+ * Creates a profile with a zero balance and the credential to sign in with.
+ * Must run inside withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 201, profile, credential }`.
+ */
+async function register({ username, password, firstName, lastName, profession, type, currency, country }, { transaction }) {
+    if (await Credential.findOne({ where: { username }, transaction })) {
+        return { status: 409, error: 'Username is already taken' };
+    }
+
+    const profile = await Profile.create({ firstName, lastName, profession, type, currency, country, balance: 0 }, { transaction });
+    const credential = await Credential.create({
+        username,
+        passwordHash: await auth.hashPassword(password),
+        ProfileId: profile.id
+    }, { transaction });
+
+    return { status: 201, profile, credential };
+}
+
+/**
+ * Deactivates a profile: it can no longer sign in, its tokens stop working
+ * and its refresh tokens are revoked. Refused while it has contracts that are
+ * not terminated or payouts pending. Must run inside withTransaction().
+ *
+ * Returns `{ status, error }` or `{ status: 200, profile }`.
+ */
+async function deactivate(profileId, { transaction }) {
+    const profile = await Profile.findByPk(profileId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const activeContracts = await Contract.count({
+        where: {
+            status: { [Op.ne]: 'terminated' },
+            [Op.or]: [{ ClientId: profile.id }, { ContractorId: profile.id }]
+        },
+        transaction
+    });
+    if (activeContracts) {
+        return { status: 409, error: 'Terminate every contract before deactivating the profile' };
+    }
+
+    if (await Payout.count({ where: { ProfileId: profile.id, status: { [Op.in]: ['pending', 'processing'] } }, transaction })) {
+        return { status: 409, error: 'Wait for pending payouts before deactivating the profile' };
+    }
+
+    await profile.update({ deactivatedAt: new Date() }, { transaction });
+
+    const credential = await Credential.findOne({ where: { ProfileId: profile.id }, transaction });
+    if (credential) {
+        await RefreshToken.update(
+            { revokedAt: new Date() },
+            { where: { CredentialId: credential.id, revokedAt: null }, transaction }
+        );
+    }
+
+    return { status: 200, profile };
+}
+
+// Where-clause operator matching values that contain `text`, ignoring case.
+// SQLite's LIKE already ignores case; Postgres needs ILIKE. The `%` and `_`
+// wildcards in `text` are matched as such.
+function contains(text) {
+    const pattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+    return {
+        [sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like]: sequelize.literal(`${sequelize.escape(pattern)} ESCAPE '\\'`)
+    };
+}
+
+// A column of the query, e.g. `Job.price`, quoted for the dialect
+const column = name => sequelize.getQueryInterface().quoteIdentifiers(name);
+
+// Subquery selecting `select` from the paid jobs of the contractor of the outer
+// query that match `condition`, counted like the admin reports: jobs with an
+// open dispute are left out
+const paidJobsOf = (select, condition = 'TRUE') => `(SELECT ${select} FROM ${column('Jobs')} AS ${column('Job')}
+    JOIN ${column('Contracts')} AS ${column('Contract')} ON ${column('Contract.id')} = ${column('Job.ContractId')}
+    WHERE ${column('Contract.ContractorId')} = ${column('Profile.id')} AND ${column('Job.paid')} = ${sequelize.escape(true)}
+    AND (${column('Job.disputeStatus')} IS NULL OR ${column('Job.disputeStatus')} <> 'open') AND ${condition})`;
+
+// What the contractor earned, less refunds, converted with `rates` (job
+// currency to rate) one job currency at a time, rounded to cents like
+// reports.totalsIn()
+function earningsIn(rates) {
+    const cents = Object.entries(rates).map(([jobCurrency, rate]) => `ROUND(COALESCE(${paidJobsOf(
+        `SUM(${column('Job.price')} - ${column('Job.refundedAmount')})`,
+        `${column('Job.currency')} = ${sequelize.escape(jobCurrency)}`
+    )}, 0) * ${sequelize.escape(rate)} * 100)`);
+
+    return sequelize.literal(`(${cents.join(' + ') || '0'}) / 100.0`);
+}
+
+/**
+ * One page of the active contractors matching `profession` and `name` (every
+ * word must appear in the first or last name, case-insensitively), with what
+ * they earned from paid jobs in `reportCurrency`, between `minEarnings` and
+ * `maxEarnings`. Filtering, sorting and paging happen in the database (see
+ * pagination.paginate()).
+ *
+ * Returns `{ page }`, with a null page when the cursor is invalid, or
+ * `{ missing }` naming a job currency without an exchange rate.
+ */
+async function searchContractors({ profession, name, minEarnings, maxEarnings, reportCurrency, limit, cursor, sort }) {
+    const paidCurrencies = await Job.findAll({ attributes: ['currency'], where: { paid: true }, group: ['currency'], raw: true });
+    const { rates, missing } = await currency.getRates(paidCurrencies.map(job => job.currency), reportCurrency);
+    if (missing) {
+        return { missing };
+    }
+
+    const earnings = earningsIn(rates);
+    const jobsPaid = sequelize.literal(paidJobsOf('COUNT(*)'));
+    const words = (name || '').split(/\s+/).filter(Boolean);
+
+    const page = await paginate(Profile, {
+        attributes: ['id', 'firstName', 'lastName', 'profession', [earnings, 'earnings'], [jobsPaid, 'jobsPaid']],
+        where: {
+            type: 'contractor',
+            deactivatedAt: null,
+            ...(profession && { profession: contains(profession) }),
+            [Op.and]: [
+                ...words.map(word => ({
+                    [Op.or]: [{ firstName: contains(word) }, { lastName: contains(word) }]
+                })),
+                ...(minEarnings !== undefined ? [sequelize.where(earnings, Op.gte, minEarnings)] : []),
+                ...(maxEarnings !== undefined ? [sequelize.where(earnings, Op.lte, maxEarnings)] : [])
+            ]
+        },
+        columns: { earnings: { expression: earnings, type: new DECIMAL() } },
+        limit,
+        cursor,
+        sort
+    });
+
+    return {
+        page: page && {
+            ...page,
+            data: page.data.map(contractor => ({
+                ...contractor.get(),
+                earnings: Number(contractor.get('earnings')),
+                jobsPaid: Number(contractor.get('jobsPaid')),
+                currency: reportCurrency
+            }))
+        }
+    };
+}
+
+module.exports = { register, deactivate, searchContractors };
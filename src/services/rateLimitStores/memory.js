@@ -0,0 +1,40 @@
+/**
+ * Rate-limit store that keeps the counters in this process, the default.
+ * Every instance of the API counts on its own; share a store (e.g. Redis)
+ * between instances to count across them. `now` is the clock, for tests.
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+    const windows = new Map();
+    let nextSweep = 0;
+
+    return {
+        name: 'memory',
+        async increment(key, windowMs) {
+            const time = now();
+
+            // Forget the windows that ended, so idle callers do not pile up
+            if (time >= nextSweep) {
+                windows.forEach((window, windowKey) => {
+                    if (window.resetAt <= time) {
+                        windows.delete(windowKey);
+                    }
+                });
+                nextSweep = time + windowMs;
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= time) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        async reset() {
+            windows.clear();
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
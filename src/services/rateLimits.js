@@ -0,0 +1,111 @@
+const { createMemoryStore } = require('./rateLimitStores/memory');
+
+/**
+ * Requests allowed per route class, as `<requests>/<seconds>` or `off`,
+ * counted per caller (the profile, or the admin login) and per IP:
+ *
+ * - `money`: routes that move money, e.g. paying jobs and deposits
+ * - `write`: the other routes that change data
+ * - `read`: the routes that only read
+ * - `admin`: the `/admin` routes, including the expensive reports
+ * - `auth`: logging in, signing up and refreshing tokens, by anonymous callers
+ */
+const DEFAULT_LIMITS = {
+    money: { caller: '30/60', ip: '120/60' },
+    write: { caller: '120/60', ip: '600/60' },
+    read: { caller: '300/60', ip: '1200/60' },
+    admin: { caller: '60/60', ip: '300/60' },
+    auth: { caller: 'off', ip: '20/60' }
+};
+
+const ROUTE_CLASSES = Object.keys(DEFAULT_LIMITS);
+
+/**
+ * Parses a limit like `30/60` into `{ max, windowMs }`, or null for `off`.
+ */
+function parseLimit(value, name) {
+    if (value === 'off') {
+        return null;
+    }
+
+    const match = /^(\d+)\/(\d+)$/.exec(value);
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error(`${name} must be <requests>/<seconds> or off, not ${value}`);
+    }
+
+    return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+/**
+ * The limits of every route class from the environment:
+ * `RATE_LIMIT_<CLASS>` per caller and `RATE_LIMIT_<CLASS>_IP` per IP, e.g.
+ * `RATE_LIMIT_MONEY=10/60` or `RATE_LIMIT_READ_IP=off`. Unset variables keep
+ * the defaults of DEFAULT_LIMITS.
+ */
+function limitsFrom(env = process.env) {
+    return Object.fromEntries(ROUTE_CLASSES.map(routeClass => {
+        const name = `RATE_LIMIT_${routeClass.toUpperCase()}`;
+        const defaults = DEFAULT_LIMITS[routeClass];
+
+        return [routeClass, {
+            caller: parseLimit(env[name] || defaults.caller, name),
+            ip: parseLimit(env[`${name}_IP`] || defaults.ip, `${name}_IP`)
+        }];
+    }));
+}
+
+const limits = limitsFrom();
+
+/**
+ * Where the counters are kept. A store is `{ name, increment(key, windowMs) }`
+ * where `increment` counts a request against `key` in the current window of
+ * `windowMs` and resolves to `{ count, resetAt }`, the requests counted so far
+ * and when the window ends (ms since the epoch). Defaults to the in-process
+ * memory store; swap it with setRateLimitStore().
+ */
+let store = createMemoryStore();
+
+const setRateLimitStore = (next) => {
+    store = next;
+};
+
+const getRateLimitStore = () => store;
+
+/**
+ * The counter closest to its limit of `a` and `b`, either of which may be
+ * null: one over its limit wins, or else the one with the fewest requests left.
+ */
+function closest(a, b) {
+    if (!a || !b) {
+        return a || b || null;
+    }
+    if (a.limited !== b.limited) {
+        return a.limited ? a : b;
+    }
+    return b.remaining < a.remaining ? b : a;
+}
+
+/**
+ * Counts a request of `routeClass` against the caller and the IP in `keys`
+ * (`{ caller, ip }`; a missing key is not counted). Returns null when nothing
+ * was counted, otherwise the counter closest to its limit:
+ * `{ limited, limit, remaining, resetAt }`, with `limited` set once the
+ * caller or the IP went over its limit.
+ */
+async function consume(routeClass, keys) {
+    let counted = null;
+
+    for (const scope of ['caller', 'ip']) {
+        const limit = limits[routeClass][scope];
+        if (!limit || !keys[scope]) {
+            continue;
+        }
+
+        const { count, resetAt } = await store.increment(`${routeClass}:${scope}:${keys[scope]}`, limit.windowMs);
+        counted = closest(counted, { limited: count > limit.max, limit: limit.max, remaining: Math.max(0, limit.max - count), resetAt });
+    }
+
+    return counted;
+}
+
+module.exports = { ROUTE_CLASSES, limitsFrom, setRateLimitStore, getRateLimitStore, closest, consume };
@@ -0,0 +1,249 @@
+const { Op } = require('sequelize');
+const { sequelize, Job, Contract, Profile } = require('../model');
+const { range } = require('./pagination');
+const ledger = require('./ledger');
+const currency = require('./currency');
+
+// A column of the query, e.g. `Job.price`, quoted for the dialect
+const column = name => sequelize.getQueryInterface().quoteIdentifiers(name);
+
+// Start of the day, week (Monday) or month a job was paid in, as YYYY-MM-DD or YYYY-MM, per dialect
+const PERIODS = {
+    day: {
+        sqlite: `strftime('%Y-%m-%d', ${column('Job.paymentDate')})`,
+        postgres: `to_char(${column('Job.paymentDate')}, 'YYYY-MM-DD')`
+    },
+    week: {
+        sqlite: `date(${column('Job.paymentDate')}, 'weekday 0', '-6 days')`,
+        postgres: `to_char(date_trunc('week', ${column('Job.paymentDate')}), 'YYYY-MM-DD')`
+    },
+    month: {
+        sqlite: `strftime('%Y-%m', ${column('Job.paymentDate')})`,
+        postgres: `to_char(${column('Job.paymentDate')}, 'YYYY-MM')`
+    }
+};
+
+// Columns a report can be broken down by, with the attributes that name each group
+const party = (as) => ({
+    attributes: [
+        [sequelize.col(`Contract.${as}Id`), `${as.toLowerCase()}Id`],
+        [sequelize.col(`Contract.${as}.firstName`), 'firstName'],
+        [sequelize.col(`Contract.${as}.lastName`), 'lastName']
+    ],
+    group: [`Contract.${as}Id`, `Contract.${as}.firstName`, `Contract.${as}.lastName`],
+    key: `${as.toLowerCase()}Id`
+});
+const BREAKDOWNS = {
+    profession: {
+        attributes: [[sequelize.col('Contract.Contractor.profession'), 'profession']],
+        group: ['Contract.Contractor.profession'],
+        key: 'profession'
+    },
+    client: party('Client'),
+    contractor: party('Contractor')
+};
+
+/**
+ * Sums the price of the jobs paid between `start` and `end` (by paymentDate,
+ * either end may be open), less dispute refunds, their fees and withheld tax,
+ * and counts them, grouped by `group` and by job
+ * currency. `attributes`, `group` and `where` may name columns of the job's
+ * Contract, Contract.Client and Contract.Contractor. Jobs with an open
+ * dispute are left out until it is resolved.
+ */
+function sumPaidJobs({ start, end, where = {} }, { attributes, group }) {
+    const paymentDate = range(start, end);
+
+    return Job.findAll({
+        attributes: [
+            ...attributes,
+            'currency',
+            [sequelize.fn('SUM', sequelize.literal(`${column('Job.price')} - ${column('Job.refundedAmount')}`)), 'total'],
+            [sequelize.fn('SUM', sequelize.col('feeAmount')), 'fees'],
+            [sequelize.fn('SUM', sequelize.col('withheldAmount')), 'withheld'],
+            [sequelize.fn('COUNT', sequelize.col('Job.id')), 'jobs']
+        ],
+        where: {
+            ...where,
+            paid: true,
+            disputeStatus: { [Op.or]: { [Op.is]: null, [Op.ne]: 'open' } },
+            ...(paymentDate && { paymentDate })
+        },
+        include: [{
+            model: Contract,
+            as: 'Contract',
+            attributes: [],
+            include: [
+                { model: Profile, as: 'Client', attributes: [] },
+                { model: Profile, as: 'Contractor', attributes: [] }
+            ]
+        }],
+        group: [...group, 'Job.currency'],
+        raw: true
+    });
+}
+
+/**
+ * Converts per-currency rows from sumPaidJobs() into `reportCurrency` and adds
+ * them up by the `keys` columns. Returns `{ totals }`, one row per key with
+ * its gross total in `cents`, its `feeCents`, `withheldCents` and number of
+ * `jobs`, or `{ missing }` naming a currency without an exchange rate.
+ */
+async function totalsIn(rows, keys, reportCurrency) {
+    const { rates, missing } = await currency.getRates(rows.map(row => row.currency), reportCurrency);
+    if (missing) {
+        return { missing };
+    }
+
+    const totals = new Map();
+    rows.forEach(row => {
+        const key = JSON.stringify(keys.map(name => row[name]));
+        const total = totals.get(key) || { ...row, cents: 0, feeCents: 0, withheldCents: 0, jobs: 0 };
+        const cents = (amount) => ledger.toCents(currency.convert(amount || 0, rates[row.currency]));
+        total.cents += cents(row.total);
+        total.feeCents += cents(row.fees);
+        total.withheldCents += cents(row.withheld);
+        total.jobs += Number(row.jobs);
+        totals.set(key, total);
+    });
+
+    return { totals: [...totals.values()] };
+}
+
+// Gross total, deductions, net total, job count and average job price of a row from totalsIn()
+const amounts = ({ cents, feeCents, withheldCents, jobs }) => ({
+    total: cents / 100,
+    fees: feeCents / 100,
+    withheld: withheldCents / 100,
+    net: (cents - feeCents - withheldCents) / 100,
+    jobs,
+    averagePrice: jobs ? Math.round(cents / jobs) / 100 : 0
+});
+
+/**
+ * The profession whose contractors earned the most from jobs paid in the
+ * range, in `reportCurrency`, before fees and withholding (`totalEarned`) and
+ * after (`netEarned`). Every profession tied for the top is returned.
+ * Returns `{ professions }` or `{ missing }`.
+ */
+async function bestProfessions({ start, end, reportCurrency }) {
+    const rows = await sumPaidJobs({ start, end }, BREAKDOWNS.profession);
+
+    const { totals, missing } = await totalsIn(rows, ['profession'], reportCurrency);
+    if (missing) {
+        return { missing };
+    }
+
+    const top = Math.max(...totals.map(total => total.cents));
+    const professions = totals
+        .filter(total => total.cents === top)
+        .sort((a, b) => a.profession.localeCompare(b.profession))
+        .map(total => ({
+            profession: total.profession,
+            totalEarned: total.cents / 100,
+            netEarned: (total.cents - total.feeCents - total.withheldCents) / 100,
+            currency: reportCurrency
+        }));
+
+    return { professions };
+}
+
+/**
+ * The `limit` clients who paid the most for jobs paid in the range, in
+ * `reportCurrency`. Clients who paid the same are ordered by id.
+ * Returns `{ clients }` or `{ missing }`.
+ */
+async function bestClients({ start, end, limit, reportCurrency }) {
+    const rows = await sumPaidJobs({ start, end }, BREAKDOWNS.client);
+
+    const { totals, missing } = await totalsIn(rows, ['clientId'], reportCurrency);
+    if (missing) {
+        return { missing };
+    }
+
+    const clients = totals
+        .sort((a, b) => b.cents - a.cents || a.clientId - b.clientId)
+        .slice(0, limit)
+        .map(total => ({
+            id: total.clientId,
+            fullName: `${total.firstName} ${total.lastName}`,
+            paid: total.cents / 100,
+            currency: reportCurrency
+        }));
+
+    return { clients };
+}
+
+/**
+ * Revenue from jobs paid in the range per `groupBy` period (day, week or
+ * month), optionally broken down `by` profession, client or contractor, in
+ * `reportCurrency`. `where` narrows the jobs (see sumPaidJobs()).
+ *
+ * Returns `{ missing }` or `{ data }`, one row per period (and group) in
+ * period order with its gross `total`, platform `fees`, `withheld` tax, `net`
+ * total, number of `jobs` and `averagePrice`.
+ */
+async function revenue({ start, end, groupBy, by, where, reportCurrency }) {
+    const period = sequelize.literal(PERIODS[groupBy][sequelize.getDialect()]);
+    const breakdown = BREAKDOWNS[by] || { attributes: [], group: [] };
+
+    const rows = await sumPaidJobs({ start, end, where }, {
+        attributes: [[period, 'period'], ...breakdown.attributes],
+        group: [period, ...breakdown.group]
+    });
+
+    const { totals, missing } = await totalsIn(rows, ['period', breakdown.key], reportCurrency);
+    if (missing) {
+        return { missing };
+    }
+
+    const data = totals
+        .sort((a, b) => a.period.localeCompare(b.period) || b.cents - a.cents)
+        .map(total => ({
+            period: total.period,
+            ...(by === 'profession' && { profession: total.profession }),
+            ...((by === 'client' || by === 'contractor') && {
+                [breakdown.key]: total[breakdown.key],
+                fullName: `${total.firstName} ${total.lastName}`
+            }),
+            ...amounts(total)
+        }));
+
+    return { data };
+}
+
+/**
+ * Earnings of a contractor, or spend of a client, from jobs paid in the range:
+ * overall and per `groupBy` period, in `reportCurrency`.
+ * Returns `{ missing }` or `{ summary }`.
+ */
+async function profileSummary(profile, { start, end, groupBy, reportCurrency }) {
+    const where = profile.type === 'client'
+        ? { '$Contract.ClientId$': profile.id }
+        : { '$Contract.ContractorId$': profile.id };
+
+    const { data, missing } = await revenue({ start, end, groupBy, where, reportCurrency });
+    if (missing) {
+        return { missing };
+    }
+
+    // Add up the periods in cents so the overall totals match them
+    const overall = data.reduce((sum, row) => ({
+        cents: sum.cents + ledger.toCents(row.total),
+        feeCents: sum.feeCents + ledger.toCents(row.fees),
+        withheldCents: sum.withheldCents + ledger.toCents(row.withheld),
+        jobs: sum.jobs + row.jobs
+    }), { cents: 0, feeCents: 0, withheldCents: 0, jobs: 0 });
+
+    return {
+        summary: {
+            profileId: profile.id,
+            type: profile.type,
+            currency: reportCurrency,
+            ...amounts(overall),
+            periods: data
+        }
+    };
+}
+
+module.exports = { PERIODS, BREAKDOWNS, sumPaidJobs, totalsIn, bestProfessions, bestClients, revenue, profileSummary };
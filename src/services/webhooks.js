@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { Op } = require('sequelize');
+const { OutboxEvent, WebhookSubscription, WebhookDelivery } = require('../model');
+const { withTransaction } = require('./db');
+
+// A delivery is tried this many times before it is marked failed
+const MAX_ATTEMPTS = 6;
+
+// Delay before the first retry, doubled after every failed attempt (30s, 1m, 2m, 4m, 8m)
+const RETRY_DELAY = 30 * 1000;
+
+// How long a receiver has to answer
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Events and deliveries handled per run, so one run stays short
+const BATCH_SIZE = 100;
+
+/**
+ * Creates a subscription for `events` (every event type when omitted) with a
+ * new signing secret.
+ */
+function subscribe({ url, events }) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    return WebhookSubscription.create({ url, events, secret });
+}
+
+/**
+ * Deactivates a subscription; its pending deliveries are not sent.
+ * Returns false when there is no such subscription.
+ */
+function unsubscribe(subscriptionId) {
+    return withTransaction(async (transaction) => {
+        const subscription = await WebhookSubscription.findByPk(subscriptionId, { transaction });
+        if (!subscription) {
+            return false;
+        }
+
+        await subscription.update({ active: false }, { transaction });
+        await WebhookDelivery.update(
+            { status: 'failed', nextAttemptAt: null, error: 'Subscription deactivated' },
+            { where: { WebhookSubscriptionId: subscription.id, status: 'pending' }, transaction }
+        );
+        return subscription;
+    });
+}
+
+// A subscription as shown by the API; the secret is only returned when the subscription is created
+const withoutSecret = (subscription) => {
+    const { secret, ...rest } = subscription.toJSON();
+    return rest;
+};
+
+/**
+ * Signature header value of a request body: `t=<unix seconds>,v1=<hex>`,
+ * where v1 is the HMAC-SHA256 of `<t>.<body>` keyed with the subscription secret.
+ */
+function sign(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Queues every event not dispatched yet for each active subscription that
+ * wants its type. Returns the number of events dispatched.
+ */
+function dispatchEvents({ now = new Date() } = {}) {
+    return withTransaction(async (transaction) => {
+        const events = await OutboxEvent.findAll({
+            where: { dispatchedAt: null },
+            order: [['id', 'ASC']],
+            limit: BATCH_SIZE,
+            transaction
+        });
+        if (!events.length) {
+            return 0;
+        }
+
+        const subscriptions = await WebhookSubscription.findAll({ where: { active: true }, transaction });
+        const deliveries = events.flatMap(event => subscriptions
+            .filter(subscription => subscription.events.includes(event.type))
+            .map(subscription => ({
+                OutboxEventId: event.id,
+                WebhookSubscriptionId: subscription.id,
+                nextAttemptAt: now
+            })));
+
+        await WebhookDelivery.bulkCreate(deliveries, { transaction });
+        await OutboxEvent.update(
+            { dispatchedAt: now },
+            { where: { id: events.map(event => event.id) }, transaction }
+        );
+        return events.length;
+    });
+}
+
+// POSTs `body` to `url` and resolves with the response status; rejects when no response arrives in time
+function post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+            timeout: REQUEST_TIMEOUT
+        }, (response) => {
+            // Drain the response; only its status matters
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Sends one delivery and records the outcome. Any 2xx response marks it
+ * delivered; otherwise it is retried later, until MAX_ATTEMPTS is reached.
+ */
+async function attempt(delivery, { now = new Date() } = {}) {
+    const event = delivery.OutboxEvent;
+    const subscription = delivery.WebhookSubscription;
+    const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.payload });
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    let responseStatus = null;
+    let error = null;
+    try {
+        responseStatus = await post(subscription.url, body, {
+            'X-Webhook-Id': String(delivery.id),
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Signature': sign(subscription.secret, body, timestamp)
+        });
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Receiver responded with ${responseStatus}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const changes = { attempts, lastAttemptAt: now, responseStatus, error };
+
+    if (!error) {
+        Object.assign(changes, { status: 'delivered', nextAttemptAt: null });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        Object.assign(changes, { status: 'failed', nextAttemptAt: null });
+    } else {
+        changes.nextAttemptAt = new Date(now.getTime() + RETRY_DELAY * 2 ** (attempts - 1));
+    }
+
+    await delivery.update(changes);
+    return delivery;
+}
+
+/**
+ * Sends the pending deliveries that are due, one at a time. Returns the number
+ * of deliveries attempted.
+ */
+async function deliverDue({ now = new Date() } = {}) {
+    const deliveries = await WebhookDelivery.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        include: [OutboxEvent, WebhookSubscription],
+        order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+        limit: BATCH_SIZE
+    });
+
+    for (const delivery of deliveries) {
+        await attempt(delivery, { now });
+    }
+
+    return deliveries.length;
+}
+
+/**
+ * Dispatches new events and sends the deliveries that are due.
+ */
+async function processOutbox({ now = new Date() } = {}) {
+    const dispatched = await dispatchEvents({ now });
+    const attempted = await deliverDue({ now });
+    return { dispatched, attempted };
+}
+
+/**
+ * Runs processOutbox() every `interval` milliseconds, never two runs at once.
+ * Returns a function that stops the worker.
+ */
+function startWebhookWorker({ interval = 5000 } = {}) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            await processOutbox();
+        } catch (error) {
+            console.error('Error processing webhooks:', error.message);
+        } finally {
+            running = false;
+        }
+    }, interval);
+    timer.unref();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    subscribe,
+    unsubscribe,
+    withoutSecret,
+    sign,
+    dispatchEvents,
+    deliverDue,
+    processOutbox,
+    startWebhookWorker
+};
@@ -0,0 +1,403 @@
+const http = require('http');
+const { request, app, resetDatabase, settle, closeDatabase, as } = require('./helpers');
+const payouts = require('../src/services/payouts');
+const { createFakeProvider } = require('../src/services/payoutProviders/fake');
+const webhooks = require('../src/services/webhooks');
+const { UniqueConstraintError } = require('sequelize');
+const { Payout, DepositLimit, FeeRule } = require('../src/model');
+
+let admin;
+
+beforeEach(async () => {
+    await resetDatabase();
+    admin = await as('admin');
+});
+afterAll(closeDatabase);
+
+describe('admin routes', () => {
+    test('require a token with the admin role', async () => {
+        const client = await as('user1');
+
+        expect((await request(app).get('/admin/ledger/reconcile')).status).toBe(401);
+        expect((await client.get('/admin/ledger/reconcile')).status).toBe(403);
+        expect((await client.put('/admin/deposit-limits').send({ type: 'fixed', value: 1 })).status).toBe(403);
+    });
+});
+
+describe('ledger', () => {
+    test('reconciles every balance with the ledger', async () => {
+        const res = await admin.get('/admin/ledger/reconcile');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ profilesChecked: 8, drifted: [] });
+    });
+
+    test('reports the platform accounts', async () => {
+        const res = await admin.get('/admin/ledger/platform');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([]);
+    });
+});
+
+describe('exchange rates', () => {
+    test('lists the newest rate of every pair', async () => {
+        expect((await admin.post('/admin/exchange-rates').send({ baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.1 })).status).toBe(201);
+
+        const res = await admin.get('/admin/exchange-rates');
+        expect(res.body.map(rate => [rate.baseCurrency, rate.quoteCurrency, rate.rate]).sort()).toEqual([
+            ['EUR', 'USD', 1.1],
+            ['GBP', 'USD', 1.27]
+        ]);
+    });
+
+    test('refuses a pair of one currency', async () => {
+        const res = await admin.post('/admin/exchange-rates').send({ baseCurrency: 'USD', quoteCurrency: 'USD', rate: 1 });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('deposit limits', () => {
+    test('are created, replaced and deleted', async () => {
+        const created = await admin.put('/admin/deposit-limits').send({ profileId: 1, type: 'fixed', value: 10 });
+        expect(created.status).toBe(201);
+
+        const replaced = await admin.put('/admin/deposit-limits').send({ profileId: 1, type: 'fixed', value: 20 });
+        expect(replaced.status).toBe(200);
+        expect(replaced.body).toMatchObject({ id: created.body.id, value: 20 });
+
+        const client = await as('user1');
+        expect((await client.post('/balances/deposit/1').send({ amount: 21 })).status).toBe(400);
+
+        expect((await admin.get('/admin/deposit-limits')).body).toHaveLength(2);
+        expect((await admin.delete(`/admin/deposit-limits/${created.body.id}`)).status).toBe(204);
+        expect((await admin.delete(`/admin/deposit-limits/${created.body.id}`)).status).toBe(404);
+    });
+
+    test('apply to clients only', async () => {
+        const res = await admin.put('/admin/deposit-limits').send({ profileId: 6, type: 'fixed', value: 10 });
+
+        expect(res.status).toBe(404);
+    });
+
+    test('keep one global rule per type', async () => {
+        const replaced = await admin.put('/admin/deposit-limits').send({ type: 'percentage', value: 30 });
+        expect(replaced.status).toBe(200);
+
+        await expect(DepositLimit.create({ type: 'percentage', value: 10 })).rejects.toThrow(UniqueConstraintError);
+        expect(await DepositLimit.count({ where: { ProfileId: null, type: 'percentage' } })).toBe(1);
+    });
+});
+
+describe('fee and withholding rules', () => {
+    test('fee rules are scoped globally, by profession or by contract', async () => {
+        expect((await admin.put('/admin/fee-rules').send({ type: 'percentage', percentage: 5 })).status).toBe(201);
+        expect((await admin.put('/admin/fee-rules').send({ profession: 'Programmer', type: 'flat', amount: 3, currency: 'USD' })).status).toBe(201);
+        const contractRule = await admin.put('/admin/fee-rules').send({
+            contractId: 2,
+            type: 'tiered',
+            currency: 'USD',
+            tiers: [{ upTo: 100, percentage: 10 }, { percentage: 1 }]
+        });
+        expect(contractRule.status).toBe(201);
+
+        expect((await admin.get('/admin/fee-rules')).body.map(rule => rule.type)).toEqual(['percentage', 'flat', 'tiered']);
+
+        // The contract's rule wins: 10% of 100 and 1% of the remaining 101
+        const client = await as('user1');
+        const paid = await client.post('/jobs/2/pay');
+        expect(paid.body.deductions).toEqual([{ type: 'fee', description: 'Platform fee (tiered)', amount: 11.01, currency: 'USD' }]);
+
+        expect((await admin.delete(`/admin/fee-rules/${contractRule.body.id}`)).status).toBe(204);
+        expect((await admin.delete(`/admin/fee-rules/${contractRule.body.id}`)).status).toBe(404);
+    });
+
+    test('fee rules keep one global rule and one rule per profession', async () => {
+        const global = await admin.put('/admin/fee-rules').send({ type: 'percentage', percentage: 5 });
+        const replaced = await admin.put('/admin/fee-rules').send({ type: 'flat', amount: 2, currency: 'USD' });
+        expect(replaced.status).toBe(200);
+        expect(replaced.body).toMatchObject({ id: global.body.id, type: 'flat', percentage: null });
+
+        await expect(FeeRule.create({ type: 'percentage', percentage: 1 })).rejects.toThrow(UniqueConstraintError);
+        await admin.put('/admin/fee-rules').send({ profession: 'Programmer', type: 'percentage', percentage: 1 });
+        await expect(FeeRule.create({ profession: 'Programmer', type: 'percentage', percentage: 2 })).rejects.toThrow(UniqueConstraintError);
+    });
+
+    test('fee rules are validated', async () => {
+        expect((await admin.put('/admin/fee-rules').send({ type: 'flat', amount: 3 })).status).toBe(400);
+        expect((await admin.put('/admin/fee-rules').send({ contractId: 2, profession: 'Programmer', type: 'percentage', percentage: 1 })).status).toBe(400);
+        expect((await admin.put('/admin/fee-rules').send({ type: 'tiered', currency: 'USD', tiers: [{ upTo: 100, percentage: 1 }] })).status).toBe(400);
+        expect((await admin.put('/admin/fee-rules').send({ contractId: 999, type: 'percentage', percentage: 1 })).status).toBe(404);
+    });
+
+    test('withholding rules are kept per country', async () => {
+        const created = await admin.put('/admin/withholding-rules').send({ country: 'FI', percentage: 10 });
+        expect(created.status).toBe(201);
+        expect((await admin.put('/admin/withholding-rules').send({ country: 'FI', percentage: 12 })).status).toBe(200);
+        expect((await admin.get('/admin/withholding-rules')).body.map(rule => [rule.country, rule.percentage])).toEqual([['FI', 12]]);
+
+        expect((await admin.delete(`/admin/withholding-rules/${created.body.id}`)).status).toBe(204);
+        expect((await admin.delete(`/admin/withholding-rules/${created.body.id}`)).status).toBe(404);
+    });
+});
+
+describe('payouts', () => {
+    let contractor;
+    let payout;
+
+    beforeEach(async () => {
+        contractor = await as('user6');
+        payout = (await contractor.post('/balances/withdraw').send({ amount: 100 })).body;
+    });
+
+    afterEach(() => payouts.setPayoutProvider(createFakeProvider()));
+
+    test('approving sends the payout out of the platform', async () => {
+        expect((await admin.get('/admin/payouts?status=pending')).body.data.map(item => item.id)).toEqual([payout.id]);
+
+        const res = await admin.post(`/admin/payouts/${payout.id}/approve`);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'approved', provider: 'fake' });
+        expect((await contractor.get('/balances')).body).toMatchObject({ balance: 1114, held: 0 });
+
+        expect((await admin.post(`/admin/payouts/${payout.id}/approve`)).status).toBe(409);
+    });
+
+    test('a provider failure releases the amount', async () => {
+        payouts.setPayoutProvider(createFakeProvider({ fail: () => 'Bank unavailable' }));
+
+        const res = await admin.post(`/admin/payouts/${payout.id}/approve`);
+        expect(res.body).toMatchObject({ status: 'failed', failureReason: 'Provider error: Bank unavailable' });
+        expect((await contractor.get('/balances')).body).toMatchObject({ balance: 1214, held: 0 });
+    });
+
+    test('rejecting releases the amount', async () => {
+        const res = await admin.post(`/admin/payouts/${payout.id}/reject`).send({ reason: 'Unverified account' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'failed', failureReason: 'Unverified account' });
+        expect((await contractor.get('/balances')).body.balance).toBe(1214);
+        expect((await admin.post('/admin/payouts/999/reject').send({})).status).toBe(404);
+    });
+
+    describe('stuck while processing', () => {
+        // The API stopped after claiming the payout, `minutes` ago
+        const strand = (minutes) => Payout.update(
+            { status: 'processing', reviewedAt: new Date(Date.now() - minutes * 60 * 1000) },
+            { where: { id: payout.id } }
+        );
+
+        test('are left alone while they may still be sent', async () => {
+            await strand(1);
+
+            expect((await admin.post(`/admin/payouts/${payout.id}/approve`)).status).toBe(409);
+            expect((await admin.post(`/admin/payouts/${payout.id}/reject`).send({})).status).toBe(409);
+        });
+
+        test('approving again sends them at most once', async () => {
+            const provider = createFakeProvider();
+            payouts.setPayoutProvider(provider);
+            // The provider had sent it before the API stopped
+            const { reference } = await provider.send({ payout: await Payout.findByPk(payout.id) });
+            await strand(10);
+
+            const res = await admin.post(`/admin/payouts/${payout.id}/approve`);
+            expect(res.body).toMatchObject({ status: 'approved', providerReference: reference });
+            expect(provider.sent).toHaveLength(1);
+            expect((await contractor.get('/balances')).body).toMatchObject({ balance: 1114, held: 0 });
+        });
+
+        test('rejecting releases the amount', async () => {
+            await strand(10);
+
+            const res = await admin.post(`/admin/payouts/${payout.id}/reject`).send({ reason: 'Not sent' });
+            expect(res.body).toMatchObject({ status: 'failed', failureReason: 'Not sent' });
+            expect((await contractor.get('/balances')).body).toMatchObject({ balance: 1214, held: 0 });
+        });
+    });
+});
+
+describe('audit log and events', () => {
+    test('mutating calls are audited with secrets redacted', async () => {
+        await request(app).post('/auth/login').send({ username: 'user1', password: 'password' });
+        await settle();
+
+        const res = await admin.get('/admin/audit?route=/auth/login&outcome=success&sort=-id');
+        expect(res.status).toBe(200);
+        expect(res.body.data[0]).toMatchObject({ method: 'POST', statusCode: 200, body: { username: 'user1', password: '[redacted]' } });
+    });
+
+    test('money movements are recorded as events', async () => {
+        const client = await as('user1');
+        await client.post('/jobs/2/pay');
+
+        const res = await admin.get('/admin/events?type=job.paid');
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(event => event.payload.jobId)).toEqual([2]);
+    });
+});
+
+describe('webhooks', () => {
+    test('are subscribed, listed without their secret and unsubscribed', async () => {
+        const created = await admin.post('/admin/webhooks').send({ url: 'https://example.com/hook', events: ['job.paid'] });
+        expect(created.status).toBe(201);
+        expect(created.body.secret).toEqual(expect.any(String));
+
+        const listed = await admin.get('/admin/webhooks');
+        expect(listed.body).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+
+        const deliveries = await admin.get(`/admin/webhooks/${created.body.id}/deliveries`);
+        expect(deliveries.status).toBe(200);
+
+        const deleted = await admin.delete(`/admin/webhooks/${created.body.id}`);
+        expect(deleted.status).toBe(200);
+        expect(deleted.body.active).toBe(false);
+
+        expect((await admin.delete('/admin/webhooks/999')).status).toBe(404);
+        expect((await admin.get('/admin/webhooks/999/deliveries')).status).toBe(404);
+    });
+
+    test('need an http(s) URL and known events', async () => {
+        expect((await admin.post('/admin/webhooks').send({ url: 'ftp://example.com' })).status).toBe(400);
+        expect((await admin.post('/admin/webhooks').send({ url: 'https://example.com', events: ['job.lost'] })).status).toBe(400);
+    });
+
+    describe('sent to a local receiver', () => {
+        let receiver;
+        let received;
+        let respondWith;
+        let subscription;
+
+        beforeAll(async () => {
+            receiver = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    received.push({ headers: req.headers, body });
+                    res.writeHead(respondWith).end();
+                });
+            });
+            await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        });
+        afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+        beforeEach(async () => {
+            received = [];
+            respondWith = 200;
+            const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+            subscription = (await admin.post('/admin/webhooks').send({ url, events: ['job.paid'] })).body;
+
+            const client = await as('user1');
+            await client.post('/jobs/2/pay');
+        });
+
+        const deliveries = async () => (await admin.get(`/admin/webhooks/${subscription.id}/deliveries`)).body.data;
+
+        test('are signed with the subscription secret', async () => {
+            await webhooks.processOutbox();
+
+            expect(received).toHaveLength(1);
+            const [{ headers, body }] = received;
+            const timestamp = /^t=(\d+),/.exec(headers['x-webhook-signature'])[1];
+            expect(headers['x-webhook-signature']).toBe(webhooks.sign(subscription.secret, body, timestamp));
+            expect(headers['x-webhook-event']).toBe('job.paid');
+            expect(JSON.parse(body)).toMatchObject({ type: 'job.paid', data: { jobId: 2 } });
+
+            expect(await deliveries()).toEqual([expect.objectContaining({ status: 'delivered', attempts: 1, responseStatus: 200, nextAttemptAt: null })]);
+        });
+
+        test('are retried with backoff until they fail', async () => {
+            respondWith = 500;
+            let now = new Date();
+            await webhooks.processOutbox({ now });
+
+            const [first] = await deliveries();
+            expect(first).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, error: 'Receiver responded with 500' });
+            expect(new Date(first.nextAttemptAt).getTime()).toBe(now.getTime() + 30 * 1000);
+
+            // Not due yet
+            expect(await webhooks.deliverDue({ now })).toBe(0);
+
+            for (let attempt = 2; attempt <= webhooks.MAX_ATTEMPTS; attempt++) {
+                const [delivery] = await deliveries();
+                const delay = new Date(delivery.nextAttemptAt).getTime() - now.getTime();
+                expect(delay).toBe(30 * 1000 * 2 ** (attempt - 2));
+
+                now = new Date(delivery.nextAttemptAt);
+                expect(await webhooks.deliverDue({ now })).toBe(1);
+            }
+
+            expect(received).toHaveLength(webhooks.MAX_ATTEMPTS);
+            expect(await deliveries()).toEqual([expect.objectContaining({ status: 'failed', attempts: webhooks.MAX_ATTEMPTS, nextAttemptAt: null })]);
+        });
+    });
+});
+
+describe('GET /admin/best-profession', () => {
+    test('returns the profession that earned the most in the range', async () => {
+        const res = await admin.get('/admin/best-profession?start=2020-08-01&end=2020-08-31');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([{ profession: 'Programmer', totalEarned: 2683, netEarned: 2683, currency: 'USD' }]);
+    });
+
+    test('includes the whole end day and leaves out jobs paid outside the range', async () => {
+        const res = await admin.get('/admin/best-profession?start=2020-08-10&end=2020-08-10');
+
+        expect(res.body).toEqual([{ profession: 'Musician', totalEarned: 21, netEarned: 21, currency: 'USD' }]);
+        expect((await admin.get('/admin/best-profession?start=2021-01-01&end=2021-12-31')).body).toEqual([]);
+    });
+
+    test('requires both dates, in order', async () => {
+        expect((await admin.get('/admin/best-profession?start=2020-08-01')).status).toBe(400);
+        expect((await admin.get('/admin/best-profession?start=2020-08-31&end=2020-08-01')).status).toBe(400);
+        expect((await admin.get('/admin/best-profession?start=yesterday&end=2020-08-01')).status).toBe(400);
+    });
+
+    test('downloads as CSV', async () => {
+        const res = await admin.get('/admin/best-profession?start=2020-08-01&end=2020-08-31&format=csv');
+
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.text).toBe('Profession,Total earned,Net earned,Currency\r\nProgrammer,2683,2683,USD\r\n');
+    });
+});
+
+describe('GET /admin/best-clients', () => {
+    test('returns two clients by default, the biggest payer first', async () => {
+        const res = await admin.get('/admin/best-clients?start=2020-08-01&end=2020-08-31');
+
+        expect(res.status).toBe(200);
+        expect(res.body.map(client => [client.id, client.paid])).toEqual([[4, 2020], [1, 442]]);
+    });
+
+    test('honours the limit and the date range', async () => {
+        const res = await admin.get('/admin/best-clients?start=2020-08-15&end=2020-08-15&limit=5');
+
+        expect(res.body.map(client => [client.id, client.paid])).toEqual([[4, 2020], [1, 221], [2, 121]]);
+    });
+
+    test('rejects a limit below one', async () => {
+        expect((await admin.get('/admin/best-clients?start=2020-08-01&end=2020-08-31&limit=0')).status).toBe(400);
+    });
+});
+
+describe('GET /admin/reports/revenue', () => {
+    test('sums the paid jobs per day of the range', async () => {
+        const res = await admin.get('/admin/reports/revenue?start=2020-08-14&end=2020-08-15&groupBy=day');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(row => [row.period, row.total, row.jobs])).toEqual([['2020-08-14', 121, 1], ['2020-08-15', 2362, 4]]);
+    });
+
+    test('breaks the periods down by client', async () => {
+        const res = await admin.get('/admin/reports/revenue?start=2020-08-01&end=2020-08-31&by=client');
+
+        expect(res.body).toMatchObject({ groupBy: 'month', by: 'client', currency: 'USD' });
+        expect(res.body.data.map(row => [row.clientId, row.total])).toEqual([[4, 2020], [1, 442], [2, 442], [3, 200]]);
+    });
+
+    test('needs an exchange rate into the report currency', async () => {
+        expect((await admin.get('/admin/reports/revenue?currency=JPY')).status).toBe(409);
+    });
+});
@@ -0,0 +1,150 @@
+const { request, app, resetDatabase, closeDatabase, as } = require('./helpers');
+const { Profile, Credential } = require('../src/model');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+const registration = {
+    username: 'ada',
+    password: 'correct horse',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    profession: 'Programmer',
+    type: 'contractor',
+    country: 'GB'
+};
+
+describe('POST /auth/login', () => {
+    test('returns an access and a refresh token', async () => {
+        const res = await request(app).post('/auth/login').send({ username: 'user1', password: 'password' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual(expect.objectContaining({
+            accessToken: expect.any(String),
+            refreshToken: expect.any(String)
+        }));
+    });
+
+    test('refuses a wrong password or an unknown user alike', async () => {
+        const wrongPassword = await request(app).post('/auth/login').send({ username: 'user1', password: 'nope' });
+        const unknownUser = await request(app).post('/auth/login').send({ username: 'nobody', password: 'password' });
+
+        expect(wrongPassword.status).toBe(401);
+        expect(unknownUser.status).toBe(401);
+        expect(unknownUser.body).toEqual(wrongPassword.body);
+    });
+
+    test('validates the body', async () => {
+        const res = await request(app).post('/auth/login').send({ username: 'user1' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('password');
+    });
+
+    test('rejects malformed JSON', async () => {
+        const res = await request(app).post('/auth/login').set('Content-Type', 'application/json').send('{"username":');
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].message).toBe('must be valid JSON');
+    });
+});
+
+describe('POST /auth/refresh', () => {
+    test('exchanges a refresh token once', async () => {
+        const { body: tokens } = await request(app).post('/auth/login').send({ username: 'user1', password: 'password' });
+
+        const refreshed = await request(app).post('/auth/refresh').send({ refreshToken: tokens.refreshToken });
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.refreshToken).not.toBe(tokens.refreshToken);
+
+        const reused = await request(app).post('/auth/refresh').send({ refreshToken: tokens.refreshToken });
+        expect(reused.status).toBe(401);
+    });
+
+    test('refuses an access token', async () => {
+        const { body: tokens } = await request(app).post('/auth/login').send({ username: 'user1', password: 'password' });
+        const res = await request(app).post('/auth/refresh').send({ refreshToken: tokens.accessToken });
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('POST /auth/register', () => {
+    test('creates a profile with an empty balance and signs it in', async () => {
+        const res = await request(app).post('/auth/register').send(registration);
+
+        expect(res.status).toBe(201);
+        expect(res.body.profile).toMatchObject({ firstName: 'Ada', type: 'contractor', balance: 0, currency: 'USD', country: 'GB' });
+        expect(res.body.accessToken).toEqual(expect.any(String));
+
+        const me = await request(app).get('/profiles/me').set('Authorization', `Bearer ${res.body.accessToken}`);
+        expect(me.body.id).toBe(res.body.profile.id);
+
+        const login = await request(app).post('/auth/login').send({ username: 'ada', password: 'correct horse' });
+        expect(login.status).toBe(200);
+    });
+
+    test('refuses a username that is taken', async () => {
+        const res = await request(app).post('/auth/register').send({ ...registration, username: 'user1' });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('refuses a username taken by a concurrent registration', async () => {
+        // The other registration commits between the check and the insert
+        jest.spyOn(Credential, 'findOne').mockResolvedValueOnce(null);
+        const profiles = await Profile.count();
+        const res = await request(app).post('/auth/register').send({ ...registration, username: 'user1' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Username is already taken');
+        expect(await Profile.count()).toBe(profiles);
+    });
+
+    test('requires a password of at least 8 characters', async () => {
+        const res = await request(app).post('/auth/register').send({ ...registration, password: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('password');
+    });
+});
+
+describe('deactivated profiles', () => {
+    test('can no longer sign in, use their tokens or refresh them', async () => {
+        const { body } = await request(app).post('/auth/register').send(registration);
+        const bearer = `Bearer ${body.accessToken}`;
+
+        const res = await request(app).post('/profiles/me/deactivate').set('Authorization', bearer);
+        expect(res.status).toBe(200);
+        expect(res.body.deactivatedAt).not.toBeNull();
+
+        expect((await request(app).get('/profiles/me').set('Authorization', bearer)).status).toBe(403);
+        expect((await request(app).post('/auth/login').send({ username: 'ada', password: 'correct horse' })).status).toBe(403);
+        expect((await request(app).post('/auth/refresh').send({ refreshToken: body.refreshToken })).status).toBe(401);
+    });
+
+    test('deactivation is refused while contracts are not terminated', async () => {
+        const client = await as('user1');
+        const res = await client.post('/profiles/me/deactivate');
+
+        expect(res.status).toBe(409);
+    });
+
+    test('deactivated contractors cannot get new contracts', async () => {
+        const { body } = await request(app).post('/auth/register').send(registration);
+        await request(app).post('/profiles/me/deactivate').set('Authorization', `Bearer ${body.accessToken}`);
+
+        const client = await as('user1');
+        const res = await client.post('/contracts').send({ contractorId: body.profile.id, terms: 'Work' });
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('unknown routes', () => {
+    test('answer with the API\'s error format', async () => {
+        const res = await request(app).get('/nowhere');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ error: 'Route not found' });
+    });
+});
@@ -0,0 +1,132 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+const { DepositLimit } = require('../src/model');
+const { parseCeiling } = require('../src/services/deposits');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+describe('POST /balances/deposit/:userId', () => {
+    test('credits the client\'s balance', async () => {
+        const client = await as('user1');
+        const res = await client.post('/balances/deposit/1').send({ amount: 50 });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ message: 'Deposit successful', deposit: { amount: 50, currency: 'USD', ProfileId: 1 } });
+        expect((await client.get('/balances')).body.balance).toBe(1200);
+    });
+
+    test('caps a deposit at 25% of the client\'s unpaid jobs', async () => {
+        // Client 1 owes 201 for job 2, so it may deposit up to 50.25
+        const client = await as('user1');
+
+        const over = await client.post('/balances/deposit/1').send({ amount: 50.26 });
+        expect(over.status).toBe(400);
+        expect(over.body).toEqual({
+            error: 'Deposit amount exceeds maximum allowed',
+            limits: [{ type: 'percentage', value: 25, scope: 'global', maximum: 50.25 }]
+        });
+
+        const atCap = await client.post('/balances/deposit/1').send({ amount: 50.25 });
+        expect(atCap.status).toBe(200);
+    });
+
+    test('caps a deposit at the built-in ceiling without unpaid jobs', async () => {
+        const client = await as('user3');
+
+        expect((await client.post('/balances/deposit/3').send({ amount: 10000 })).status).toBe(200);
+
+        const res = await client.post('/balances/deposit/3').send({ amount: 10000.01 });
+        expect(res.status).toBe(400);
+        expect(res.body.limits).toEqual([{ type: 'ceiling', value: 10000, scope: 'global', maximum: 10000 }]);
+    });
+
+    test('applies the ceiling alongside rules that allow more', async () => {
+        await DepositLimit.create({ ProfileId: 3, type: 'fixed', value: 20000 });
+        const client = await as('user3');
+
+        const res = await client.post('/balances/deposit/3').send({ amount: 15000 });
+        expect(res.status).toBe(400);
+        expect(res.body.limits).toEqual([{ type: 'ceiling', value: 10000, scope: 'global', maximum: 10000 }]);
+    });
+
+    test('reads the ceiling from DEPOSIT_CEILING', () => {
+        expect(parseCeiling(undefined)).toBe(10000);
+        expect(parseCeiling('0')).toBe(0);
+        expect(parseCeiling('2500.50')).toBe(2500.5);
+        expect(() => parseCeiling('-1')).toThrow('DEPOSIT_CEILING');
+        expect(() => parseCeiling('ten')).toThrow('DEPOSIT_CEILING');
+        expect(() => parseCeiling('1.234')).toThrow('DEPOSIT_CEILING');
+    });
+
+    test('applies the daily limit across deposits', async () => {
+        await DepositLimit.create({ ProfileId: 3, type: 'daily', value: 100 });
+        const client = await as('user3');
+
+        expect((await client.post('/balances/deposit/3').send({ amount: 60 })).status).toBe(200);
+
+        const res = await client.post('/balances/deposit/3').send({ amount: 50 });
+        expect(res.status).toBe(400);
+        expect(res.body.limits).toEqual([{ type: 'daily', value: 100, scope: 'client', maximum: 40 }]);
+    });
+
+    test('only lets a client deposit into its own balance', async () => {
+        const client = await as('user1');
+        const contractor = await as('user6');
+
+        expect((await client.post('/balances/deposit/2').send({ amount: 10 })).status).toBe(403);
+        expect((await contractor.post('/balances/deposit/6').send({ amount: 10 })).status).toBe(403);
+    });
+
+    test('rejects amounts that are not positive', async () => {
+        const client = await as('user1');
+
+        expect((await client.post('/balances/deposit/1').send({ amount: 0 })).status).toBe(400);
+        expect((await client.post('/balances/deposit/1').send({ amount: -5 })).status).toBe(400);
+        expect((await client.post('/balances/deposit/1').send({})).status).toBe(400);
+        // More than a DECIMAL(12,2) column holds
+        expect((await client.post('/balances/deposit/1').send({ amount: 123456789012345.67 })).status).toBe(400);
+    });
+});
+
+describe('GET /balances/deposits', () => {
+    test('lists the profile\'s own deposits', async () => {
+        const client = await as('user3');
+        await client.post('/balances/deposit/3').send({ amount: 10 });
+        await client.post('/balances/deposit/3').send({ amount: 20 });
+
+        const res = await client.get('/balances/deposits?sort=-amount');
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(deposit => deposit.amount)).toEqual([20, 10]);
+
+        const other = await as('user1');
+        expect((await other.get('/balances/deposits')).body.data).toEqual([]);
+    });
+});
+
+describe('withdrawals', () => {
+    test('a contractor withdraws into a pending payout, holding the amount', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.post('/balances/withdraw').send({ amount: 100 });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ amount: 100, currency: 'USD', status: 'pending' });
+        expect((await contractor.get('/balances')).body).toEqual({ balance: 1114, held: 100, escrowed: 0, debt: 0, currency: 'USD' });
+
+        const payouts = await contractor.get('/balances/payouts?status=pending');
+        expect(payouts.body.data.map(payout => payout.id)).toEqual([res.body.id]);
+    });
+
+    test('refuses withdrawing more than the balance', async () => {
+        const contractor = await as('user7');
+        const res = await contractor.post('/balances/withdraw').send({ amount: 22.01 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Insufficient balance');
+    });
+
+    test('refuses clients', async () => {
+        const client = await as('user1');
+
+        expect((await client.post('/balances/withdraw').send({ amount: 1 })).status).toBe(403);
+    });
+});
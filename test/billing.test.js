@@ -0,0 +1,116 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+const { runBilling, createDueJobs, collectAutoPayments } = require('../src/services/billing');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+const weekly = {
+    type: 'recurring',
+    description: 'Retainer',
+    amount: 50,
+    interval: 'week',
+    startsAt: '2026-01-01T00:00:00.000Z',
+    endsAt: '2026-01-15T00:00:00.000Z',
+    autoPay: true
+};
+
+describe('POST /contracts/:id/billing-schedules', () => {
+    test('the client adds a recurring schedule', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts/2/billing-schedules').send(weekly);
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ type: 'recurring', amount: 50, interval: 'week', active: true, autoPay: true, ContractId: 2 });
+    });
+
+    test('the client adds a milestone schedule', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts/2/billing-schedules').send({
+            type: 'milestone',
+            description: 'Launch',
+            milestones: [
+                { description: 'Beta', amount: 100, dueDate: '2026-03-01' },
+                { description: 'Design', amount: 50, dueDate: '2026-02-01' }
+            ]
+        });
+
+        expect(res.status).toBe(201);
+        expect(res.body.Milestones.map(milestone => milestone.description)).toEqual(['Design', 'Beta']);
+    });
+
+    test('requires what each type of schedule needs', async () => {
+        const client = await as('user1');
+
+        expect((await client.post('/contracts/2/billing-schedules').send({ type: 'recurring', description: 'x', amount: 5 })).status).toBe(400);
+        expect((await client.post('/contracts/2/billing-schedules').send({ type: 'milestone', description: 'x' })).status).toBe(400);
+        expect((await client.post('/contracts/2/billing-schedules').send({ ...weekly, endsAt: weekly.startsAt })).status).toBe(400);
+    });
+
+    test('only the client of a contract not terminated adds a schedule', async () => {
+        const client = await as('user1');
+        const contractor = await as('user6');
+
+        expect((await contractor.post('/contracts/2/billing-schedules').send(weekly)).status).toBe(403);
+        expect((await client.post('/contracts/1/billing-schedules').send(weekly)).status).toBe(409);
+        expect((await client.post('/contracts/999/billing-schedules').send(weekly)).status).toBe(404);
+    });
+});
+
+describe('billing runs', () => {
+    test('create the due jobs and pay them automatically', async () => {
+        const client = await as('user1');
+        const contractor = await as('user6');
+        const { body: schedule } = await client.post('/contracts/2/billing-schedules').send(weekly);
+
+        await runBilling({ now: new Date('2026-01-20T00:00:00.000Z') });
+
+        const listed = await contractor.get('/contracts/2/billing-schedules');
+        expect(listed.status).toBe(200);
+        expect(listed.body[0]).toMatchObject({ id: schedule.id, periodsBilled: 2, active: false });
+
+        const autoPayments = await client.get(`/billing-schedules/${schedule.id}/auto-payments?status=paid`);
+        expect(autoPayments.status).toBe(200);
+        expect(autoPayments.body.data).toHaveLength(2);
+        expect((await client.get('/balances')).body.balance).toBe(1050);
+    });
+
+    test('do not pay the jobs of a contract terminated since they were billed', async () => {
+        const client = await as('user1');
+        const { body: schedule } = await client.post('/contracts/2/billing-schedules').send(weekly);
+        const now = new Date('2026-01-20T00:00:00.000Z');
+
+        await createDueJobs({ now });
+        expect((await client.post('/contracts/2/terminate')).status).toBe(200);
+        await collectAutoPayments({ now });
+
+        const autoPayments = await client.get(`/billing-schedules/${schedule.id}/auto-payments?status=failed`);
+        expect(autoPayments.body.data).toHaveLength(2);
+        expect(autoPayments.body.data[0].error).toBe('Only jobs of contracts in progress can be paid');
+        expect((await client.get('/balances')).body.balance).toBe(1150);
+    });
+});
+
+describe('DELETE /billing-schedules/:id', () => {
+    test('the client stops an active schedule once', async () => {
+        const client = await as('user1');
+        const { body: schedule } = await client.post('/contracts/2/billing-schedules').send(weekly);
+
+        const res = await client.delete(`/billing-schedules/${schedule.id}`);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ id: schedule.id, active: false, nextRunAt: null });
+
+        expect((await client.delete(`/billing-schedules/${schedule.id}`)).status).toBe(409);
+    });
+
+    test('refuses the contractor and other profiles', async () => {
+        const client = await as('user1');
+        const contractor = await as('user6');
+        const other = await as('user2');
+        const { body: schedule } = await client.post('/contracts/2/billing-schedules').send(weekly);
+
+        expect((await contractor.delete(`/billing-schedules/${schedule.id}`)).status).toBe(403);
+        expect((await other.get(`/billing-schedules/${schedule.id}/auto-payments`)).status).toBe(403);
+        expect((await other.get('/contracts/2/billing-schedules')).status).toBe(403);
+        expect((await client.delete('/billing-schedules/999')).status).toBe(404);
+    });
+});
@@ -0,0 +1,179 @@
+const { request, app, resetDatabase, closeDatabase, as } = require('./helpers');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+describe('GET /contracts/:id', () => {
+    test('returns the contract to its client', async () => {
+        const client = await as('user1');
+        const res = await client.get('/contracts/1');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ id: 1, ClientId: 1, ContractorId: 5 });
+    });
+
+    test('returns the contract to its contractor', async () => {
+        const contractor = await as('user5');
+        const res = await contractor.get('/contracts/1');
+
+        expect(res.status).toBe(200);
+        expect(res.body.id).toBe(1);
+    });
+
+    test('refuses a profile that is not a party of the contract', async () => {
+        const other = await as('user2');
+        const res = await other.get('/contracts/1');
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toMatch(/does not belong/);
+    });
+
+    test('returns 404 for an unknown contract', async () => {
+        const client = await as('user1');
+        const res = await client.get('/contracts/999');
+
+        expect(res.status).toBe(404);
+    });
+
+    test('rejects an id that is not a positive integer', async () => {
+        const client = await as('user1');
+        const res = await client.get('/contracts/abc');
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0]).toMatchObject({ in: 'params', field: 'id' });
+    });
+
+    test('requires a bearer token', async () => {
+        const res = await request(app).get('/contracts/1');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects an invalid token', async () => {
+        const res = await request(app).get('/contracts/1').set('Authorization', 'Bearer not-a-token');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('refuses the admin account, which has no profile', async () => {
+        const admin = await as('admin');
+        const res = await admin.get('/contracts/1');
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /contracts', () => {
+    test('lists the non-terminated contracts of the profile', async () => {
+        const client = await as('user1');
+        const res = await client.get('/contracts');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(contract => contract.id)).toEqual([2]);
+        expect(res.body.page).toMatchObject({ totalCount: 1, nextCursor: null });
+    });
+
+    test('lists terminated contracts when asked for by status', async () => {
+        const client = await as('user1');
+        const res = await client.get('/contracts?status=terminated');
+
+        expect(res.body.data.map(contract => contract.id)).toEqual([1]);
+    });
+
+    test('pages through the contracts with a cursor', async () => {
+        const contractor = await as('user6');
+        const first = await contractor.get('/contracts?limit=2');
+
+        expect(first.body.data.map(contract => contract.id)).toEqual([2, 3]);
+        expect(first.body.page.totalCount).toBe(3);
+
+        const second = await contractor.get(`/contracts?limit=2&cursor=${first.body.page.nextCursor}`);
+        expect(second.body.data.map(contract => contract.id)).toEqual([8]);
+        expect(second.body.page.nextCursor).toBeNull();
+    });
+
+    test('rejects a malformed cursor', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.get('/contracts?cursor=nonsense');
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('cursor');
+    });
+});
+
+describe('POST /contracts', () => {
+    test('lets a client propose a contract in the contractor\'s currency', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts').send({ contractorId: 7, terms: 'Build a thing' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ status: 'new', ClientId: 1, ContractorId: 7, currency: 'USD' });
+    });
+
+    test('refuses contractors', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.post('/contracts').send({ contractorId: 7, terms: 'Build a thing' });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('returns 404 when the other party is not a contractor', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts').send({ contractorId: 2, terms: 'Build a thing' });
+
+        expect(res.status).toBe(404);
+    });
+
+    test('validates the body', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts').send({ contractorId: 7 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Validation failed');
+    });
+});
+
+describe('contract status changes', () => {
+    test('the contractor accepts a new contract and either party terminates it', async () => {
+        const client = await as('user3');
+        const contractor = await as('user8');
+
+        const accepted = await contractor.post('/contracts/5/accept');
+        expect(accepted.status).toBe(200);
+        expect(accepted.body.status).toBe('in_progress');
+
+        const terminated = await client.post('/contracts/5/terminate');
+        expect(terminated.status).toBe(200);
+        expect(terminated.body.status).toBe('terminated');
+
+        const history = await client.get('/contracts/5/history');
+        expect(history.status).toBe(200);
+        expect(history.body.data.map(change => [change.fromStatus, change.toStatus])).toEqual([
+            ['new', 'in_progress'],
+            ['in_progress', 'terminated']
+        ]);
+    });
+
+    test('only the contractor can accept', async () => {
+        const client = await as('user3');
+        const res = await client.post('/contracts/5/accept');
+
+        expect(res.status).toBe(403);
+    });
+
+    test('refuses transitions the state machine does not allow', async () => {
+        const contractor = await as('user5');
+        const res = await contractor.post('/contracts/1/accept');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Cannot change contract status from terminated to in_progress');
+    });
+
+    test('only the parties can terminate or read the history', async () => {
+        const other = await as('user2');
+
+        expect((await other.post('/contracts/5/terminate')).status).toBe(403);
+        expect((await other.get('/contracts/5/history')).status).toBe(403);
+        expect((await other.get('/contracts/999/history')).status).toBe(404);
+    });
+});
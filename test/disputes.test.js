@@ -0,0 +1,180 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+const { Job, FeeRule, WithholdingRule } = require('../src/model');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+// Client 1 disputes job 7, paid 200 to contractor 6 under contract 2
+async function openDispute() {
+    const client = await as('user1');
+    const res = await client.post('/jobs/7/disputes').send({ reason: 'Not delivered' });
+    return { client, dispute: res.body, res };
+}
+
+describe('opening disputes', () => {
+    test('the client disputes a paid job', async () => {
+        const { res } = await openDispute();
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ JobId: 7, reason: 'Not delivered', status: 'open' });
+    });
+
+    test('a job is disputed once', async () => {
+        const { client } = await openDispute();
+        const res = await client.post('/jobs/7/disputes').send({ reason: 'Again' });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('refuses unpaid jobs, contractors and unknown jobs', async () => {
+        const client = await as('user1');
+        const contractor = await as('user6');
+
+        expect((await client.post('/jobs/2/disputes').send({ reason: 'Slow' })).status).toBe(409);
+        expect((await contractor.post('/jobs/7/disputes').send({ reason: 'Slow' })).status).toBe(403);
+        expect((await client.post('/jobs/999/disputes').send({ reason: 'Slow' })).status).toBe(404);
+        expect((await client.post('/jobs/7/disputes').send({})).status).toBe(400);
+    });
+});
+
+describe('reading disputes', () => {
+    test('both parties read the dispute, others do not', async () => {
+        const { client, dispute } = await openDispute();
+        const contractor = await as('user6');
+        const other = await as('user2');
+
+        expect((await client.get(`/disputes/${dispute.id}`)).status).toBe(200);
+        expect((await contractor.get('/disputes')).body.data.map(item => item.id)).toEqual([dispute.id]);
+        expect((await other.get(`/disputes/${dispute.id}`)).status).toBe(403);
+        expect((await other.get('/disputes')).body.data).toEqual([]);
+        expect((await client.get('/disputes/999')).status).toBe(404);
+    });
+
+    test('filters by status', async () => {
+        const { client } = await openDispute();
+
+        expect((await client.get('/disputes?status=resolved')).body.data).toEqual([]);
+        expect((await client.get('/disputes?status=open')).body.data).toHaveLength(1);
+    });
+});
+
+describe('POST /disputes/:id/respond', () => {
+    test('the contractor responds once', async () => {
+        const { dispute } = await openDispute();
+        const contractor = await as('user6');
+
+        const res = await contractor.post(`/disputes/${dispute.id}/respond`).send({ response: 'It was delivered' });
+        expect(res.status).toBe(200);
+        expect(res.body.response).toBe('It was delivered');
+        expect(res.body.respondedAt).not.toBeNull();
+
+        expect((await contractor.post(`/disputes/${dispute.id}/respond`).send({ response: 'Again' })).status).toBe(409);
+    });
+
+    test('only the contractor responds', async () => {
+        const { client, dispute } = await openDispute();
+
+        expect((await client.post(`/disputes/${dispute.id}/respond`).send({ response: 'Me' })).status).toBe(403);
+    });
+});
+
+describe('POST /admin/disputes/:id/resolve', () => {
+    test('a partial refund moves money back from the contractor to the client', async () => {
+        const { client, dispute } = await openDispute();
+        const contractor = await as('user6');
+        const admin = await as('admin');
+
+        const res = await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'partial', amount: 50, note: 'Half done' });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'resolved', resolution: 'partial_refund', refundAmount: 50, resolutionNote: 'Half done' });
+
+        expect((await client.get('/balances')).body.balance).toBe(1200);
+        expect((await contractor.get('/balances')).body.balance).toBe(1164);
+    });
+
+    test('a full refund may leave the contractor in debt', async () => {
+        const client = await as('user2');
+        const { body: dispute } = await client.post('/jobs/8/disputes').send({ reason: 'Broken' });
+        const contractor = await as('user6');
+        await contractor.post('/balances/withdraw').send({ amount: 1200 });
+        const admin = await as('admin');
+
+        const res = await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'full' });
+        expect(res.status).toBe(200);
+        expect((await contractor.get('/balances')).body).toMatchObject({ balance: -186, debt: 186 });
+    });
+
+    test('a refund returns the platform fee and withheld tax in proportion', async () => {
+        // Job 2 pays contractor 6 the price of 201 less a fee of 20.10 and tax of 10.05
+        await FeeRule.create({ type: 'percentage', percentage: 10 });
+        await WithholdingRule.create({ country: 'FI', percentage: 5 });
+        const client = await as('user1');
+        const contractor = await as('user6');
+        const admin = await as('admin');
+        await client.post('/jobs/2/pay');
+        const platform = async () => (await admin.get('/admin/ledger/platform')).body.map(account => account.balance);
+
+        const { body: first } = await client.post('/jobs/2/disputes').send({ reason: 'Half done' });
+        await admin.post(`/admin/disputes/${first.id}/resolve`).send({ refund: 'partial', amount: 100.5 });
+        expect((await client.get('/balances')).body.balance).toBe(1049.5);
+        expect((await contractor.get('/balances')).body.balance).toBe(1299.43);
+        expect(await platform()).toEqual([10.05, 5.02]);
+
+        // A full refund of job 7, paid before there were rules, takes back the whole price
+        const { body: second } = await client.post('/jobs/7/disputes').send({ reason: 'Not delivered' });
+        await admin.post(`/admin/disputes/${second.id}/resolve`).send({ refund: 'full' });
+        expect((await client.get('/balances')).body.balance).toBe(1249.5);
+        expect((await contractor.get('/balances')).body.balance).toBe(1099.43);
+        expect(await platform()).toEqual([10.05, 5.02]);
+
+        // The reports count the fee and tax the platform kept
+        expect(await Job.findByPk(2)).toMatchObject({ refundedAmount: 100.5, feeAmount: 10.05, withheldAmount: 5.02 });
+    });
+
+    test('a full refund takes back only what the contractor was credited', async () => {
+        await FeeRule.create({ type: 'percentage', percentage: 10 });
+        await WithholdingRule.create({ country: 'FI', percentage: 5 });
+        const client = await as('user1');
+        const contractor = await as('user6');
+        const admin = await as('admin');
+        await client.post('/jobs/2/pay');
+
+        const { body: dispute } = await client.post('/jobs/2/disputes').send({ reason: 'Not delivered' });
+        await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'full' });
+
+        expect((await client.get('/balances')).body.balance).toBe(1150);
+        expect((await contractor.get('/balances')).body.balance).toBe(1214);
+        expect((await admin.get('/admin/ledger/platform')).body).toEqual([
+            { account: 'platform', balance: 0, currency: 'USD' },
+            { account: 'tax', balance: 0, currency: 'USD' }
+        ]);
+        expect((await client.get('/jobs/2/invoice?format=csv')).status).toBe(200);
+    });
+
+    test('resolving without a refund moves no money', async () => {
+        const { client, dispute } = await openDispute();
+        const admin = await as('admin');
+
+        const res = await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'none' });
+        expect(res.body.resolution).toBe('no_refund');
+        expect((await client.get('/balances')).body.balance).toBe(1150);
+    });
+
+    test('refuses partial refunds without an amount or of the whole price', async () => {
+        const { dispute } = await openDispute();
+        const admin = await as('admin');
+
+        expect((await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'partial' })).status).toBe(400);
+        expect((await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'partial', amount: 200 })).status).toBe(400);
+    });
+
+    test('a dispute is resolved once and only by an admin', async () => {
+        const { client, dispute } = await openDispute();
+        const admin = await as('admin');
+
+        expect((await client.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'none' })).status).toBe(403);
+        expect((await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'none' })).status).toBe(200);
+        expect((await admin.post(`/admin/disputes/${dispute.id}/resolve`).send({ refund: 'full' })).status).toBe(409);
+        expect((await admin.get('/admin/disputes?status=resolved')).body.data.map(item => item.id)).toEqual([dispute.id]);
+    });
+});
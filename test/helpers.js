@@ -0,0 +1,134 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const request = require('supertest');
+const app = require('../src/app');
+const { specFor } = require('../src/openapi');
+const { sequelize } = require('../src/model');
+const { migrator } = require('../src/migrator');
+const { withTransaction } = require('../src/services/db');
+const { getRateLimitStore } = require('../src/services/rateLimits');
+const { seed } = require('../scripts/seedDb');
+
+/**
+ * Waits for the work a response leaves behind, e.g. its audit log entry,
+ * which is written to the database after the response was sent.
+ */
+async function settle() {
+    await new Promise(resolve => setImmediate(resolve));
+    await withTransaction(async () => {});
+}
+
+/**
+ * Drops every table of the test file's in-memory database, migrates it again
+ * and loads the fixtures of scripts/seedDb.js. Rate-limit counters start over too.
+ */
+async function resetDatabase() {
+    await settle();
+    await migrator.down({ to: 0 });
+    await seed();
+    await getRateLimitStore().reset();
+}
+
+/**
+ * Settles the database and closes it, once every test of the file ran.
+ */
+async function closeDatabase() {
+    await settle();
+    await sequelize.close();
+}
+
+// Validates response bodies against the schemas of the OpenAPI document
+const ajv = addFormats(new Ajv({ strict: false, allErrors: true }));
+const bodyValidators = new Map();
+
+/**
+ * The documented path and operation that `method` on `pathname` is routed to.
+ * Paths with fewer parameters win, as /jobs/pay over /jobs/{id}/pay would.
+ */
+function operationFor(method, pathname) {
+    const { paths } = specFor(app);
+    const path = Object.keys(paths)
+        .filter(candidate => paths[candidate][method])
+        .sort((a, b) => a.split('{').length - b.split('{').length)
+        .find(candidate => new RegExp(`^${candidate.replace(/\{\w+\}/g, '[^/]+')}$`).test(pathname));
+
+    return path && { path, operation: paths[path][method] };
+}
+
+/**
+ * Checks that a supertest response is one the OpenAPI document describes: a
+ * documented status and content type, and a JSON body matching the
+ * documented schema. Throws naming the difference otherwise.
+ */
+function matchesSpec(res) {
+    const method = res.req.method.toLowerCase();
+    const { pathname } = new URL(res.request.url);
+    const found = operationFor(method, pathname);
+    const name = `${res.req.method} ${pathname} (${res.status})`;
+
+    if (!found) {
+        throw new Error(`${name} is not in the OpenAPI document`);
+    }
+
+    const response = found.operation.responses[res.status];
+    if (!response) {
+        throw new Error(`${name} responded with an undocumented status`);
+    }
+    if (!response.content) {
+        return;
+    }
+
+    const media = response.content[res.type];
+    if (!media) {
+        throw new Error(`${name} responded with undocumented content type ${res.type}`);
+    }
+    if (res.type !== 'application/json') {
+        return;
+    }
+
+    const key = `${method} ${found.path} ${res.status}`;
+    if (!bodyValidators.has(key)) {
+        // Compiled with the components, which the schemas point into
+        bodyValidators.set(key, ajv.compile({ components: specFor(app).components, ...media.schema }));
+    }
+
+    const validateBody = bodyValidators.get(key);
+    if (!validateBody(res.body)) {
+        throw new Error(`${name} does not match the OpenAPI document: ${ajv.errorsText(validateBody.errors)}`);
+    }
+}
+
+/**
+ * Logs in with a seeded username ("user<id>" or "admin"; every password is
+ * "password") and returns the access token.
+ */
+async function login(username, password = 'password') {
+    const res = await request(app).post('/auth/login').send({ username, password });
+    if (res.status !== 200) {
+        throw new Error(`Could not log in as ${username}: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body.accessToken;
+}
+
+/**
+ * A supertest client whose requests carry `username`'s access token, e.g.
+ * `(await as('user1')).get('/contracts/1')`. Every response is checked with
+ * matchesSpec(), so a response that drifts from the OpenAPI document fails the test.
+ */
+async function as(username) {
+    const token = await login(username);
+    const withToken = method => path => request(app)[method](path)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(matchesSpec);
+
+    return {
+        token,
+        get: withToken('get'),
+        post: withToken('post'),
+        put: withToken('put'),
+        patch: withToken('patch'),
+        delete: withToken('delete')
+    };
+}
+
+module.exports = { app, request, resetDatabase, settle, closeDatabase, matchesSpec, login, as };
@@ -0,0 +1,179 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+const ids = res => res.body.data.map(item => item.id);
+
+describe('GET /jobs', () => {
+    test('lists the jobs under every contract of the profile', async () => {
+        const client = await as('user1');
+        const res = await client.get('/jobs');
+
+        expect(res.status).toBe(200);
+        expect(ids(res)).toEqual([1, 2, 7, 9, 11, 12]);
+    });
+
+    test('filters by payment state, price and payment date', async () => {
+        const client = await as('user1');
+
+        expect(ids(await client.get('/jobs?paid=true'))).toEqual([7, 9, 11, 12]);
+        expect(ids(await client.get('/jobs?paid=false'))).toEqual([1, 2]);
+        expect(ids(await client.get('/jobs?minPrice=100&maxPrice=200'))).toEqual([1, 7, 9]);
+        expect(ids(await client.get('/jobs?paidFrom=2020-08-15&paidTo=2020-08-15'))).toEqual([7, 12]);
+        expect(ids(await client.get('/jobs?contractId=1&sort=-price'))).toEqual([9, 1, 11]);
+    });
+
+    test('rejects unknown statuses', async () => {
+        const client = await as('user1');
+        const res = await client.get('/jobs?status=lost');
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('GET /jobs/unpaid', () => {
+    test('lists the unpaid jobs of active contracts for a client', async () => {
+        const client = await as('user2');
+        const res = await client.get('/jobs/unpaid');
+
+        expect(res.status).toBe(200);
+        expect(ids(res)).toEqual([3, 4]);
+    });
+
+    test('leaves out jobs of terminated contracts', async () => {
+        const client = await as('user1');
+
+        expect(ids(await client.get('/jobs/unpaid'))).toEqual([2]);
+    });
+
+    test('lists the unpaid jobs of a contractor', async () => {
+        const contractor = await as('user6');
+
+        expect(ids(await contractor.get('/jobs/unpaid'))).toEqual([2, 3]);
+    });
+});
+
+describe('POST /contracts/:id/jobs', () => {
+    test('lets the contractor log a job in the contract\'s currency', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.post('/contracts/2/jobs').send({ description: 'Refactor', price: 99.5 });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ description: 'Refactor', price: 99.5, status: 'new', currency: 'USD', ContractId: 2 });
+    });
+
+    test('refuses the client', async () => {
+        const client = await as('user1');
+        const res = await client.post('/contracts/2/jobs').send({ description: 'Refactor', price: 99.5 });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('refuses contracts that are not in progress', async () => {
+        const contractor = await as('user5');
+        const res = await contractor.post('/contracts/1/jobs').send({ description: 'Refactor', price: 99.5 });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('rejects prices with more than two decimals', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.post('/contracts/2/jobs').send({ description: 'Refactor', price: 1.001 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('price');
+    });
+});
+
+describe('job review', () => {
+    async function newJob() {
+        const contractor = await as('user6');
+        const res = await contractor.post('/contracts/2/jobs').send({ description: 'Refactor', price: 100 });
+        return { contractor, job: res.body };
+    }
+
+    test('the contractor submits and the client approves', async () => {
+        const { contractor, job } = await newJob();
+        const client = await as('user1');
+
+        const submitted = await contractor.post(`/jobs/${job.id}/submit`);
+        expect(submitted.status).toBe(200);
+        expect(submitted.body.status).toBe('submitted');
+
+        const approved = await client.post(`/jobs/${job.id}/approve`);
+        expect(approved.status).toBe(200);
+        expect(approved.body.status).toBe('approved');
+    });
+
+    test('only the right party moves the job on', async () => {
+        const { contractor, job } = await newJob();
+        const client = await as('user1');
+
+        expect((await client.post(`/jobs/${job.id}/submit`)).status).toBe(403);
+        await contractor.post(`/jobs/${job.id}/submit`);
+        expect((await contractor.post(`/jobs/${job.id}/approve`)).status).toBe(403);
+    });
+
+    test('refuses skipping a step', async () => {
+        const { job } = await newJob();
+        const client = await as('user1');
+        const res = await client.post(`/jobs/${job.id}/approve`);
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Cannot change job status from new to approved');
+    });
+
+    test('editing a submitted job sends it back to new', async () => {
+        const { contractor, job } = await newJob();
+        await contractor.post(`/jobs/${job.id}/submit`);
+
+        const res = await contractor.patch(`/jobs/${job.id}`).send({ price: 120 });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ price: 120, status: 'new' });
+    });
+
+    test('paid jobs cannot be edited', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.patch('/jobs/7').send({ description: 'Changed' });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('only the contractor edits a job', async () => {
+        const client = await as('user1');
+
+        expect((await client.patch('/jobs/2').send({ description: 'Changed' })).status).toBe(403);
+        expect((await client.patch('/jobs/999').send({ description: 'Changed' })).status).toBe(404);
+        expect((await client.patch('/jobs/2').send({})).status).toBe(400);
+    });
+});
+
+describe('GET /jobs/:id/invoice', () => {
+    test('downloads the invoice of a paid job as PDF by default', async () => {
+        const client = await as('user1');
+        const res = await client.get('/jobs/7/invoice');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^application\/pdf/);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename=".+\.pdf"/);
+    });
+
+    test('downloads the invoice as CSV', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.get('/jobs/7/invoice?format=csv');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.text).toContain('INV-000007');
+    });
+
+    test('refuses unpaid jobs and other profiles', async () => {
+        const client = await as('user1');
+        const other = await as('user2');
+
+        expect((await client.get('/jobs/2/invoice')).status).toBe(409);
+        expect((await other.get('/jobs/7/invoice')).status).toBe(403);
+        expect((await client.get('/jobs/999/invoice')).status).toBe(404);
+    });
+});
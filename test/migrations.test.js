@@ -0,0 +1,107 @@
+const Sequelize = require('sequelize');
+const { createSequelize } = require('../src/database');
+const { createMigrator } = require('../src/migrator');
+
+// A database of its own, created the way the seed script did before there were migrations
+const database = createSequelize();
+
+// The models of the original schema, which the seed script created with sync({ force: true })
+class Profile extends Sequelize.Model {}
+Profile.init({
+    firstName: { type: Sequelize.STRING, allowNull: false },
+    lastName: { type: Sequelize.STRING, allowNull: false },
+    profession: { type: Sequelize.STRING, allowNull: false },
+    balance: { type: Sequelize.DECIMAL(12, 2) },
+    type: { type: Sequelize.ENUM('client', 'contractor') }
+}, { sequelize: database, modelName: 'Profile' });
+
+class Contract extends Sequelize.Model {}
+Contract.init({
+    terms: { type: Sequelize.TEXT, allowNull: false },
+    status: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') }
+}, { sequelize: database, modelName: 'Contract' });
+
+class Job extends Sequelize.Model {}
+Job.init({
+    description: { type: Sequelize.TEXT, allowNull: false },
+    price: { type: Sequelize.DECIMAL(12, 2), allowNull: false },
+    paid: { type: Sequelize.BOOLEAN },
+    paymentDate: { type: Sequelize.DATE }
+}, { sequelize: database, modelName: 'Job' });
+
+Profile.hasMany(Contract, { as: 'Contractor', foreignKey: 'ContractorId' });
+Contract.belongsTo(Profile, { as: 'Contractor' });
+Profile.hasMany(Contract, { as: 'Client', foreignKey: 'ClientId' });
+Contract.belongsTo(Profile, { as: 'Client' });
+Contract.hasMany(Job);
+Job.belongsTo(Contract);
+
+const select = sql => database.query(sql, { type: database.QueryTypes.SELECT });
+
+beforeAll(async () => {
+    // TEST_DATABASE_URL is shared with the other test files
+    await createMigrator(database).down({ to: 0 });
+    await database.sync({ force: true });
+
+    await Profile.bulkCreate([
+        { id: 1, firstName: 'Harry', lastName: 'Potter', profession: 'Wizard', balance: 1150, type: 'client' },
+        { id: 2, firstName: 'Linus', lastName: 'Torvalds', profession: 'Programmer', balance: 1214, type: 'contractor' },
+        { id: 3, firstName: 'Alan', lastName: 'Turing', profession: 'Programmer', balance: 0, type: 'contractor' }
+    ]);
+    await Contract.create({ id: 1, terms: 'bla bla bla', status: 'in_progress', ClientId: 1, ContractorId: 2 });
+    await Job.bulkCreate([
+        { id: 1, description: 'work', price: 201, ContractId: 1 },
+        { id: 2, description: 'work', price: 200, paid: true, paymentDate: '2020-08-15T19:11:26.737Z', ContractId: 1 }
+    ]);
+
+    await createMigrator(database).up();
+});
+
+afterAll(() => database.close());
+
+describe('migrating a database created before there were migrations', () => {
+    test('keeps its rows and adds the later columns with their defaults', async () => {
+        const profiles = await select('SELECT id, balance, currency, country FROM "Profiles" ORDER BY id');
+        const contracts = await select('SELECT id, status, currency FROM "Contracts"');
+        const jobs = await select('SELECT id, status, currency, "feeAmount", "refundedAmount", "escrowStatus" FROM "Jobs" ORDER BY id');
+
+        expect(profiles.map(profile => [profile.id, Number(profile.balance), profile.currency, profile.country]))
+            .toEqual([[1, 1150, 'USD', null], [2, 1214, 'USD', null], [3, 0, 'USD', null]]);
+        expect(contracts).toEqual([{ id: 1, status: 'in_progress', currency: 'USD' }]);
+        expect(jobs.map(job => [job.id, job.status, job.currency, Number(job.feeAmount), Number(job.refundedAmount), job.escrowStatus]))
+            .toEqual([[1, 'approved', 'USD', 0, 0, null], [2, 'paid', 'USD', 0, 0, null]]);
+    });
+
+    test('creates the later tables', async () => {
+        const tables = await database.getQueryInterface().showAllTables();
+
+        expect(tables).toEqual(expect.arrayContaining(['Credentials', 'LedgerEntries', 'Payouts', 'Disputes']));
+    });
+
+    test('books the existing balances as opening ledger entries', async () => {
+        const entries = await select(
+            `SELECT "transactionId", account, direction, amount, currency, "ProfileId" FROM "LedgerEntries"
+             WHERE kind = 'opening_balance'`
+        );
+
+        expect(entries.map(({ account, direction, amount, currency, ProfileId }) => [account, direction, Number(amount), currency, ProfileId]))
+            .toEqual(expect.arrayContaining([
+                ['profile', 'credit', 1150, 'USD', 1],
+                ['external', 'debit', 1150, 'USD', null],
+                ['profile', 'credit', 1214, 'USD', 2],
+                ['external', 'debit', 1214, 'USD', null]
+            ]));
+        expect(entries).toHaveLength(4);
+        expect(new Set(entries.map(entry => entry.transactionId)).size).toBe(2);
+    });
+
+    test('skips what the first version of the initial migration created', async () => {
+        // That version created every table and column at once, so these three never ran
+        await database.query(`DELETE FROM "SequelizeMeta" WHERE name IN
+            ('20261019000010-later-tables.js', '20261019000020-later-columns.js', '20261019000030-opening-balances.js')`);
+        await createMigrator(database).up();
+
+        const [{ count }] = await select(`SELECT COUNT(*) AS count FROM "LedgerEntries"`);
+        expect(Number(count)).toBe(4);
+    });
+});
@@ -0,0 +1,70 @@
+const { request, app, resetDatabase, closeDatabase, matchesSpec } = require('./helpers');
+const { buildSpec } = require('../src/openapi');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+// A response as supertest hands it to matchesSpec()
+const response = (method, path, status, body) => ({
+    req: { method },
+    request: { url: `http://localhost${path}` },
+    status,
+    type: 'application/json',
+    body
+});
+
+describe('GET /openapi.json', () => {
+    test('documents every route', async () => {
+        const res = await request(app).get('/openapi.json').expect(matchesSpec);
+        const routes = app._router.stack.filter(layer => layer.route);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual(JSON.parse(JSON.stringify(buildSpec(app))));
+        expect(Object.values(res.body.paths).flatMap(Object.keys)).toHaveLength(routes.length);
+    });
+
+    test('takes parameters and request bodies from the route schemas', async () => {
+        const { body: spec } = await request(app).get('/openapi.json');
+        const pay = spec.paths['/jobs/{job_id}/pay'].post;
+
+        expect(pay.security).toEqual([{ bearerAuth: [] }]);
+        expect(pay.parameters.map(parameter => [parameter.in, parameter.name])).toEqual([['path', 'job_id'], ['header', 'Idempotency-Key']]);
+        expect(spec.paths['/auth/login'].post.requestBody.content['application/json'].schema.required).toEqual(['username', 'password']);
+        expect(spec.paths['/admin/payouts'].get.description).toBe('Requires the admin role. Rate limited with the admin route class.');
+    });
+});
+
+describe('GET /docs', () => {
+    test('serves the interactive documentation', async () => {
+        const res = await request(app).get('/docs').expect(matchesSpec);
+
+        expect(res.status).toBe(200);
+        expect(res.text).toContain('/openapi.json');
+        expect(res.text).not.toMatch(/https?:\/\//);
+    });
+
+    test('serves Swagger UI from the app', async () => {
+        const res = await request(app).get('/docs/assets/swagger-ui-bundle.js');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/javascript/);
+        expect((await request(app).get('/docs/assets/nope.js')).status).toBe(404);
+    });
+});
+
+describe('responses', () => {
+    test('of anonymous routes match the document', async () => {
+        await request(app).post('/auth/login').send({ username: 'user1', password: 'password' }).expect(matchesSpec);
+        await request(app).post('/auth/login').send({ username: 'user1', password: 'nope' }).expect(matchesSpec);
+        await request(app).post('/auth/login').send({}).expect(matchesSpec);
+        await request(app).post('/auth/refresh').send({ refreshToken: 'nope' }).expect(matchesSpec);
+    });
+
+    test('that drift from the document are caught', () => {
+        const drifted = response('GET', '/admin/best-clients', 200, [{ id: 1, fullName: 'Harry Potter', totalPaid: 442, currency: 'USD' }]);
+
+        expect(() => matchesSpec(drifted)).toThrow("must have required property 'paid'");
+        expect(() => matchesSpec(response('GET', '/admin/best-clients', 418, {}))).toThrow('undocumented status');
+        expect(() => matchesSpec(response('GET', '/nowhere', 404, {}))).toThrow('not in the OpenAPI document');
+    });
+});
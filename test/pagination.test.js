@@ -0,0 +1,70 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+const { Job } = require('../src/model');
+const { paginate } = require('../src/services/pagination');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+// A cursor holding `values`, as the API encodes them
+const cursorOf = values => Buffer.from(JSON.stringify(values)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// Ids of every row, following the cursors page after page
+async function walk(options) {
+    const ids = [];
+    let cursor;
+    do {
+        const { data, page } = await paginate(Job, { ...options, cursor });
+        ids.push(...data.map(job => job.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return ids;
+}
+
+describe('paginate', () => {
+    // Jobs 1 to 5 are unpaid and have no payment date
+    test('puts NULL sort values last in ascending order', async () => {
+        const ids = await walk({ limit: 2, sort: 'paymentDate' });
+
+        expect(ids).toEqual([11, 14, 6, 7, 12, 13, 8, 9, 10, 1, 2, 3, 4, 5]);
+    });
+
+    test('puts NULL sort values first in descending order', async () => {
+        const ids = await walk({ limit: 2, sort: '-paymentDate' });
+
+        expect(ids).toEqual([5, 4, 3, 2, 1, 10, 9, 8, 13, 12, 7, 6, 14, 11]);
+    });
+
+    test('pages through the NULL rows on their own', async () => {
+        const ids = await walk({ where: { paid: null }, limit: 2, sort: '-paymentDate' });
+
+        expect(ids).toEqual([5, 4, 3, 2, 1]);
+    });
+});
+
+describe('cursors', () => {
+    test('need a sort value of the sorted field\'s type and a positive integer id', async () => {
+        const page = cursor => paginate(Job, { limit: 2, sort: '-paymentDate', cursor: cursorOf(cursor) });
+
+        expect(await page(['2020-08-15T19:11:26.737Z', 6])).not.toBeNull();
+        expect(await page([null, 5])).not.toBeNull();
+        expect(await page([201, 6])).toBeNull();
+        expect(await page(['someday', 6])).toBeNull();
+        expect(await page(['2020-08-15T19:11:26.737Z', 0])).toBeNull();
+        expect(await page(['2020-08-15T19:11:26.737Z', 1.5])).toBeNull();
+        expect(await page(['2020-08-15T19:11:26.737Z', '6'])).toBeNull();
+        expect(await paginate(Job, { sort: 'price', cursor: cursorOf(['201', 2]) })).toBeNull();
+        expect(await paginate(Job, { sort: 'price', cursor: cursorOf([null, 2]) })).toBeNull();
+    });
+
+    test('that do not fit the sort are rejected with a 400', async () => {
+        const client = await as('user1');
+        const res = await client.get(`/jobs?sort=price&cursor=${cursorOf([{}, 2])}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('cursor');
+    });
+});
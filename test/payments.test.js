@@ -0,0 +1,284 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+const { Profile, Job, FeeRule, WithholdingRule } = require('../src/model');
+const ledger = require('../src/services/ledger');
+const payments = require('../src/services/payments');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+const balanceOf = async id => Number((await Profile.findByPk(id)).balance);
+
+describe('POST /jobs/:job_id/pay', () => {
+    test('moves the price from the client to the contractor', async () => {
+        const client = await as('user1');
+        const res = await client.post('/jobs/2/pay');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            message: 'Payment successful',
+            charged: { amount: 201, currency: 'USD' },
+            credited: { amount: 201, currency: 'USD' },
+            deductions: [],
+            net: { amount: 201, currency: 'USD' }
+        });
+        expect(await balanceOf(1)).toBe(949);
+        expect(await balanceOf(6)).toBe(1415);
+
+        const job = await Job.findByPk(2);
+        expect(job).toMatchObject({ paid: true, status: 'paid' });
+        expect(job.paymentDate).not.toBeNull();
+    });
+
+    test('refuses a client without enough balance', async () => {
+        const client = await as('user4');
+        const res = await client.post('/jobs/5/pay');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Insufficient balance');
+        expect(await balanceOf(4)).toBe(1.3);
+        expect((await Job.findByPk(5)).paid).toBeNull();
+    });
+
+    test('refuses paying a job twice', async () => {
+        const client = await as('user1');
+        await client.post('/jobs/2/pay');
+        const res = await client.post('/jobs/2/pay');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Job has already been paid');
+        expect(await balanceOf(1)).toBe(949);
+    });
+
+    test('refuses jobs that were not approved', async () => {
+        const contractor = await as('user6');
+        const job = (await contractor.post('/contracts/2/jobs').send({ description: 'More work', price: 10 })).body;
+        const client = await as('user1');
+        const res = await client.post(`/jobs/${job.id}/pay`);
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Only approved jobs can be paid');
+    });
+
+    test('refuses jobs of terminated contracts', async () => {
+        const client = await as('user1');
+        const res = await client.post('/jobs/1/pay');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Only jobs of contracts in progress can be paid');
+        expect(await balanceOf(1)).toBe(1150);
+        expect((await Job.findByPk(1)).paid).toBeNull();
+    });
+
+    test('only the client of the job pays it', async () => {
+        const other = await as('user2');
+        const contractor = await as('user6');
+
+        expect((await other.post('/jobs/2/pay')).status).toBe(403);
+        expect((await contractor.post('/jobs/2/pay')).status).toBe(403);
+        expect((await other.post('/jobs/999/pay')).status).toBe(404);
+    });
+
+    test('deducts the platform fee and withheld tax from the contractor\'s share', async () => {
+        await FeeRule.create({ type: 'percentage', percentage: 10 });
+        await WithholdingRule.create({ country: 'FI', percentage: 5 });
+        const client = await as('user1');
+        const res = await client.post('/jobs/2/pay');
+
+        expect(res.status).toBe(200);
+        expect(res.body.deductions.map(item => [item.type, item.amount])).toEqual([['fee', 20.1], ['withholding', 10.05]]);
+        expect(res.body.net.amount).toBe(170.85);
+        expect(await balanceOf(6)).toBe(1384.85);
+
+        const admin = await as('admin');
+        expect((await admin.get('/admin/ledger/platform')).body).toEqual([
+            { account: 'platform', balance: 20.1, currency: 'USD' },
+            { account: 'tax', balance: 10.05, currency: 'USD' }
+        ]);
+    });
+
+    test('replays the response of a retried request with the same Idempotency-Key', async () => {
+        const client = await as('user1');
+        const first = await client.post('/jobs/2/pay').set('Idempotency-Key', 'pay-2');
+        const retry = await client.post('/jobs/2/pay').set('Idempotency-Key', 'pay-2');
+
+        expect(retry.status).toBe(200);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.body).toEqual(first.body);
+        expect(await balanceOf(1)).toBe(949);
+    });
+
+    test('releases the Idempotency-Key of a request that failed', async () => {
+        const client = await as('user1');
+        jest.spyOn(payments, 'payJob').mockRejectedValueOnce(new Error('Database is down'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await client.post('/jobs/2/pay').set('Idempotency-Key', 'pay-2')).status).toBe(500);
+        console.error.mockRestore();
+
+        const retry = await client.post('/jobs/2/pay').set('Idempotency-Key', 'pay-2');
+        expect(retry.status).toBe(200);
+        expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('refuses reusing an Idempotency-Key for another request', async () => {
+        const client = await as('user2');
+        await client.post('/jobs/3/pay').set('Idempotency-Key', 'pay');
+        const res = await client.post('/jobs/4/pay').set('Idempotency-Key', 'pay');
+
+        expect(res.status).toBe(422);
+    });
+
+    test('pays a job once when parallel requests race for it', async () => {
+        const client = await as('user1');
+        const responses = await Promise.all(Array.from({ length: 5 }, () => client.post('/jobs/2/pay')));
+
+        const statuses = responses.map(res => res.status).sort();
+        expect(statuses).toEqual([200, 409, 409, 409, 409]);
+        expect(await balanceOf(1)).toBe(949);
+        expect(await balanceOf(6)).toBe(1415);
+        expect((await ledger.reconcile()).drifted).toEqual([]);
+    });
+
+    test('never overdraws a balance when parallel payments compete for it', async () => {
+        // Client 2 has 231.11 for two approved jobs of 202 and 200
+        const client = await as('user2');
+        const responses = await Promise.all([client.post('/jobs/3/pay'), client.post('/jobs/4/pay')]);
+
+        expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+        expect(await balanceOf(2)).toBeGreaterThanOrEqual(0);
+        expect((await ledger.reconcile()).drifted).toEqual([]);
+    });
+});
+
+describe('POST /jobs/pay', () => {
+    // Client 2 has 231.11, enough for job 4 (200) or job 3 (202) but not both
+    test('all or nothing pays no job when the balance does not cover the total', async () => {
+        const client = await as('user2');
+        const res = await client.post('/jobs/pay').send({ jobIds: [4, 3] });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({
+            error: 'No job was paid',
+            results: [
+                { jobId: 4, paid: false, status: 409 },
+                { jobId: 3, paid: false, status: 400, error: 'Insufficient balance' }
+            ]
+        });
+        expect(await balanceOf(2)).toBe(231.11);
+        expect((await Job.findByPk(4)).paid).toBeNull();
+    });
+
+    test('best effort pays the jobs the balance covers', async () => {
+        const client = await as('user2');
+        const res = await client.post('/jobs/pay').send({ jobIds: [4, 3], mode: 'best_effort' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            mode: 'best_effort',
+            total: { amount: 200, currency: 'USD' },
+            results: [
+                { jobId: 4, paid: true, charged: { amount: 200, currency: 'USD' } },
+                { jobId: 3, paid: false, status: 400, error: 'Insufficient balance' }
+            ]
+        });
+        expect(await balanceOf(2)).toBe(31.11);
+        expect((await ledger.reconcile()).drifted).toEqual([]);
+    });
+
+    test('all or nothing reports the jobs that cannot be paid', async () => {
+        const client = await as('user1');
+        const res = await client.post('/jobs/pay').send({ jobIds: [2, 7, 999] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.results.map(result => [result.jobId, result.status])).toEqual([[2, 409], [7, 409], [999, 404]]);
+        expect(res.body.results[1].error).toBe('Job has already been paid');
+        expect(await balanceOf(1)).toBe(1150);
+    });
+
+    test('pays every approved unpaid job on a contract', async () => {
+        const client = await as('user1');
+        const res = await client.post('/jobs/pay').send({ contractId: 2 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.results).toEqual([expect.objectContaining({ jobId: 2, paid: true })]);
+        expect(await balanceOf(1)).toBe(949);
+
+        expect((await client.post('/jobs/pay').send({ contractId: 2 })).status).toBe(409);
+    });
+
+    test('refuses contracts of other clients and unknown contracts', async () => {
+        const client = await as('user2');
+
+        expect((await client.post('/jobs/pay').send({ contractId: 2 })).status).toBe(403);
+        expect((await client.post('/jobs/pay').send({ contractId: 999 })).status).toBe(404);
+    });
+
+    test('needs either job ids or a contract', async () => {
+        const client = await as('user1');
+
+        expect((await client.post('/jobs/pay').send({})).status).toBe(400);
+        expect((await client.post('/jobs/pay').send({ jobIds: [2], contractId: 2 })).status).toBe(400);
+        expect((await client.post('/jobs/pay').send({ jobIds: [] })).status).toBe(400);
+        expect((await client.post('/jobs/pay').send({ jobIds: [2, 2] })).status).toBe(400);
+        expect((await client.post('/jobs/pay').send({ jobIds: [2], mode: 'some' })).status).toBe(400);
+    });
+});
+
+describe('escrow', () => {
+    async function submittedJob(price = 100) {
+        const contractor = await as('user6');
+        const job = (await contractor.post('/contracts/2/jobs').send({ description: 'Escrowed', price })).body;
+        return { contractor, job };
+    }
+
+    test('funding holds the price, approving pays it to the contractor', async () => {
+        const { contractor, job } = await submittedJob();
+        const client = await as('user1');
+
+        const funded = await client.post(`/jobs/${job.id}/fund`);
+        expect(funded.status).toBe(200);
+        expect(funded.body.escrowStatus).toBe('funded');
+        expect((await client.get('/balances')).body).toMatchObject({ balance: 1050, escrowed: 100 });
+
+        // The price of a funded job is fixed
+        expect((await contractor.patch(`/jobs/${job.id}`).send({ price: 150 })).status).toBe(409);
+
+        await contractor.post(`/jobs/${job.id}/submit`);
+        const approved = await client.post(`/jobs/${job.id}/approve`);
+        expect(approved.status).toBe(200);
+        expect(approved.body).toMatchObject({ status: 'paid', paid: true, escrowStatus: 'released' });
+        expect((await client.get('/balances')).body).toMatchObject({ balance: 1050, escrowed: 0 });
+        expect(await balanceOf(6)).toBe(1314);
+    });
+
+    test('terminating the contract refunds funded jobs', async () => {
+        const { job } = await submittedJob();
+        const client = await as('user1');
+        await client.post(`/jobs/${job.id}/fund`);
+
+        await client.post('/contracts/2/terminate');
+
+        expect((await Job.findByPk(job.id)).escrowStatus).toBe('refunded');
+        expect((await client.get('/balances')).body).toMatchObject({ balance: 1150, escrowed: 0 });
+    });
+
+    test('refuses funding twice, approved jobs and other profiles', async () => {
+        const { job } = await submittedJob();
+        const client = await as('user1');
+        const other = await as('user2');
+
+        expect((await other.post(`/jobs/${job.id}/fund`)).status).toBe(403);
+        expect((await client.post(`/jobs/${job.id}/fund`)).status).toBe(200);
+        expect((await client.post(`/jobs/${job.id}/fund`)).status).toBe(409);
+        expect((await client.post('/jobs/2/fund')).status).toBe(409);
+    });
+
+    test('refuses funding beyond the balance', async () => {
+        const { job } = await submittedJob(5000);
+        const client = await as('user1');
+        const res = await client.post(`/jobs/${job.id}/fund`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Insufficient balance');
+    });
+});
@@ -0,0 +1,139 @@
+const { resetDatabase, closeDatabase, as } = require('./helpers');
+
+beforeEach(resetDatabase);
+afterAll(closeDatabase);
+
+const ids = res => res.body.data.map(item => item.id);
+
+describe('/profiles/me', () => {
+    test('returns the calling profile', async () => {
+        const client = await as('user1');
+        const res = await client.get('/profiles/me');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ id: 1, firstName: 'Harry', type: 'client' });
+    });
+
+    test('changes the name and profession only', async () => {
+        const client = await as('user1');
+
+        const res = await client.patch('/profiles/me').send({ profession: 'Auror' });
+        expect(res.status).toBe(200);
+        expect(res.body.profession).toBe('Auror');
+
+        expect((await client.patch('/profiles/me').send({ balance: 1e6 })).status).toBe(400);
+        expect((await client.patch('/profiles/me').send({})).status).toBe(400);
+    });
+});
+
+describe('GET /profiles/contractors', () => {
+    test('filters by profession and name', async () => {
+        const client = await as('user1');
+
+        expect(ids(await client.get('/profiles/contractors?profession=Programmer'))).toEqual([6, 7]);
+        expect(ids(await client.get('/profiles/contractors?name=linus%20torv'))).toEqual([6]);
+    });
+
+    test('filters and sorts by earnings from paid jobs', async () => {
+        const client = await as('user1');
+
+        const res = await client.get('/profiles/contractors?sort=-earnings');
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(item => [item.id, item.earnings])).toEqual([[7, 2020], [6, 663], [5, 221], [8, 200]]);
+
+        expect(ids(await client.get('/profiles/contractors?minEarnings=221&maxEarnings=663'))).toEqual([5, 6]);
+    });
+
+    test('pages through the contractors sorted by earnings', async () => {
+        const client = await as('user1');
+        const pages = [];
+        let cursor = '';
+        do {
+            const res = await client.get(`/profiles/contractors?sort=earnings&limit=3${cursor}`);
+            expect(res.body.page.totalCount).toBe(4);
+            pages.push(ids(res));
+            cursor = res.body.page.nextCursor ? `&cursor=${res.body.page.nextCursor}` : '';
+        } while (cursor);
+
+        expect(pages).toEqual([[8, 5, 6], [7]]);
+    });
+
+    test('matches % and _ in names literally', async () => {
+        const client = await as('user1');
+
+        expect(ids(await client.get('/profiles/contractors?name=%25'))).toEqual([]);
+        expect(ids(await client.get('/profiles/contractors?profession=_'))).toEqual([]);
+    });
+
+    test('needs an exchange rate into the requested currency', async () => {
+        const client = await as('user1');
+        const res = await client.get('/profiles/contractors?currency=JPY');
+
+        expect(res.status).toBe(409);
+    });
+});
+
+describe('GET /profiles/:id/ledger', () => {
+    test('lists the profile\'s own entries', async () => {
+        const client = await as('user1');
+        const res = await client.get('/profiles/1/ledger');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual([
+            expect.objectContaining({ kind: 'opening_balance', direction: 'credit', amount: 1150, ProfileId: 1 })
+        ]);
+    });
+
+    test('refuses other profiles', async () => {
+        const client = await as('user1');
+
+        expect((await client.get('/profiles/2/ledger')).status).toBe(403);
+    });
+});
+
+describe('GET /profiles/:id/summary', () => {
+    test('sums a contractor\'s earnings in the date range', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.get('/profiles/6/summary?start=2020-08-15&end=2020-08-16&groupBy=day');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ profileId: 6, type: 'contractor', currency: 'USD', total: 542, jobs: 4 });
+        expect(res.body.periods.map(period => [period.period, period.total])).toEqual([['2020-08-15', 342], ['2020-08-16', 200]]);
+    });
+
+    test('rejects an end before the start', async () => {
+        const contractor = await as('user6');
+        const res = await contractor.get('/profiles/6/summary?start=2020-08-16&end=2020-08-15');
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('end');
+    });
+
+    test('refuses other profiles', async () => {
+        const contractor = await as('user6');
+
+        expect((await contractor.get('/profiles/7/summary')).status).toBe(403);
+    });
+});
+
+describe('GET /profiles/:id/statement', () => {
+    test('downloads a monthly statement as CSV or PDF', async () => {
+        const contractor = await as('user6');
+
+        const csv = await contractor.get('/profiles/6/statement?month=2020-08&format=csv');
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+
+        const pdf = await contractor.get('/profiles/6/statement?month=2020-08');
+        expect(pdf.status).toBe(200);
+        expect(pdf.headers['content-type']).toMatch(/^application\/pdf/);
+    });
+
+    test('requires a month and refuses other profiles', async () => {
+        const contractor = await as('user6');
+
+        expect((await contractor.get('/profiles/6/statement')).status).toBe(400);
+        expect((await contractor.get('/profiles/6/statement?month=2020-13')).status).toBe(400);
+        expect((await contractor.get('/profiles/7/statement?month=2020-08')).status).toBe(403);
+    });
+});
@@ -0,0 +1,118 @@
+// Small limits, set before the app reads them
+process.env.RATE_LIMIT_MONEY = '2/60';
+process.env.RATE_LIMIT_MONEY_IP = '3/60';
+process.env.RATE_LIMIT_ADMIN = '1/60';
+process.env.RATE_LIMIT_AUTH_IP = '5/60';
+
+const { request, app, resetDatabase, closeDatabase, as } = require('./helpers');
+const rateLimits = require('../src/services/rateLimits');
+const { createMemoryStore } = require('../src/services/rateLimitStores/memory');
+
+const memoryStore = rateLimits.getRateLimitStore();
+
+beforeEach(resetDatabase);
+afterEach(() => rateLimits.setRateLimitStore(memoryStore));
+afterAll(closeDatabase);
+
+describe('rate limits', () => {
+    test('answer 429 on money-moving routes once a profile used its limit', async () => {
+        const client = await as('user1');
+
+        const first = await client.post('/balances/deposit/1').send({ amount: 1 });
+        expect(first.status).toBe(200);
+        expect(first.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '1' });
+
+        expect((await client.post('/balances/deposit/1').send({ amount: 1 })).status).toBe(200);
+
+        const limited = await client.post('/balances/deposit/1').send({ amount: 1 });
+        expect(limited.status).toBe(429);
+        expect(limited.headers['ratelimit-remaining']).toBe('0');
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+        expect(limited.body.error).toMatch(/^Too many requests/);
+
+        // Other route classes are counted on their own
+        const balances = await client.get('/balances');
+        expect(balances.status).toBe(200);
+        expect(balances.body.balance).toBe(1152);
+    });
+
+    test('count every profile behind one IP', async () => {
+        const first = await as('user1');
+        const second = await as('user2');
+
+        await first.post('/balances/deposit/1').send({ amount: 1 });
+        await first.post('/balances/deposit/1').send({ amount: 1 });
+        expect((await second.post('/balances/deposit/2').send({ amount: 1 })).status).toBe(200);
+
+        const limited = await second.post('/balances/deposit/2').send({ amount: 1 });
+        expect(limited.status).toBe(429);
+        expect(limited.headers['ratelimit-limit']).toBe('3');
+    });
+
+    test('count requests without a valid token per IP', async () => {
+        const pay = () => request(app).post('/jobs/2/pay').set('Authorization', 'Bearer bogus');
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            expect((await pay()).status).toBe(401);
+        }
+
+        const limited = await pay();
+        expect(limited.status).toBe(429);
+        expect(limited.headers['ratelimit-limit']).toBe('3');
+    });
+
+    test('count admin routes per login', async () => {
+        const admin = await as('admin');
+
+        expect((await admin.get('/admin/ledger/reconcile')).status).toBe(200);
+        expect((await admin.get('/admin/reports/revenue')).status).toBe(429);
+    });
+
+    test('count anonymous routes per IP', async () => {
+        const login = () => request(app).post('/auth/login').send({ username: 'user1', password: 'nope' });
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            expect((await login()).status).toBe(401);
+        }
+        expect((await login()).status).toBe(429);
+    });
+
+    test('start over once the window ended', async () => {
+        let now = Date.now();
+        rateLimits.setRateLimitStore(createMemoryStore({ now: () => now }));
+        const admin = await as('admin');
+
+        await admin.get('/admin/ledger/reconcile');
+        expect((await admin.get('/admin/ledger/reconcile')).status).toBe(429);
+
+        now += 60 * 1000;
+        expect((await admin.get('/admin/ledger/reconcile')).status).toBe(200);
+    });
+
+    test('let requests through when the store fails', async () => {
+        rateLimits.setRateLimitStore({ name: 'broken', increment: async () => { throw new Error('Store is down'); } });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const admin = await as('admin');
+
+        await admin.get('/admin/ledger/reconcile');
+        const res = await admin.get('/admin/ledger/reconcile');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+        console.error.mockRestore();
+    });
+});
+
+describe('limitsFrom', () => {
+    test('reads the limits of every route class from the environment', () => {
+        const limits = rateLimits.limitsFrom({ RATE_LIMIT_READ: 'off', RATE_LIMIT_READ_IP: '5/10' });
+
+        expect(limits.read).toEqual({ caller: null, ip: { max: 5, windowMs: 10000 } });
+        expect(limits.money.caller).toEqual({ max: 30, windowMs: 60000 });
+    });
+
+    test('rejects malformed limits', () => {
+        expect(() => rateLimits.limitsFrom({ RATE_LIMIT_MONEY: 'lots' })).toThrow('RATE_LIMIT_MONEY must be');
+        expect(() => rateLimits.limitsFrom({ RATE_LIMIT_ADMIN_IP: '0/60' })).toThrow('RATE_LIMIT_ADMIN_IP must be');
+    });
+});
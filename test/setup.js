@@ -0,0 +1,8 @@
+// Every test file gets its own in-memory database, whatever the shell configured,
+// unless TEST_DATABASE_URL names a database to run the tests against
+delete process.env.DATABASE_URL;
+if (process.env.TEST_DATABASE_URL) {
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+process.env.DB_STORAGE = ':memory:';
+process.env.DB_LOGGING = 'false';